@@ -0,0 +1,68 @@
+/**
+ * Game Feed
+ * Infinite scroll for the games list: when the "Load older games" link comes
+ * into view, the next page is fetched and its games appended to the feed
+ */
+
+(function() {
+  'use strict';
+
+  const feed = document.getElementById('game-feed');
+  if (!feed || !('IntersectionObserver' in window)) return;
+
+  let loading = false;
+
+  const observer = new IntersectionObserver((entries) => {
+    if (entries.some(entry => entry.isIntersecting)) {
+      loadMore();
+    }
+  }, { rootMargin: '400px' });
+
+  watch(document.getElementById('game-feed-more'));
+
+  /**
+   * Start watching a next-page link
+   */
+  function watch(link) {
+    if (link) observer.observe(link);
+  }
+
+  /**
+   * Fetch the next page and move its games and next-page link into this one
+   */
+  async function loadMore() {
+    const link = document.getElementById('game-feed-more');
+    if (!link || loading) return;
+
+    loading = true;
+    link.textContent = 'Loading...';
+
+    try {
+      const response = await fetch(link.href, { credentials: 'same-origin' });
+      if (!response.ok) throw new Error('Failed to load games');
+
+      const page = new DOMParser().parseFromString(await response.text(), 'text/html');
+      const nextFeed = page.getElementById('game-feed');
+      if (nextFeed) {
+        feed.append(...nextFeed.children);
+      }
+
+      const nextLink = page.getElementById('game-feed-more');
+      observer.unobserve(link);
+      if (nextLink) {
+        link.href = nextLink.getAttribute('href');
+        link.textContent = 'Load older games';
+        watch(link);
+      } else {
+        link.parentElement.remove();
+      }
+    } catch (error) {
+      console.error('Game feed error:', error);
+      // Leave the link to be followed by hand
+      link.textContent = 'Load older games';
+      observer.unobserve(link);
+    } finally {
+      loading = false;
+    }
+  }
+})();
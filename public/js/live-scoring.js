@@ -10,7 +10,7 @@
   if (!container) return;
 
   const gameId = container.dataset.gameId;
-  const gameType = container.dataset.gameType;
+  const scoreboard = container.dataset.scoreboard;
   const customWsUrl = container.dataset.wsUrl;
   const playerCount = parseInt(container.dataset.playerCount) || 2;
 
@@ -22,6 +22,8 @@
   let gameState = null;
   let previousPlayerIndex = null;
   let previousVolleyThrows = [];
+  let editingThrowId = null;
+  let pendingVisit = null;
 
   // DOM Elements
   const connectionStatus = document.getElementById('connection-status');
@@ -109,6 +111,9 @@
       case 'throw_undone':
         handleThrowUndone(payload);
         break;
+      case 'throw_edited':
+        handleThrowEdited(payload);
+        break;
       case 'game_started':
         window.location.reload();
         break;
@@ -144,11 +149,7 @@
           t.player_id === prevPlayer.id && t.turn_number === gameState.current_turn
         );
         if (volleyThrows.length > 0) {
-          const summary = volleyThrows.map(t => {
-            if (!t.segment) return 'Miss';
-            const prefix = t.multiplier === 3 ? 'T' : t.multiplier === 2 ? 'D' : '';
-            return prefix + (t.segment === 25 ? 'Bull' : t.segment);
-          }).join(', ');
+          const summary = volleyThrows.map(throwLabel).join(', ');
           showToast(prevPlayer.name + ': ' + summary, 'info');
         }
       }
@@ -184,18 +185,35 @@
     // Render current volley
     renderCurrentVolley();
 
+    // Suggested checkout (301/501)
+    renderCheckout();
+
+    // Earlier throws, for corrections
+    renderThrowHistory();
+
+    // Scoring is locked while the computer throws
+    renderBotTurn();
+
     // Update scoreboard based on game type
-    switch (gameType) {
-      case 'Cricket':
+    switch (scoreboard) {
+      case 'cricket':
         renderCricketScores();
         break;
-      case '301':
-      case '501':
+      case 'x01':
         render01Scores();
         break;
-      case 'Around the World':
+      case 'atw':
         renderAtwScores();
         break;
+      case 'shanghai':
+        renderShanghaiScores();
+        break;
+      case 'killer':
+        renderKillerScores();
+        break;
+      case 'halveit':
+        renderHalveItScores();
+        break;
     }
 
     // Highlight active player
@@ -205,6 +223,21 @@
     updateSeriesTracker();
   }
 
+  /**
+   * Lock the scoring buttons while a computer player is on throw
+   * Undo stays available, and takes the computer's darts back with it
+   */
+  function renderBotTurn() {
+    const currentPlayer = gameState.players[gameState.current_player_index];
+    const botThrowing = gameState.status === 'playing' && !!(currentPlayer && currentPlayer.bot_level);
+    const banner = document.getElementById('bot-throwing');
+    if (banner) banner.classList.toggle('hidden', !botThrowing);
+    document.querySelectorAll('#input-controls button:not(#undo-btn), #input-controls input').forEach(el => {
+      el.disabled = botThrowing;
+      el.classList.toggle('opacity-50', botThrowing);
+    });
+  }
+
   /**
    * Update dart indicators
    */
@@ -244,13 +277,8 @@
     }
 
     volleyEl.innerHTML = volleyThrows.map(t => {
-      let text = 'Miss';
-      let cls = 'miss';
-      if (t.segment) {
-        const prefix = t.multiplier === 3 ? 'T' : t.multiplier === 2 ? 'D' : '';
-        text = prefix + (t.segment === 25 ? 'Bull' : t.segment);
-        cls = 'hit';
-      }
+      let text = throwLabel(t);
+      let cls = t.segment || t.visit_total ? 'hit' : 'miss';
       if (t.is_bust) {
         text += ' (Bust)';
         cls = 'bust';
@@ -259,6 +287,89 @@
     }).join('');
   }
 
+  /**
+   * Render the suggested checkout route sent by the server
+   */
+  function renderCheckout() {
+    const checkoutEl = document.getElementById('checkout-route');
+    if (!checkoutEl) return;
+
+    checkoutEl.textContent = gameState.checkout ? 'Checkout: ' + gameState.checkout.join(' ') : '';
+  }
+
+  /**
+   * Render the throw history, newest turn first, one line per player's turn
+   */
+  function renderThrowHistory() {
+    const listEl = document.getElementById('throw-history-list');
+    if (!listEl) return;
+
+    const turns = [];
+    (gameState.throws || []).forEach(t => {
+      const last = turns[turns.length - 1];
+      if (last && last.playerId === t.player_id && last.turnNumber === t.turn_number) {
+        last.throws.push(t);
+      } else {
+        turns.push({ playerId: t.player_id, turnNumber: t.turn_number, throws: [t] });
+      }
+    });
+
+    if (turns.length === 0) {
+      listEl.innerHTML = '<p class="text-gray-500">No throws yet</p>';
+      return;
+    }
+
+    listEl.innerHTML = turns.reverse().map(turn => {
+      const player = gameState.players.find(p => p.id === turn.playerId);
+      const darts = turn.throws.map(t => {
+        const cls = t.is_bust ? 'bust' : t.segment || t.visit_total ? 'hit' : 'miss';
+        // Visit totals can only be undone, not corrected dart by dart
+        if (t.visit_total !== null && t.visit_total !== undefined) {
+          return `<span class="volley-dart ${cls}">${throwLabel(t)}</span>`;
+        }
+        const editing = t.id === editingThrowId ? ' editing' : '';
+        return `<span class="volley-dart history-dart ${cls}${editing}" data-throw-id="${t.id}">${throwLabel(t)}</span>`;
+      }).join('');
+      return `<div><span class="text-gray-500">T${turn.turnNumber}</span> <span class="text-pub-chalk-accent">${player ? player.name : '?'}:</span> ${darts}</div>`;
+    }).join('');
+  }
+
+  /**
+   * Short label for a throw, like "T20", "Bull", "Miss" or a visit total like "85"
+   */
+  function throwLabel(t) {
+    if (t.visit_total !== null && t.visit_total !== undefined) return String(t.visit_total);
+    if (!t.segment) return 'Miss';
+    const prefix = t.multiplier === 3 ? 'T' : t.multiplier === 2 ? 'D' : '';
+    return prefix + (t.segment === 25 ? 'Bull' : t.segment);
+  }
+
+  /**
+   * Open the editor for an earlier throw
+   */
+  function openThrowEditor(throwId) {
+    const t = (gameState.throws || []).find(th => th.id === throwId);
+    if (!t) return;
+
+    editingThrowId = throwId;
+    const player = gameState.players.find(p => p.id === t.player_id);
+    document.getElementById('throw-editor-label').textContent =
+      (player ? player.name : '?') + ', turn ' + t.turn_number + ', dart ' + t.dart_in_turn + ':';
+    document.getElementById('throw-editor-segment').value = t.segment || 0;
+    document.getElementById('throw-editor-multiplier').value = t.segment ? t.multiplier : 1;
+    document.getElementById('throw-editor').classList.remove('hidden');
+    renderThrowHistory();
+  }
+
+  /**
+   * Close the throw editor without saving
+   */
+  function closeThrowEditor() {
+    editingThrowId = null;
+    document.getElementById('throw-editor').classList.add('hidden');
+    renderThrowHistory();
+  }
+
   /**
    * Render Cricket scores - handles both traditional (2p) and horizontal (3+p) layouts
    */
@@ -490,6 +601,122 @@
     });
   }
 
+  /**
+   * Current Shanghai round - every player gets one turn per round
+   */
+  function getShanghaiRound() {
+    return Math.floor((gameState.current_turn - 1) / gameState.players.length) + 1;
+  }
+
+  /**
+   * Render Shanghai scores
+   */
+  function renderShanghaiScores() {
+    const container = document.getElementById('shanghai-container');
+    if (!container) return;
+
+    const round = getShanghaiRound();
+    const rounds = parseInt(container.dataset.rounds) || 7;
+    const roundEl = document.getElementById('shanghai-round');
+    const targetEl = document.getElementById('shanghai-target');
+    if (roundEl) roundEl.textContent = Math.min(round, rounds);
+    if (targetEl) targetEl.textContent = Math.min(round, rounds);
+
+    document.querySelectorAll('.shanghai-btn').forEach(btn => {
+      const labels = { 1: 'Single ', 2: 'Double ', 3: 'Treble ' };
+      btn.textContent = labels[btn.dataset.multiplier] + round;
+    });
+
+    gameState.players.forEach((player) => {
+      const card = container.querySelector(`[data-player-id="${player.id}"]`);
+      if (!card) return;
+
+      const scoreEl = card.querySelector('.shanghai-score');
+      if (scoreEl) {
+        const newText = String(player.score || 0);
+        if (scoreEl.textContent !== newText) {
+          scoreEl.textContent = newText;
+          scoreEl.classList.remove('score-changed');
+          void scoreEl.offsetWidth;
+          scoreEl.classList.add('score-changed');
+        }
+      }
+    });
+  }
+
+  /**
+   * Render Halve-It round, target and scores
+   */
+  function renderHalveItScores() {
+    const container = document.getElementById('halveit-container');
+    if (!container) return;
+
+    const targets = container.dataset.targets.split('|');
+    const round = Math.min(
+      Math.floor((gameState.current_turn - 1) / gameState.players.length) + 1,
+      targets.length
+    );
+    const roundEl = document.getElementById('halveit-round');
+    const targetEl = document.getElementById('halveit-target');
+    if (roundEl) roundEl.textContent = round;
+    if (targetEl) targetEl.textContent = targets[round - 1];
+
+    gameState.players.forEach((player) => {
+      const card = container.querySelector(`[data-player-id="${player.id}"]`);
+      if (!card) return;
+
+      const halvedEl = card.querySelector('.halveit-halved');
+      if (halvedEl) {
+        halvedEl.textContent = player.state && player.state.halved ? `Halved ${player.state.halved}x` : '';
+      }
+
+      const scoreEl = card.querySelector('.halveit-score');
+      if (scoreEl) {
+        const newText = String(player.score || 0);
+        if (scoreEl.textContent !== newText) {
+          scoreEl.textContent = newText;
+          scoreEl.classList.remove('score-changed');
+          void scoreEl.offsetWidth;
+          scoreEl.classList.add('score-changed');
+        }
+      }
+    });
+  }
+
+  /**
+   * Render Killer numbers, lives and killer status
+   */
+  function renderKillerScores() {
+    const container = document.getElementById('killer-container');
+    if (!container) return;
+
+    gameState.players.forEach((player) => {
+      const card = container.querySelector(`[data-player-id="${player.id}"]`);
+      if (!card || !player.state) return;
+
+      card.classList.toggle('opacity-40', player.state.eliminated);
+
+      const numberEl = card.querySelector('.killer-number');
+      if (numberEl) numberEl.textContent = 'D' + player.state.number;
+
+      const statusEl = card.querySelector('.killer-status');
+      if (statusEl) {
+        statusEl.textContent = player.state.eliminated ? 'OUT' : (player.state.killer ? 'KILLER' : '');
+      }
+
+      const livesEl = card.querySelector('.killer-lives');
+      if (livesEl) {
+        const newText = '❤'.repeat(player.state.lives);
+        if (livesEl.textContent !== newText) {
+          livesEl.textContent = newText;
+          livesEl.classList.remove('score-changed');
+          void livesEl.offsetWidth;
+          livesEl.classList.add('score-changed');
+        }
+      }
+    });
+  }
+
   /**
    * Highlight active player
    */
@@ -562,6 +789,14 @@
     showToast('Throw undone by ' + payload.undoneBy, 'info');
   }
 
+  /**
+   * Handle an earlier throw being corrected
+   */
+  function handleThrowEdited(payload) {
+    console.log('Throw edited:', payload);
+    showToast('Throw corrected by ' + payload.editedBy, 'info');
+  }
+
   /**
    * Handle game ended
    */
@@ -624,6 +859,60 @@
       });
     }
 
+    // Shanghai buttons - always aimed at the current round's number
+    document.querySelectorAll('.shanghai-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        if (!gameState) return;
+        sendThrow(getShanghaiRound(), parseInt(btn.dataset.multiplier));
+      });
+    });
+
+    // Visit totals (301/501) - a checkout asks which dart finished it and,
+    // unless it's straight out, how many darts went at a double
+    const visitInput = document.getElementById('visit-total');
+    if (visitInput) {
+      const submitVisit = () => {
+        if (!gameState) return;
+        const total = parseInt(visitInput.value);
+        if (isNaN(total)) return;
+        const currentPlayer = gameState.players[gameState.current_player_index];
+        if (total === currentPlayer.remaining_score) {
+          pendingVisit = { total };
+          document.getElementById('visit-checkout').classList.remove('hidden');
+          return;
+        }
+        sendVisit({ total });
+      };
+
+      document.getElementById('visit-submit').addEventListener('click', submitVisit);
+      visitInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') submitVisit();
+      });
+
+      document.querySelectorAll('.checkout-dart-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+          if (!pendingVisit) return;
+          pendingVisit.checkoutDart = parseInt(btn.dataset.darts);
+          if (gameState.out_rule === 'straight') {
+            sendVisit(pendingVisit);
+            return;
+          }
+          document.querySelectorAll('.double-count-btn').forEach(b => {
+            b.classList.toggle('hidden', parseInt(b.dataset.count) > pendingVisit.checkoutDart);
+          });
+          document.getElementById('visit-doubles').classList.remove('hidden');
+        });
+      });
+
+      document.querySelectorAll('.double-count-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+          if (!pendingVisit || !pendingVisit.checkoutDart) return;
+          pendingVisit.dartsAtDouble = parseInt(btn.dataset.count);
+          sendVisit(pendingVisit);
+        });
+      });
+    }
+
     // Undo button
     if (undoBtn) {
       undoBtn.addEventListener('click', () => {
@@ -631,6 +920,32 @@
       });
     }
 
+    // Throw history - tap a dart to correct it
+    const historyList = document.getElementById('throw-history-list');
+    if (historyList) {
+      historyList.addEventListener('click', (e) => {
+        const dart = e.target.closest('.history-dart');
+        if (dart && gameState) {
+          openThrowEditor(dart.dataset.throwId);
+        }
+      });
+
+      document.getElementById('throw-editor-save').addEventListener('click', () => {
+        if (!editingThrowId) return;
+        const segment = parseInt(document.getElementById('throw-editor-segment').value);
+        const multiplier = parseInt(document.getElementById('throw-editor-multiplier').value);
+        send('edit_throw', {
+          gameId,
+          throwId: editingThrowId,
+          segment: segment || null,
+          multiplier: segment ? multiplier : 1,
+        });
+        closeThrowEditor();
+      });
+
+      document.getElementById('throw-editor-cancel').addEventListener('click', closeThrowEditor);
+    }
+
     // Zip button - fill remaining darts as misses
     const zipBtn = document.getElementById('zip-btn');
     if (zipBtn) {
@@ -654,12 +969,12 @@
     document.addEventListener('keydown', (e) => {
       if (!gameState || gameState.status !== 'playing') return;
       // Don't trigger if user is typing in an input
-      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT') return;
 
       const key = e.key;
 
       // Number keys for Cricket segments
-      if (gameType === 'Cricket') {
+      if (scoreboard === 'cricket') {
         const keyMap = { '0': '0', '5': '15', '6': '16', '7': '17', '8': '18', '9': '19', '2': '20' };
         if (keyMap[key]) {
           const btn = document.querySelector('.segment-btn[data-segment="' + keyMap[key] + '"]');
@@ -718,6 +1033,18 @@
     });
   }
 
+  /**
+   * Send a visit total (301/501) and reset the visit input
+   */
+  function sendVisit(visit) {
+    if (navigator.vibrate) navigator.vibrate(50);
+    send('throw_visit', { gameId, ...visit });
+    pendingVisit = null;
+    document.getElementById('visit-total').value = '';
+    document.getElementById('visit-checkout').classList.add('hidden');
+    document.getElementById('visit-doubles').classList.add('hidden');
+  }
+
   /**
    * Update connection status UI
    */
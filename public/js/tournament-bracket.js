@@ -0,0 +1,143 @@
+/**
+ * Tournament Bracket
+ * Draws a knockout bracket and keeps it up to date over the WebSocket as
+ * matches are started and results come in
+ */
+
+(function() {
+  'use strict';
+
+  const container = document.getElementById('tournament-bracket');
+  if (!container) return;
+
+  const tournamentId = container.dataset.tournamentId;
+  const userId = container.dataset.userId;
+  const isAdmin = container.dataset.isAdmin === 'true';
+
+  let ws = null;
+  let reconnectAttempts = 0;
+  const maxReconnectAttempts = 10;
+  const reconnectDelay = 1000;
+
+  render(JSON.parse(document.getElementById('tournament-bracket-data').textContent));
+  connect();
+
+  /**
+   * Connect to WebSocket server and watch this tournament
+   */
+  function connect() {
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+
+    try {
+      ws = new WebSocket(`${protocol}//${window.location.host}/ws`);
+
+      ws.onopen = () => {
+        reconnectAttempts = 0;
+        ws.send(JSON.stringify({ type: 'watch_tournament', payload: { tournamentId } }));
+      };
+
+      ws.onclose = () => {
+        if (reconnectAttempts < maxReconnectAttempts) {
+          setTimeout(() => {
+            reconnectAttempts++;
+            connect();
+          }, reconnectDelay * Math.min(reconnectAttempts + 1, 5));
+        }
+      };
+
+      ws.onmessage = (event) => {
+        try {
+          const message = JSON.parse(event.data);
+          if (message.type === 'tournament_state') {
+            render(message.payload);
+          }
+        } catch (e) {
+          console.error('Failed to parse message:', e);
+        }
+      };
+    } catch (e) {
+      console.error('Failed to create WebSocket:', e);
+    }
+  }
+
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  /**
+   * One side of a match card
+   */
+  function renderPlayer(player, match) {
+    if (player.bye) {
+      return '<div class="px-3 py-1 text-xs text-pub-chalk-accent italic">Bye</div>';
+    }
+    if (!player.userId) {
+      return '<div class="px-3 py-1 text-xs text-pub-chalk-accent">TBD</div>';
+    }
+    const won = match.winner === player.userId;
+    const lost = match.winner && !won;
+    const nameClass = won ? 'text-neon-green font-semibold' : lost ? 'text-pub-chalk-accent line-through' : 'text-pub-chalk-text';
+    return '<div class="px-3 py-1 text-sm flex items-center gap-2">'
+      + '<span class="text-xs text-pub-chalk-accent w-4 text-right">' + player.seed + '</span>'
+      + '<a href="/users/' + encodeURIComponent(player.userId) + '" class="hover:underline ' + nameClass + '">' + escapeHtml(player.name) + '</a>'
+      + '</div>';
+  }
+
+  /**
+   * What can be done with a match right now
+   */
+  function renderAction(match) {
+    if (match.liveGameId) {
+      const page = { waiting: '/lobby', playing: '/play' }[match.liveStatus] || '';
+      return '<a href="/live-games/' + match.liveGameId + page + '" class="text-xs text-neon-green hover:underline font-pub-heading">Live now</a>';
+    }
+    if (match.status !== 'ready') return '';
+    const inMatch = match.players.some(p => p.userId === userId);
+    if (!inMatch && !isAdmin) return '';
+    return '<form action="/tournaments/' + tournamentId + '/matches/' + match.key + '/launch" method="POST">'
+      + '<button type="submit" class="text-xs text-neon-green hover:underline font-pub-heading">Play live</button>'
+      + '</form>';
+  }
+
+  function renderMatch(match) {
+    // Byes that nobody plays are left out to keep the early rounds readable
+    if (match.status === 'void') return '';
+    const border = match.liveGameId ? 'border-neon-green/60' : 'border-pub-wood-medium';
+    const action = renderAction(match);
+    return '<div class="card border ' + border + ' rounded-lg py-1 w-56">'
+      + match.players.map(p => renderPlayer(p, match)).join('<div class="border-t border-pub-wood-medium/50"></div>')
+      + (action ? '<div class="px-3 pt-1 border-t border-pub-wood-medium/50">' + action + '</div>' : '')
+      + '</div>';
+  }
+
+  function render(state) {
+    let champion = '';
+    if (state.champion) {
+      const player = state.sections
+        .flatMap(s => s.rounds).flatMap(r => r.matches).flatMap(m => m.players)
+        .find(p => p.userId === state.champion);
+      champion = '<div class="card-wood p-4 mb-8 text-center">'
+        + '<div class="text-4xl mb-2">🏆</div>'
+        + '<div class="font-pub-heading text-neon-yellow text-xl">' + escapeHtml(player ? player.name : '') + '</div>'
+        + '<div class="text-xs text-pub-chalk-accent">Champion</div>'
+        + '</div>';
+    }
+
+    container.innerHTML = champion + state.sections.map(section => {
+      // Rounds that are all unplayed byes have nothing to show
+      const rounds = section.rounds.filter(r => r.matches.some(m => m.status !== 'void'));
+      if (rounds.length === 0) return '';
+      return '<div class="mb-8">'
+        + '<h2 class="text-lg font-pub-heading font-semibold text-pub-chalk-text mb-4">' + section.title + '</h2>'
+        + '<div class="flex gap-6 overflow-x-auto scrollbar-pub pb-2">'
+        + rounds.map(round => '<div class="flex flex-col justify-around gap-3 shrink-0">'
+          + '<h3 class="text-sm font-pub-heading text-pub-chalk-accent uppercase tracking-wider">' + round.name + '</h3>'
+          + round.matches.map(renderMatch).join('')
+          + '</div>').join('')
+        + '</div>'
+        + '</div>';
+    }).join('');
+  }
+})();
@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+/**
+ * Rebuild every player's ratings by replaying all confirmed games in the order
+ * they were played. Run after games have been deleted or edited by hand
+ * Run: npm run ratings:rebuild
+ */
+
+require('dotenv').config();
+const { ratings } = require('../src/db');
+
+const count = ratings.rebuild();
+console.log(`Rebuilt ratings from ${count} game${count === 1 ? '' : 's'}`);
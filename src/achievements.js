@@ -0,0 +1,101 @@
+/**
+ * Achievements
+ * Badges a player unlocks once. Visit achievements are checked as darts are
+ * thrown in live games; result and crown achievements when a game is recorded
+ * or a crown is won or defended
+ */
+
+// Every achievement, in the order badges are shown
+const ACHIEVEMENTS = [
+  { key: 'first_win', name: 'Off the Mark', icon: '🎉', description: 'Win your first game' },
+  { key: 'first_180', name: 'Maximum', icon: '💯', description: 'Score 180 in one visit' },
+  { key: 'ton_plus_checkout', name: 'Big Finish', icon: '🎯', description: 'Check out on 100 or more' },
+  { key: 'hat_trick_bulls', name: 'Hat-Trick', icon: '🐂', description: 'Hit three bullseyes in one visit' },
+  { key: 'nine_darter', name: 'Nine-Darter', icon: '✨', description: 'Win a 501 leg in nine darts' },
+  { key: 'win_streak_10', name: 'Unstoppable', icon: '🔥', description: 'Win 10 games in a row' },
+  { key: 'games_100', name: 'Regular', icon: '🍺', description: 'Play 100 games' },
+  { key: 'first_crown', name: 'Crowned', icon: '👑', description: 'Claim a crown' },
+  { key: 'crown_defender_5', name: 'Defender', icon: '🛡️', description: 'Defend a crown 5 times' },
+];
+
+const WIN_STREAK = 10;
+const GAMES_MILESTONE = 100;
+const CROWN_DEFENSES = 5;
+
+/**
+ * Look up an achievement
+ * @param {string} key - Achievement key
+ * @returns {Object|undefined} { key, name, icon, description }
+ */
+function getAchievement(key) {
+  return ACHIEVEMENTS.find(a => a.key === key);
+}
+
+/**
+ * Achievements earned by the visit a player is throwing in a live game
+ * @param {Object} visit
+ * @param {string} visit.scoreboard - Game type scoreboard, e.g. 'x01'
+ * @param {number} visit.startingScore - Starting score for 301/501
+ * @param {Array} visit.turnThrows - The player's throws this turn: darts, or one visit total row
+ * @param {number} visit.scored - Points the visit took off the player's score, from the replayed
+ *   game; darts thrown before a double-in opening score nothing
+ * @param {number} visit.dartsThrown - Darts the player has thrown in the game
+ * @param {boolean} visit.checkedOut - Whether this visit won the game
+ * @returns {Array<string>} Achievement keys
+ */
+function visitAchievements({ scoreboard, startingScore, turnThrows, scored, dartsThrown, checkedOut }) {
+  const keys = [];
+  const darts = turnThrows.filter(t => t.visit_total === null || t.visit_total === undefined);
+
+  // Three darts in the bullseye, in any game
+  if (darts.length === 3 && darts.every(t => t.segment === 25 && t.multiplier === 2)) {
+    keys.push('hat_trick_bulls');
+  }
+
+  if (scoreboard !== 'x01' || turnThrows.some(t => t.is_bust)) return keys;
+
+  if (scored === 180) keys.push('first_180');
+  if (checkedOut && scored >= 100) keys.push('ton_plus_checkout');
+  if (checkedOut && startingScore === 501 && dartsThrown === 9) keys.push('nine_darter');
+
+  return keys;
+}
+
+/**
+ * Achievements earned by a player's record once a game is recorded
+ * @param {Object} record
+ * @param {Array<boolean>} record.recentResults - Whether they won each of their latest games, newest first
+ * @param {number} record.gamesPlayed - Games they have played in all
+ * @returns {Array<string>} Achievement keys
+ */
+function resultAchievements({ recentResults, gamesPlayed }) {
+  const keys = [];
+  if (recentResults[0]) keys.push('first_win');
+  if (recentResults.length >= WIN_STREAK && recentResults.slice(0, WIN_STREAK).every(Boolean)) {
+    keys.push('win_streak_10');
+  }
+  if (gamesPlayed >= GAMES_MILESTONE) keys.push('games_100');
+  return keys;
+}
+
+/**
+ * Achievements earned by winning or defending a crown
+ * @param {Object} crown
+ * @param {boolean} crown.awarded - Whether the player just took the crown
+ * @param {number} crown.defenseCount - Their defenses of it so far
+ * @returns {Array<string>} Achievement keys
+ */
+function crownAchievements({ awarded, defenseCount }) {
+  const keys = [];
+  if (awarded) keys.push('first_crown');
+  if (defenseCount >= CROWN_DEFENSES) keys.push('crown_defender_5');
+  return keys;
+}
+
+module.exports = {
+  ACHIEVEMENTS,
+  getAchievement,
+  visitAchievements,
+  resultAchievements,
+  crownAchievements,
+};
@@ -0,0 +1,72 @@
+/**
+ * Unit tests for achievements.js - what unlocks each badge
+ */
+
+const { ACHIEVEMENTS, getAchievement, visitAchievements, resultAchievements, crownAchievements } = require('./achievements');
+
+const dart = (segment, multiplier) => ({ segment, multiplier, visit_total: null, is_bust: 0 });
+const visitTotal = (total) => ({ segment: null, multiplier: 1, visit_total: total, is_bust: 0 });
+
+// Scores every dart unless told otherwise
+function visit(turnThrows, extra = {}) {
+  const scored = turnThrows.reduce((sum, t) => sum + (t.visit_total === null ? t.segment * t.multiplier : t.visit_total), 0);
+  return visitAchievements({ scoreboard: 'x01', startingScore: 501, turnThrows, scored, dartsThrown: 12, checkedOut: false, ...extra });
+}
+
+describe('visitAchievements', () => {
+  it('unlocks a maximum for 180 dart by dart or as a visit total', () => {
+    expect(visit([dart(20, 3), dart(20, 3), dart(20, 3)])).toEqual(['first_180']);
+    expect(visit([visitTotal(180)])).toEqual(['first_180']);
+    expect(visit([dart(20, 3), dart(20, 3), dart(19, 3)])).toEqual([]);
+  });
+
+  it('goes by what the visit scored, not the darts that landed', () => {
+    // Three treble 20s before a double-in opening score nothing
+    expect(visit([dart(20, 3), dart(20, 3), dart(20, 3)], { scored: 0 })).toEqual([]);
+  });
+
+  it('does not count a bust', () => {
+    expect(visit([dart(20, 3), dart(20, 3), { ...dart(20, 3), is_bust: 1 }])).toEqual([]);
+  });
+
+  it('unlocks a ton-plus checkout and a nine-darter', () => {
+    expect(visit([dart(20, 3), dart(19, 3), dart(12, 2)], { checkedOut: true })).toEqual(['ton_plus_checkout']);
+    expect(visit([dart(20, 3), dart(19, 3), dart(12, 2)], { checkedOut: true, dartsThrown: 9 })).toEqual(['ton_plus_checkout', 'nine_darter']);
+    expect(visit([dart(20, 3), dart(19, 3), dart(12, 2)], { checkedOut: true, dartsThrown: 9, startingScore: 301 })).toEqual(['ton_plus_checkout']);
+    expect(visit([dart(20, 1), dart(20, 2)], { checkedOut: true })).toEqual([]);
+  });
+
+  it('unlocks a hat-trick for three bullseyes in any game', () => {
+    const bulls = [dart(25, 2), dart(25, 2), dart(25, 2)];
+    expect(visitAchievements({ scoreboard: 'cricket', turnThrows: bulls, dartsThrown: 3, checkedOut: false })).toEqual(['hat_trick_bulls']);
+    expect(visitAchievements({ scoreboard: 'cricket', turnThrows: [dart(25, 2), dart(25, 1), dart(25, 2)], dartsThrown: 3, checkedOut: false })).toEqual([]);
+  });
+});
+
+describe('resultAchievements', () => {
+  it('unlocks a first win and a ten-game winning streak', () => {
+    expect(resultAchievements({ recentResults: [true, false], gamesPlayed: 2 })).toEqual(['first_win']);
+    expect(resultAchievements({ recentResults: Array(10).fill(true), gamesPlayed: 10 })).toEqual(['first_win', 'win_streak_10']);
+    expect(resultAchievements({ recentResults: [...Array(9).fill(true), false], gamesPlayed: 10 })).toEqual(['first_win']);
+  });
+
+  it('unlocks the games milestone win or lose', () => {
+    expect(resultAchievements({ recentResults: [false], gamesPlayed: 100 })).toEqual(['games_100']);
+  });
+});
+
+describe('crownAchievements', () => {
+  it('unlocks a first crown and five defenses', () => {
+    expect(crownAchievements({ awarded: true, defenseCount: 0 })).toEqual(['first_crown']);
+    expect(crownAchievements({ awarded: false, defenseCount: 5 })).toEqual(['crown_defender_5']);
+    expect(crownAchievements({ awarded: false, defenseCount: 4 })).toEqual([]);
+  });
+});
+
+describe('ACHIEVEMENTS', () => {
+  it('has a unique key for each badge', () => {
+    const keys = ACHIEVEMENTS.map(a => a.key);
+    expect(new Set(keys).size).toBe(keys.length);
+    expect(getAchievement('nine_darter').name).toBe('Nine-Darter');
+  });
+});
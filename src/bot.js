@@ -0,0 +1,223 @@
+/**
+ * Computer Opponent
+ * Picks a target for the bot's next dart from the game state, then throws at it
+ * with a scatter model: the dart lands at the aim point plus normally distributed
+ * error, and the landing spot is scored on a standard board
+ */
+
+const { getGameType } = require('./game-types');
+const { CRICKET_NUMBERS } = require('./game-types/cricket');
+const { getTargets } = require('./game-types/halve-it');
+const { hasOpened } = require('./game-types/x01');
+const { getRound } = require('./game-types/rounds');
+const { checkoutRoute } = require('./checkout');
+
+// Skill levels: scatter is the standard deviation of each dart's error in mm
+const BOT_LEVELS = {
+  beginner: { name: 'Beginner', scatter: 45 },
+  pub: { name: 'Pub', scatter: 28 },
+  league: { name: 'League', scatter: 17 },
+  pro: { name: 'Pro', scatter: 9 },
+};
+const DEFAULT_BOT_LEVEL = 'pub';
+
+// Standard board dimensions (radius in mm) and numbers clockwise from the top
+const BOARD = {
+  innerBull: 6.35,
+  outerBull: 15.9,
+  trebleInner: 99,
+  trebleOuter: 107,
+  doubleInner: 162,
+  doubleOuter: 170,
+};
+const BOARD_NUMBERS = [20, 1, 18, 4, 13, 6, 10, 15, 2, 17, 3, 19, 7, 16, 8, 11, 14, 9, 12, 5];
+const SEGMENT_ANGLE = 360 / BOARD_NUMBERS.length;
+
+// Where to aim within each bed (radius in mm)
+const AIM_RADIUS = { 1: 134, 2: 166, 3: 103 };
+
+/**
+ * Score the spot a dart landed on
+ * @param {number} x - mm right of the centre
+ * @param {number} y - mm above the centre
+ * @returns {Object} { segment, multiplier } - segment is null off the board
+ */
+function scoreLanding(x, y) {
+  const radius = Math.hypot(x, y);
+  if (radius <= BOARD.innerBull) return { segment: 25, multiplier: 2 };
+  if (radius <= BOARD.outerBull) return { segment: 25, multiplier: 1 };
+  if (radius > BOARD.doubleOuter) return { segment: null, multiplier: 1 };
+
+  // Angle clockwise from the top, shifted half a segment so 20 spans -9 to 9 degrees
+  const angle = (Math.atan2(x, y) * 180 / Math.PI + 360 + SEGMENT_ANGLE / 2) % 360;
+  const segment = BOARD_NUMBERS[Math.floor(angle / SEGMENT_ANGLE)];
+
+  if (radius >= BOARD.doubleInner) return { segment, multiplier: 2 };
+  if (radius >= BOARD.trebleInner && radius <= BOARD.trebleOuter) return { segment, multiplier: 3 };
+  return { segment, multiplier: 1 };
+}
+
+/**
+ * Aim point for a bed on the board
+ * @param {Object} target - { segment, multiplier }
+ * @returns {Object} { x, y } in mm
+ */
+function aimPoint(target) {
+  if (target.segment === 25) return { x: 0, y: 0 };
+
+  const angle = BOARD_NUMBERS.indexOf(target.segment) * SEGMENT_ANGLE * Math.PI / 180;
+  const radius = AIM_RADIUS[target.multiplier] || AIM_RADIUS[1];
+  return { x: radius * Math.sin(angle), y: radius * Math.cos(angle) };
+}
+
+/**
+ * Normally distributed random number (Box-Muller)
+ * @param {Function} random - Uniform random source in [0, 1)
+ * @returns {number} Sample with mean 0 and standard deviation 1
+ */
+function gaussian(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Throw a dart at a target
+ * @param {Object} target - { segment, multiplier } to aim at
+ * @param {number} scatter - Standard deviation of the error in mm
+ * @param {Function} [random] - Uniform random source, for repeatable tests
+ * @returns {Object} { segment, multiplier } where the dart landed
+ */
+function throwAt(target, scatter, random = Math.random) {
+  const aim = aimPoint(target);
+  return scoreLanding(aim.x + gaussian(random) * scatter, aim.y + gaussian(random) * scatter);
+}
+
+/**
+ * 01 strategy: follow a checkout route when there is one, otherwise score on T20
+ * @param {Object} state - Game state
+ * @param {Object} player - The bot's player state
+ * @returns {Object} Target
+ */
+function x01Target(state, player) {
+  const remaining = player.remaining_score;
+  if (!hasOpened(state, player)) {
+    return { segment: 20, multiplier: 2 };
+  }
+
+  // A route for the darts left, or one that sets up next turn's finish
+  const outRule = state.out_rule;
+  const route = checkoutRoute(remaining, 4 - state.current_dart, outRule) || checkoutRoute(remaining, 3, outRule);
+  if (route) return { segment: route[0].segment, multiplier: route[0].multiplier };
+
+  return { segment: 20, multiplier: 3 };
+}
+
+/**
+ * Cricket strategy: point on a number the bot owns when it's behind,
+ * otherwise close the highest number that still matters
+ * @param {Object} state - Game state
+ * @param {Object} player - The bot's player state
+ * @returns {Object} Target
+ */
+function cricketTarget(state, player) {
+  const marks = (p, n) => (n === 25 ? p.marks_bull : p[`marks_${n}`]) || 0;
+  const opponents = state.players.filter(p => p.id !== player.id);
+  // 20 down to 15, then the bull - it's the hardest to hit so it comes last
+  const highestFirst = CRICKET_NUMBERS.filter(n => n !== 25).reverse().concat(25);
+  const cutThroat = state.game_type === 'Cut-throat Cricket';
+
+  // Normal Cricket wants the most points; cut-throat wants the fewest, and pointing loads opponents
+  const points = opponents.map(p => p.cricket_points || 0);
+  const behind = cutThroat
+    ? (player.cricket_points || 0) > Math.min(...points)
+    : (player.cricket_points || 0) <= Math.max(...points);
+  if (behind) {
+    const scoring = highestFirst.find(n => marks(player, n) >= 3 && opponents.some(p => marks(p, n) < 3));
+    if (scoring) return { segment: scoring, multiplier: scoring === 25 ? 2 : 3 };
+  }
+
+  // Skip numbers everyone else has closed - they can't score any more
+  const open = highestFirst.filter(n => marks(player, n) < 3);
+  const live = open.filter(n => opponents.some(p => marks(p, n) < 3));
+  const target = live[0] || open[0] || 20;
+  return { segment: target, multiplier: target === 25 ? 2 : 3 };
+}
+
+/**
+ * Killer strategy: hit your own double, then the double of whoever has fewest lives
+ * @param {Object} state - Game state
+ * @param {Object} player - The bot's player state
+ * @returns {Object} Target
+ */
+function killerTarget(state, player) {
+  if (!player.state.killer) {
+    return { segment: player.state.number, multiplier: 2 };
+  }
+
+  const victims = state.players
+    .filter(p => p.id !== player.id && !p.state.eliminated)
+    .sort((a, b) => a.state.lives - b.state.lives);
+  return { segment: victims[0].state.number, multiplier: 2 };
+}
+
+/**
+ * Halve-It strategy: the best bed for the round's target
+ * @param {Object} state - Game state
+ * @returns {Object} Target
+ */
+function halveItTarget(state) {
+  const target = getTargets(state)[getRound(state.current_turn, state.players.length) - 1];
+  if (target === 'D') return { segment: 20, multiplier: 2 };
+  if (target === 'T') return { segment: 20, multiplier: 3 };
+  if (target === 'B') return { segment: 25, multiplier: 2 };
+  return { segment: target, multiplier: 3 };
+}
+
+/**
+ * Choose what the bot aims its next dart at
+ * @param {Object} state - Game state from replayGame, with the bot on throw
+ * @returns {Object} Target { segment, multiplier }
+ */
+function chooseTarget(state) {
+  const player = state.players[state.current_player_index];
+
+  switch (getGameType(state.game_type).scoreboard) {
+    case 'x01':
+      return x01Target(state, player);
+    case 'cricket':
+      return cricketTarget(state, player);
+    case 'atw':
+      return { segment: player.current_target > 20 ? 25 : player.current_target, multiplier: 1 };
+    case 'shanghai':
+      return { segment: getRound(state.current_turn, state.players.length), multiplier: 3 };
+    case 'killer':
+      return killerTarget(state, player);
+    case 'halveit':
+      return halveItTarget(state);
+    default:
+      return { segment: 20, multiplier: 3 };
+  }
+}
+
+/**
+ * The bot's next dart
+ * @param {Object} state - Game state from replayGame, with the bot on throw
+ * @param {string} level - Skill level key from BOT_LEVELS
+ * @param {Function} [random] - Uniform random source, for repeatable tests
+ * @returns {Object} { segment, multiplier } where the dart landed
+ */
+function botDart(state, level, random = Math.random) {
+  const { scatter } = BOT_LEVELS[level] || BOT_LEVELS[DEFAULT_BOT_LEVEL];
+  return throwAt(chooseTarget(state), scatter, random);
+}
+
+module.exports = {
+  BOT_LEVELS,
+  DEFAULT_BOT_LEVEL,
+  scoreLanding,
+  aimPoint,
+  throwAt,
+  chooseTarget,
+  botDart,
+};
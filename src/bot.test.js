@@ -0,0 +1,110 @@
+/**
+ * Unit tests for bot.js - computer opponent targets and accuracy model
+ */
+
+const { scoreLanding, aimPoint, throwAt, chooseTarget, botDart } = require('./bot');
+
+function make01State(remaining, currentDart = 1, rules = {}) {
+  return {
+    game_type: '501',
+    starting_score: 501,
+    in_rule: rules.inRule || 'straight',
+    out_rule: rules.outRule || 'double',
+    current_player_index: 0,
+    current_dart: currentDart,
+    players: [{ id: 'bot', remaining_score: remaining }],
+  };
+}
+
+function makeCricketState(botMarks, botPoints, opponentMarks, opponentPoints) {
+  const player = (id, marks, points) => ({
+    id,
+    marks_15: marks[15] || 0,
+    marks_16: marks[16] || 0,
+    marks_17: marks[17] || 0,
+    marks_18: marks[18] || 0,
+    marks_19: marks[19] || 0,
+    marks_20: marks[20] || 0,
+    marks_bull: marks[25] || 0,
+    cricket_points: points,
+  });
+  return {
+    game_type: 'Cricket',
+    current_player_index: 0,
+    current_dart: 1,
+    players: [player('bot', botMarks, botPoints), player('human', opponentMarks, opponentPoints)],
+  };
+}
+
+describe('scoreLanding', () => {
+  it('scores the bulls and misses', () => {
+    expect(scoreLanding(0, 0)).toEqual({ segment: 25, multiplier: 2 });
+    expect(scoreLanding(10, 0)).toEqual({ segment: 25, multiplier: 1 });
+    expect(scoreLanding(0, 200)).toEqual({ segment: null, multiplier: 1 });
+  });
+
+  it('finds the number and bed', () => {
+    expect(scoreLanding(0, 103)).toEqual({ segment: 20, multiplier: 3 });
+    expect(scoreLanding(0, 166)).toEqual({ segment: 20, multiplier: 2 });
+    expect(scoreLanding(0, -134)).toEqual({ segment: 3, multiplier: 1 });
+    expect(scoreLanding(134, 0)).toEqual({ segment: 6, multiplier: 1 });
+  });
+
+  it('scores every aim point as its own bed', () => {
+    for (let segment = 1; segment <= 20; segment++) {
+      for (const multiplier of [1, 2, 3]) {
+        const { x, y } = aimPoint({ segment, multiplier });
+        expect(scoreLanding(x, y)).toEqual({ segment, multiplier });
+      }
+    }
+  });
+});
+
+describe('throwAt', () => {
+  it('hits the target with no scatter', () => {
+    expect(throwAt({ segment: 19, multiplier: 3 }, 0)).toEqual({ segment: 19, multiplier: 3 });
+  });
+
+  it('uses the random source it is given', () => {
+    const random = () => 0.5;
+    expect(throwAt({ segment: 20, multiplier: 3 }, 28, random)).toEqual(throwAt({ segment: 20, multiplier: 3 }, 28, random));
+  });
+});
+
+describe('chooseTarget', () => {
+  it('scores on T20 with no checkout on', () => {
+    expect(chooseTarget(make01State(501))).toEqual({ segment: 20, multiplier: 3 });
+  });
+
+  it('follows the checkout route for the darts left', () => {
+    expect(chooseTarget(make01State(40))).toEqual({ segment: 20, multiplier: 2 });
+    expect(chooseTarget(make01State(170))).toEqual({ segment: 20, multiplier: 3 });
+    expect(chooseTarget(make01State(50, 3))).toEqual({ segment: 25, multiplier: 2 });
+  });
+
+  it('goes for a double to get in', () => {
+    expect(chooseTarget(make01State(501, 1, { inRule: 'double' }))).toEqual({ segment: 20, multiplier: 2 });
+  });
+
+  it('closes the highest open number when ahead in cricket', () => {
+    const state = makeCricketState({ 20: 3 }, 20, {}, 0);
+    expect(chooseTarget(state)).toEqual({ segment: 19, multiplier: 3 });
+  });
+
+  it('points on an owned number when behind in cricket', () => {
+    const state = makeCricketState({ 20: 3 }, 0, { 19: 3 }, 38);
+    expect(chooseTarget(state)).toEqual({ segment: 20, multiplier: 3 });
+  });
+
+  it('skips numbers the opponent has closed', () => {
+    const state = makeCricketState({}, 0, { 20: 3, 19: 3 }, 0);
+    expect(chooseTarget(state)).toEqual({ segment: 18, multiplier: 3 });
+  });
+});
+
+describe('botDart', () => {
+  it('falls back to the default level for an unknown one', () => {
+    const dart = botDart(make01State(501), 'nonsense', () => 0.5);
+    expect(dart.segment === null || Number.isInteger(dart.segment)).toBe(true);
+  });
+});
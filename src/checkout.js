@@ -0,0 +1,96 @@
+/**
+ * Checkout Suggestions for 301/501
+ * Recommends a finishing route for a remaining score, given the darts left
+ * in the turn and the game's out rule
+ */
+
+const { getThrowDisplayName } = require('./game-logic');
+const { isValidFinish, DEFAULT_OUT_RULE } = require('./game-types/x01');
+
+const MAX_CHECKOUT = 180;
+
+// Every dart on the board, as { segment, multiplier, value }
+const dart = (segment, multiplier) => ({ segment, multiplier, value: segment * multiplier });
+const NUMBERS_HIGH_FIRST = Array.from({ length: 20 }, (_, i) => 20 - i);
+const TREBLES = NUMBERS_HIGH_FIRST.map(n => dart(n, 3));
+const SINGLES = NUMBERS_HIGH_FIRST.map(n => dart(n, 1));
+const BULLS = [dart(25, 1), dart(25, 2)];
+
+// Doubles in the order players like to finish on - the ones that halve cleanly first
+const PREFERRED_DOUBLES = [20, 16, 8, 18, 12, 10, 4, 14, 6, 2, 19, 17, 15, 13, 11, 9, 7, 5, 3, 1];
+const DOUBLES = [...PREFERRED_DOUBLES.map(n => dart(n, 2)), dart(25, 2)];
+
+// Setup darts: score heavily first
+const SETUP_DARTS = [...TREBLES, dart(25, 1), dart(25, 2), ...SINGLES, ...DOUBLES.slice(0, -1)];
+
+/**
+ * Darts that may finish a leg under an out rule, most preferred first
+ * @param {string} outRule - 'double', 'master' or 'straight'
+ * @returns {Array} Finishing darts
+ */
+function finishingDarts(outRule) {
+  if (outRule === 'straight') {
+    return [...TREBLES, ...BULLS, ...SINGLES, ...DOUBLES.slice(0, -1)];
+  }
+  return [...DOUBLES, ...TREBLES, ...BULLS, ...SINGLES].filter(d => isValidFinish(outRule, d.multiplier));
+}
+
+/**
+ * Find setup darts that score exactly a target in a number of darts
+ * @param {number} target - Score to make
+ * @param {number} darts - Number of darts to use
+ * @returns {Array|null} Darts, or null if it can't be done
+ */
+function findSetup(target, darts) {
+  if (darts === 0) return target === 0 ? [] : null;
+  if (target <= 0 || target > darts * 60) return null;
+
+  for (const d of SETUP_DARTS) {
+    const rest = findSetup(target - d.value, darts - 1);
+    if (rest) return [d, ...rest];
+  }
+  return null;
+}
+
+/**
+ * Find a checkout route
+ * Uses as few darts as possible, finishing on a preferred double where the out rule needs one
+ * @param {number} remaining - Remaining score
+ * @param {number} dartsLeft - Darts left in the turn (1-3)
+ * @param {string} [outRule] - 'double', 'master' or 'straight' (default double)
+ * @returns {Array|null} Darts as { segment, multiplier, value }, or null if no checkout
+ */
+function checkoutRoute(remaining, dartsLeft, outRule = DEFAULT_OUT_RULE) {
+  if (!remaining || remaining < 1 || remaining > MAX_CHECKOUT || dartsLeft < 1) {
+    return null;
+  }
+
+  const finishes = finishingDarts(outRule || DEFAULT_OUT_RULE);
+  for (let darts = 1; darts <= Math.min(dartsLeft, 3); darts++) {
+    for (const finish of finishes) {
+      const setup = findSetup(remaining - finish.value, darts - 1);
+      if (setup) {
+        return [...setup, finish];
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Suggest a checkout route for display
+ * @param {number} remaining - Remaining score
+ * @param {number} dartsLeft - Darts left in the turn (1-3)
+ * @param {string} [outRule] - 'double', 'master' or 'straight' (default double)
+ * @returns {Array<string>|null} Route like ['T20', 'T20', 'D-Bull'], or null if no checkout
+ */
+function suggestCheckout(remaining, dartsLeft, outRule = DEFAULT_OUT_RULE) {
+  const route = checkoutRoute(remaining, dartsLeft, outRule);
+  return route ? route.map(d => getThrowDisplayName(d.segment, d.multiplier)) : null;
+}
+
+module.exports = {
+  checkoutRoute,
+  suggestCheckout,
+};
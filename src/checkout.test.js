@@ -0,0 +1,38 @@
+/**
+ * Unit tests for checkout.js - 301/501 checkout suggestions
+ */
+
+const { suggestCheckout } = require('./checkout');
+
+describe('suggestCheckout', () => {
+  it('finds the big finishes', () => {
+    expect(suggestCheckout(170, 3)).toEqual(['T20', 'T20', 'D-Bull']);
+    expect(suggestCheckout(100, 3)).toEqual(['T20', 'D20']);
+  });
+
+  it('uses as few darts as possible and prefers D20 and D16', () => {
+    expect(suggestCheckout(40, 3)).toEqual(['D20']);
+    expect(suggestCheckout(32, 3)).toEqual(['D16']);
+    expect(suggestCheckout(60, 3)).toEqual(['20', 'D20']);
+  });
+
+  it('respects the darts left in the turn', () => {
+    expect(suggestCheckout(100, 2)).toEqual(['T20', 'D20']);
+    expect(suggestCheckout(100, 1)).toBeNull();
+    expect(suggestCheckout(170, 2)).toBeNull();
+  });
+
+  it('returns null for bogey numbers and scores out of range', () => {
+    expect(suggestCheckout(169, 3)).toBeNull();
+    expect(suggestCheckout(1, 3)).toBeNull();
+    expect(suggestCheckout(301, 3)).toBeNull();
+  });
+
+  it('follows the out rule', () => {
+    expect(suggestCheckout(57, 1, 'double')).toBeNull();
+    expect(suggestCheckout(57, 1, 'master')).toEqual(['T19']);
+    expect(suggestCheckout(20, 1, 'straight')).toEqual(['20']);
+    expect(suggestCheckout(180, 3, 'straight')).toEqual(['T20', 'T20', 'T20']);
+    expect(suggestCheckout(1, 1, 'straight')).toEqual(['1']);
+  });
+});
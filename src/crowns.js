@@ -0,0 +1,107 @@
+/**
+ * Crowns
+ * Reign records worked out from the crown history: each row is a change of
+ * hands that ends one holder's reign and starts the next. Also the rules for
+ * challenging a holder to play before a deadline
+ */
+
+// How many entries the records tables show
+const RECORDS_LIMIT = 5;
+
+// What happens when a holder lets a challenge run out: the challenger takes the
+// crown, nobody holds it, or nothing (the challenge just lapses)
+const FORFEIT_RULES = ['challenger', 'vacate', 'none'];
+
+const DEFAULT_CHALLENGE_DAYS = 7;
+
+/**
+ * Every reign, finished or still going
+ * @param {Array} history - crown_history rows with holder names
+ * @param {Array} currentCrowns - Crowns with holder_name, reign_seconds and defense_count
+ * @returns {Array} { gameType, userId, name, seconds, defenses, current }
+ */
+function listReigns(history, currentCrowns) {
+  const ended = history
+    .filter(row => row.previous_holder_user_id)
+    .map(row => ({
+      gameType: row.game_type,
+      userId: row.previous_holder_user_id,
+      name: row.previous_holder_name,
+      seconds: row.reign_seconds || 0,
+      defenses: row.defenses || 0,
+      current: false,
+    }));
+
+  const ongoing = currentCrowns.map(crown => ({
+    gameType: crown.game_type,
+    userId: crown.holder_user_id,
+    name: crown.holder_name,
+    seconds: crown.reign_seconds || 0,
+    defenses: crown.defense_count || 0,
+    current: true,
+  }));
+
+  return [...ongoing, ...ended];
+}
+
+/**
+ * Crown records for the leaderboard
+ * @param {Array} history - crown_history rows with holder names
+ * @param {Array} currentCrowns - Crowns with holder_name, reign_seconds and defense_count
+ * @returns {Object} { longestReigns, mostReigns } where mostReigns is
+ *   { userId, name, reigns } counting every time a player took a crown
+ */
+function summarizeReigns(history, currentCrowns) {
+  const longestReigns = listReigns(history, currentCrowns)
+    .sort((a, b) => b.seconds - a.seconds || b.defenses - a.defenses)
+    .slice(0, RECORDS_LIMIT);
+
+  const counts = new Map();
+  for (const row of history) {
+    if (!row.new_holder_user_id) continue;
+    const entry = counts.get(row.new_holder_user_id) || { userId: row.new_holder_user_id, name: row.new_holder_name, reigns: 0 };
+    entry.reigns++;
+    counts.set(row.new_holder_user_id, entry);
+  }
+  const mostReigns = [...counts.values()]
+    .sort((a, b) => b.reigns - a.reigns || a.name.localeCompare(b.name))
+    .slice(0, RECORDS_LIMIT);
+
+  return { longestReigns, mostReigns };
+}
+
+/**
+ * Reign length for display
+ * @param {number} seconds - Length of the reign
+ * @returns {string} e.g. "3 days", "5 hours" or "less than a minute"
+ */
+function formatReign(seconds) {
+  const units = [['day', 86400], ['hour', 3600], ['minute', 60]];
+  for (const [unit, size] of units) {
+    const count = Math.floor(seconds / size);
+    if (count >= 1) return `${count} ${unit}${count === 1 ? '' : 's'}`;
+  }
+  return 'less than a minute';
+}
+
+/**
+ * Challenge settings from the environment
+ * @param {Object} env - Environment variables
+ * @returns {Object} { days, forfeitRule } with days from CROWN_CHALLENGE_DAYS and
+ *   forfeitRule from CROWN_CHALLENGE_FORFEIT, falling back to the defaults when unset or invalid
+ */
+function challengeSettings(env = process.env) {
+  const days = parseInt(env.CROWN_CHALLENGE_DAYS, 10);
+  const forfeitRule = env.CROWN_CHALLENGE_FORFEIT;
+  return {
+    days: days > 0 ? days : DEFAULT_CHALLENGE_DAYS,
+    forfeitRule: FORFEIT_RULES.includes(forfeitRule) ? forfeitRule : FORFEIT_RULES[0],
+  };
+}
+
+module.exports = {
+  FORFEIT_RULES,
+  summarizeReigns,
+  formatReign,
+  challengeSettings,
+};
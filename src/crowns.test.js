@@ -0,0 +1,82 @@
+/**
+ * Unit tests for crowns.js - reign records and challenge settings
+ */
+
+const { summarizeReigns, formatReign, challengeSettings } = require('./crowns');
+
+function change(gameType, previous, next, reignSeconds = null, defenses = null) {
+  return {
+    game_type: gameType,
+    previous_holder_user_id: previous,
+    previous_holder_name: previous && previous.toUpperCase(),
+    new_holder_user_id: next,
+    new_holder_name: next && next.toUpperCase(),
+    reign_seconds: reignSeconds,
+    defenses,
+  };
+}
+
+describe('summarizeReigns', () => {
+  // Newest first, as findHistory returns them
+  const history = [
+    change('501', 'b', 'a', 3600, 0),
+    change('Cricket', null, 'b'),
+    change('501', 'a', 'b', 86400 * 3, 4),
+    change('501', null, 'a'),
+  ];
+  const currentCrowns = [
+    { game_type: '501', holder_user_id: 'a', holder_name: 'A', reign_seconds: 86400, defense_count: 2 },
+    { game_type: 'Cricket', holder_user_id: 'b', holder_name: 'B', reign_seconds: 7200, defense_count: 0 },
+  ];
+
+  it('ranks finished and ongoing reigns by length', () => {
+    const { longestReigns } = summarizeReigns(history, currentCrowns);
+
+    expect(longestReigns.map(r => [r.gameType, r.userId, r.seconds, r.current])).toEqual([
+      ['501', 'a', 86400 * 3, false],
+      ['501', 'a', 86400, true],
+      ['Cricket', 'b', 7200, true],
+      ['501', 'b', 3600, false],
+    ]);
+    expect(longestReigns[0].defenses).toBe(4);
+  });
+
+  it('counts every time a player took a crown', () => {
+    const { mostReigns } = summarizeReigns(history, currentCrowns);
+
+    expect(mostReigns).toEqual([
+      { userId: 'a', name: 'A', reigns: 2 },
+      { userId: 'b', name: 'B', reigns: 2 },
+    ]);
+  });
+
+  it('does not count a vacated crown as a reign', () => {
+    const { mostReigns, longestReigns } = summarizeReigns([change('501', 'a', null, 60, 1), change('501', null, 'a')], []);
+
+    expect(mostReigns).toEqual([{ userId: 'a', name: 'A', reigns: 1 }]);
+    expect(longestReigns).toHaveLength(1);
+  });
+});
+
+describe('formatReign', () => {
+  it('uses the largest whole unit', () => {
+    expect(formatReign(86400 * 2 + 5000)).toBe('2 days');
+    expect(formatReign(3600)).toBe('1 hour');
+    expect(formatReign(150)).toBe('2 minutes');
+    expect(formatReign(20)).toBe('less than a minute');
+  });
+});
+
+describe('challengeSettings', () => {
+  it('defaults to a week with the crown going to the challenger', () => {
+    expect(challengeSettings({})).toEqual({ days: 7, forfeitRule: 'challenger' });
+  });
+
+  it('reads the deadline and forfeit rule from the environment', () => {
+    expect(challengeSettings({ CROWN_CHALLENGE_DAYS: '3', CROWN_CHALLENGE_FORFEIT: 'vacate' })).toEqual({ days: 3, forfeitRule: 'vacate' });
+  });
+
+  it('ignores values it does not understand', () => {
+    expect(challengeSettings({ CROWN_CHALLENGE_DAYS: '-2', CROWN_CHALLENGE_FORFEIT: 'duel' })).toEqual({ days: 7, forfeitRule: 'challenger' });
+  });
+});
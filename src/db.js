@@ -1,6 +1,11 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { DEFAULT_IN_RULE, DEFAULT_OUT_RULE } = require('./game-logic');
+const { getGameType, crownGameTypes, listGameTypes, OTHER_GAME_TYPE } = require('./game-types');
+const { BOT_LEVELS } = require('./bot');
+const { rateGame } = require('./ratings');
+const { resultAchievements, crownAchievements } = require('./achievements');
 
 const dbPath = process.env.DATABASE_PATH || path.join(__dirname, '../data/darts.db');
 const db = new Database(dbPath);
@@ -149,6 +154,12 @@ try {
 } catch (e) {
   // Column already exists, ignore
 }
+// Migration: Add bot_level column to users - computer opponents are users with a skill level
+try {
+  db.exec('ALTER TABLE users ADD COLUMN bot_level TEXT');
+} catch (e) {
+  // Column already exists, ignore
+}
 // Create unique index on nostr_pubkey (partial index for non-null values)
 try {
   db.exec('CREATE UNIQUE INDEX idx_users_nostr_pubkey ON users(nostr_pubkey) WHERE nostr_pubkey IS NOT NULL');
@@ -275,6 +286,386 @@ try {
   // Column already exists, ignore
 }
 
+// Migration: Add in/out rule columns for 301/501
+try {
+  db.exec('ALTER TABLE live_games ADD COLUMN in_rule TEXT');
+} catch (e) {
+  // Column already exists, ignore
+}
+try {
+  db.exec('ALTER TABLE live_games ADD COLUMN out_rule TEXT');
+} catch (e) {
+  // Column already exists, ignore
+}
+try {
+  db.exec('ALTER TABLE games ADD COLUMN in_rule TEXT');
+} catch (e) {
+  // Column already exists, ignore
+}
+try {
+  db.exec('ALTER TABLE games ADD COLUMN out_rule TEXT');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Migration: Add per-game options (JSON) and a generic score column for live games
+try {
+  db.exec('ALTER TABLE live_games ADD COLUMN options TEXT');
+} catch (e) {
+  // Column already exists, ignore
+}
+try {
+  db.exec('ALTER TABLE live_game_players ADD COLUMN score INTEGER DEFAULT 0');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Migration: Add per-player state (JSON) for game types that track more than scores
+try {
+  db.exec('ALTER TABLE live_game_players ADD COLUMN state TEXT');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Migration: Add visit totals to live throws (301/501 turn-total entry)
+// A visit is one row with the 3-dart total, plus the checkout dart and darts at a double when it finished
+try {
+  db.exec('ALTER TABLE live_game_throws ADD COLUMN visit_total INTEGER');
+} catch (e) {
+  // Column already exists, ignore
+}
+try {
+  db.exec('ALTER TABLE live_game_throws ADD COLUMN checkout_dart INTEGER');
+} catch (e) {
+  // Column already exists, ignore
+}
+try {
+  db.exec('ALTER TABLE live_game_throws ADD COLUMN darts_at_double INTEGER');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Migration: Solo practice live games, kept out of crowns and win/loss stats
+try {
+  db.exec('ALTER TABLE live_games ADD COLUMN is_practice INTEGER DEFAULT 0');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Create practice_sessions table - one row per finished practice game, with its stat
+db.exec(`
+  CREATE TABLE IF NOT EXISTS practice_sessions (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    live_game_id TEXT NOT NULL UNIQUE,
+    game_type TEXT NOT NULL,
+    starting_score INTEGER,
+    darts INTEGER NOT NULL,
+    value REAL NOT NULL,
+    created_at TEXT DEFAULT (datetime('now')),
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_practice_sessions_user ON practice_sessions(user_id, created_at);
+`);
+
+// Migration: Keep the starting score and options of games finalized from live scoring,
+// so their throws can be replayed
+try {
+  db.exec('ALTER TABLE games ADD COLUMN starting_score INTEGER');
+} catch (e) {
+  // Column already exists, ignore
+}
+try {
+  db.exec('ALTER TABLE games ADD COLUMN options TEXT');
+} catch (e) {
+  // Column already exists, ignore
+}
+// Per-player state (JSON) from the live game, e.g. each Killer player's number
+try {
+  db.exec('ALTER TABLE game_players ADD COLUMN state TEXT');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Create game_throws table - the throw log of a live game, kept when it's finalized
+db.exec(`
+  CREATE TABLE IF NOT EXISTS game_throws (
+    id TEXT PRIMARY KEY,
+    game_id TEXT NOT NULL,
+    player_id TEXT NOT NULL,
+    throw_order INTEGER NOT NULL,
+    turn_number INTEGER NOT NULL,
+    dart_in_turn INTEGER NOT NULL,
+    segment INTEGER,
+    multiplier INTEGER DEFAULT 1,
+    raw_value INTEGER DEFAULT 0,
+    is_bust INTEGER DEFAULT 0,
+    visit_total INTEGER,
+    checkout_dart INTEGER,
+    darts_at_double INTEGER,
+    created_at TEXT,
+    entered_by TEXT,
+    FOREIGN KEY (game_id) REFERENCES games(id) ON DELETE CASCADE,
+    FOREIGN KEY (player_id) REFERENCES game_players(id) ON DELETE CASCADE
+  );
+  CREATE INDEX IF NOT EXISTS idx_game_throws_game ON game_throws(game_id, throw_order);
+`);
+
+// Create player_game_stats table - each player's stats for a finalized live game,
+// worked out once from its throws so profiles only have to add them up
+db.exec(`
+  CREATE TABLE IF NOT EXISTS player_game_stats (
+    id TEXT PRIMARY KEY,
+    game_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    game_type TEXT NOT NULL,
+    played_at TEXT NOT NULL,
+    darts INTEGER DEFAULT 0,
+    points INTEGER DEFAULT 0,
+    first9_darts INTEGER DEFAULT 0,
+    first9_points INTEGER DEFAULT 0,
+    checkout_attempts INTEGER DEFAULT 0,
+    checkouts INTEGER DEFAULT 0,
+    highest_checkout INTEGER DEFAULT 0,
+    tons INTEGER DEFAULT 0,
+    ton40s INTEGER DEFAULT 0,
+    one_eighties INTEGER DEFAULT 0,
+    marks INTEGER DEFAULT 0,
+    targets INTEGER DEFAULT 0,
+    FOREIGN KEY (game_id) REFERENCES games(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    UNIQUE(game_id, user_id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_player_game_stats_user ON player_game_stats(user_id, played_at);
+`);
+
+// Migration: Finalized live games stored played_at with a time on it, which sorts
+// after a plain date on the same day. Cut them back to the date like every other game
+db.exec(`
+  UPDATE games SET played_at = substr(played_at, 1, 10) WHERE length(played_at) > 10;
+  UPDATE player_game_stats SET played_at = substr(played_at, 1, 10) WHERE length(played_at) > 10;
+`);
+
+// Create ratings tables - each player's current rating per game type, and how
+// every recorded game moved it. Both can be rebuilt by replaying the games
+db.exec(`
+  CREATE TABLE IF NOT EXISTS ratings (
+    user_id TEXT NOT NULL,
+    game_type TEXT NOT NULL,
+    rating REAL NOT NULL,
+    games INTEGER DEFAULT 0,
+    updated_at TEXT DEFAULT (datetime('now')),
+    PRIMARY KEY (user_id, game_type),
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  );
+
+  CREATE TABLE IF NOT EXISTS rating_history (
+    id TEXT PRIMARY KEY,
+    game_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    game_type TEXT NOT NULL,
+    rating_before REAL NOT NULL,
+    rating_after REAL NOT NULL,
+    created_at TEXT DEFAULT (datetime('now')),
+    FOREIGN KEY (game_id) REFERENCES games(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    UNIQUE(game_id, user_id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_rating_history_user ON rating_history(user_id, game_type);
+`);
+
+// Create seasons tables - a league of players meeting each other in round-robin
+// fixtures, each settled by the recorded games linked to it
+db.exec(`
+  CREATE TABLE IF NOT EXISTS seasons (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    game_type TEXT NOT NULL,
+    best_of INTEGER NOT NULL DEFAULT 1,
+    cycles INTEGER NOT NULL DEFAULT 1,
+    reset_crown INTEGER DEFAULT 0,
+    created_by TEXT NOT NULL,
+    created_at TEXT DEFAULT (datetime('now')),
+    FOREIGN KEY (created_by) REFERENCES users(id)
+  );
+
+  CREATE TABLE IF NOT EXISTS season_players (
+    season_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    PRIMARY KEY (season_id, user_id),
+    FOREIGN KEY (season_id) REFERENCES seasons(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  );
+
+  CREATE TABLE IF NOT EXISTS season_fixtures (
+    id TEXT PRIMARY KEY,
+    season_id TEXT NOT NULL,
+    round INTEGER NOT NULL,
+    home_user_id TEXT NOT NULL,
+    away_user_id TEXT NOT NULL,
+    FOREIGN KEY (season_id) REFERENCES seasons(id) ON DELETE CASCADE,
+    FOREIGN KEY (home_user_id) REFERENCES users(id),
+    FOREIGN KEY (away_user_id) REFERENCES users(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_season_fixtures_season ON season_fixtures(season_id, round);
+`);
+
+// Season fixture a recorded or live game was played for
+try {
+  db.exec('ALTER TABLE games ADD COLUMN fixture_id TEXT REFERENCES season_fixtures(id) ON DELETE SET NULL');
+} catch (e) {
+  // Column already exists, ignore
+}
+try {
+  db.exec('ALTER TABLE live_games ADD COLUMN fixture_id TEXT REFERENCES season_fixtures(id) ON DELETE SET NULL');
+} catch (e) {
+  // Column already exists, ignore
+}
+db.exec('CREATE INDEX IF NOT EXISTS idx_games_fixture ON games(fixture_id)');
+
+// Profile stats add up a player's whole history, starting from their game_players rows
+db.exec('CREATE INDEX IF NOT EXISTS idx_game_players_user ON game_players(user_id, game_id)');
+
+// Create tournaments tables - knockout brackets. Only the seeds and each match's
+// result are stored; who plays whom is worked out from them
+db.exec(`
+  CREATE TABLE IF NOT EXISTS tournaments (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    game_type TEXT NOT NULL,
+    format TEXT NOT NULL DEFAULT 'single',
+    best_of INTEGER NOT NULL DEFAULT 1,
+    seeding TEXT NOT NULL DEFAULT 'random',
+    seeds TEXT NOT NULL,
+    created_by TEXT NOT NULL,
+    created_at TEXT DEFAULT (datetime('now')),
+    FOREIGN KEY (created_by) REFERENCES users(id)
+  );
+
+  CREATE TABLE IF NOT EXISTS tournament_matches (
+    id TEXT PRIMARY KEY,
+    tournament_id TEXT NOT NULL,
+    match_key TEXT NOT NULL,
+    live_game_id TEXT,
+    series_id TEXT,
+    winner_user_id TEXT,
+    game_id TEXT,
+    completed_at TEXT,
+    FOREIGN KEY (tournament_id) REFERENCES tournaments(id) ON DELETE CASCADE,
+    FOREIGN KEY (winner_user_id) REFERENCES users(id),
+    FOREIGN KEY (game_id) REFERENCES games(id) ON DELETE SET NULL,
+    UNIQUE(tournament_id, match_key)
+  );
+  CREATE INDEX IF NOT EXISTS idx_tournament_matches_live_game ON tournament_matches(live_game_id);
+  CREATE INDEX IF NOT EXISTS idx_tournament_matches_series ON tournament_matches(series_id);
+`);
+
+// Migration: Count crown defenses as they happen rather than guessing from recent games
+try {
+  db.exec('ALTER TABLE crowns ADD COLUMN defense_count INTEGER DEFAULT 0');
+  // Backfill with the holder's wins in the game type since taking the crown
+  db.exec(`
+    UPDATE crowns SET defense_count = (
+      SELECT COUNT(*) FROM games g
+      JOIN game_players gp ON gp.game_id = g.id
+      WHERE g.game_type = crowns.game_type
+        AND gp.user_id = crowns.holder_user_id
+        AND gp.is_winner = 1
+        AND g.created_at > crowns.acquired_at
+        AND g.id IS NOT crowns.acquired_in_game_id
+    )
+  `);
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Migration: Who a recorded game's result counts for towards its crown - the winner,
+// or for a game that decided a live series the series winner. Null when the game
+// doesn't count, like a series game played before the series was decided. Games
+// recorded before this had no series kept with them, so they count for their winner
+try {
+  db.exec('ALTER TABLE games ADD COLUMN crown_user_id TEXT REFERENCES users(id)');
+  db.exec(`
+    UPDATE games SET crown_user_id = (
+      SELECT gp.user_id FROM game_players gp
+      WHERE gp.game_id = games.id AND gp.is_winner = 1
+      ORDER BY gp.position
+      LIMIT 1
+    )
+  `);
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Create crown_history table - one row each time a crown changes hands.
+// new_holder_user_id is null when a crown is vacated, e.g. by a season reset
+db.exec(`
+  CREATE TABLE IF NOT EXISTS crown_history (
+    id TEXT PRIMARY KEY,
+    game_type TEXT NOT NULL,
+    previous_holder_user_id TEXT,
+    new_holder_user_id TEXT,
+    game_id TEXT,
+    changed_at TEXT DEFAULT (datetime('now')),
+    reign_seconds INTEGER,
+    defenses INTEGER,
+    FOREIGN KEY (previous_holder_user_id) REFERENCES users(id),
+    FOREIGN KEY (new_holder_user_id) REFERENCES users(id),
+    FOREIGN KEY (game_id) REFERENCES games(id) ON DELETE SET NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_crown_history_game_type ON crown_history(game_type, changed_at);
+`);
+
+// Create crown_challenges table - a player calling out a crown holder to play them by a deadline.
+// status is 'pending', then 'met' when they play, 'forfeited' or 'expired' when the deadline
+// passes, 'withdrawn' by the challenger, or 'void' if the holder loses the crown some other way
+db.exec(`
+  CREATE TABLE IF NOT EXISTS crown_challenges (
+    id TEXT PRIMARY KEY,
+    game_type TEXT NOT NULL,
+    holder_user_id TEXT NOT NULL,
+    challenger_user_id TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    created_at TEXT DEFAULT (datetime('now')),
+    deadline_at TEXT NOT NULL,
+    resolved_at TEXT,
+    forfeit_rule TEXT,
+    game_id TEXT,
+    FOREIGN KEY (holder_user_id) REFERENCES users(id),
+    FOREIGN KEY (challenger_user_id) REFERENCES users(id),
+    FOREIGN KEY (game_id) REFERENCES games(id) ON DELETE SET NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_crown_challenges_status ON crown_challenges(status, game_type);
+`);
+
+// Create user_achievements table - badges a player has unlocked, each once.
+// One earned mid-game in live scoring keeps its live_game_id until the game is finalized
+db.exec(`
+  CREATE TABLE IF NOT EXISTS user_achievements (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    achievement_key TEXT NOT NULL,
+    game_id TEXT,
+    live_game_id TEXT,
+    earned_at TEXT DEFAULT (datetime('now')),
+    announced_at TEXT,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (game_id) REFERENCES games(id) ON DELETE SET NULL,
+    UNIQUE(user_id, achievement_key)
+  );
+  CREATE INDEX IF NOT EXISTS idx_user_achievements_live_game ON user_achievements(live_game_id);
+`);
+
+// Migration: Start the history of crowns held before it was kept
+if (!db.prepare('SELECT 1 FROM crown_history LIMIT 1').get()) {
+  for (const crown of db.prepare('SELECT * FROM crowns').all()) {
+    db.prepare(`
+      INSERT INTO crown_history (id, game_type, new_holder_user_id, game_id, changed_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(uuidv4(), crown.game_type, crown.holder_user_id, crown.acquired_in_game_id, crown.acquired_at);
+  }
+}
+
 // Create game_comments table
 db.exec(`
   CREATE TABLE IF NOT EXISTS game_comments (
@@ -314,8 +705,13 @@ const userQueries = {
   findById: db.prepare('SELECT * FROM users WHERE id = ?'),
   findByName: db.prepare('SELECT * FROM users WHERE name = ?'),
   findByNostrPubkey: db.prepare('SELECT * FROM users WHERE nostr_pubkey = ?'),
-  findAll: db.prepare('SELECT * FROM users ORDER BY name'),
-  findAllActive: db.prepare('SELECT * FROM users WHERE deleted_at IS NULL ORDER BY name'),
+  findAll: db.prepare('SELECT * FROM users WHERE bot_level IS NULL ORDER BY name'),
+  findAllActive: db.prepare('SELECT * FROM users WHERE deleted_at IS NULL AND bot_level IS NULL ORDER BY name'),
+  findBot: db.prepare('SELECT * FROM users WHERE bot_level = ?'),
+  createBot: db.prepare(`
+    INSERT INTO users (id, name, is_admin, bot_level)
+    VALUES (?, ?, 0, ?)
+  `),
   countAll: db.prepare('SELECT COUNT(*) as count FROM users'),
   countAdmins: db.prepare('SELECT COUNT(*) as count FROM users WHERE is_admin = 1 AND deleted_at IS NULL'),
   updateName: db.prepare('UPDATE users SET name = ? WHERE id = ?'),
@@ -402,8 +798,8 @@ const invitationQueries = {
 // Game queries
 const gameQueries = {
   create: db.prepare(`
-    INSERT INTO games (id, played_at, game_type, created_by, notes)
-    VALUES (?, ?, ?, ?, ?)
+    INSERT INTO games (id, played_at, game_type, created_by, notes, in_rule, out_rule, starting_score, options, crown_user_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `),
 
   findById: db.prepare(`
@@ -431,20 +827,55 @@ const gameQueries = {
     LIMIT ?
   `),
 
+  // A page of the game feed, newest first. Each filter is skipped when null;
+  // knownGameTypes is a JSON array of game types to leave out, playerIds is a
+  // JSON array of players who all have to be in the game, and the cursor is
+  // the sort key of the last game on the previous page
+  findPage: db.prepare(`
+    SELECT g.*, u.name as created_by_name
+    FROM games g
+    JOIN users u ON g.created_by = u.id
+    WHERE (@gameType IS NULL OR g.game_type = @gameType)
+      AND (@knownGameTypes IS NULL OR g.game_type NOT IN (SELECT value FROM json_each(@knownGameTypes)))
+      AND (@from IS NULL OR g.played_at >= @from)
+      AND (@to IS NULL OR g.played_at < date(@to, '+1 day'))
+      AND (@playerIds IS NULL OR (
+        SELECT COUNT(DISTINCT gp.user_id) FROM game_players gp
+        WHERE gp.game_id = g.id AND gp.user_id IN (SELECT value FROM json_each(@playerIds))
+      ) = json_array_length(@playerIds))
+      AND (@status IS NULL OR (@status = 'confirmed') = NOT EXISTS (
+        SELECT 1 FROM game_players gp WHERE gp.game_id = g.id AND gp.confirmed_at IS NULL
+      ))
+      AND (@cursorPlayedAt IS NULL OR (g.played_at, g.created_at, g.id) < (@cursorPlayedAt, @cursorCreatedAt, @cursorId))
+    ORDER BY g.played_at DESC, g.created_at DESC, g.id DESC
+    LIMIT @limit
+  `),
+
+  // Every game two players both played, newest first
+  findBetween: db.prepare(`
+    SELECT g.*, u.name as created_by_name
+    FROM games g
+    JOIN users u ON g.created_by = u.id
+    WHERE EXISTS (SELECT 1 FROM game_players gp WHERE gp.game_id = g.id AND gp.user_id = ?)
+      AND EXISTS (SELECT 1 FROM game_players gp WHERE gp.game_id = g.id AND gp.user_id = ?)
+    ORDER BY g.played_at DESC, g.created_at DESC
+  `),
+
   delete: db.prepare('DELETE FROM games WHERE id = ?'),
 };
 
 // Game player queries
 const gamePlayerQueries = {
   create: db.prepare(`
-    INSERT INTO game_players (id, game_id, user_id, score, position, is_winner, confirmed_at, checkout_darts)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO game_players (id, game_id, user_id, score, position, is_winner, confirmed_at, checkout_darts, state)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
   `),
 
   findByGameId: db.prepare(`
-    SELECT gp.*, u.name, u.avatar_url
+    SELECT gp.*, u.name, u.avatar_url, rh.rating_before, rh.rating_after
     FROM game_players gp
     JOIN users u ON gp.user_id = u.id
+    LEFT JOIN rating_history rh ON rh.game_id = gp.game_id AND rh.user_id = gp.user_id
     WHERE gp.game_id = ?
     ORDER BY gp.position, gp.is_winner DESC
   `),
@@ -455,6 +886,18 @@ const gamePlayerQueries = {
   `),
 };
 
+// Game throw queries
+const gameThrowQueries = {
+  create: db.prepare(`
+    INSERT INTO game_throws (id, game_id, player_id, throw_order, turn_number, dart_in_turn, segment, multiplier, raw_value, is_bust, visit_total, checkout_dart, darts_at_double, created_at, entered_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+
+  findByGameId: db.prepare(`
+    SELECT * FROM game_throws WHERE game_id = ? ORDER BY throw_order
+  `),
+};
+
 // Notification queries
 const notificationQueries = {
   create: db.prepare(`
@@ -525,29 +968,169 @@ const crownQueries = {
   `),
 
   findAll: db.prepare(`
-    SELECT c.*, u.name as holder_name, u.avatar_url as holder_avatar_url
+    SELECT c.*, u.name as holder_name, u.avatar_url as holder_avatar_url,
+      CAST((julianday('now') - julianday(c.acquired_at)) * 86400 AS INTEGER) as reign_seconds
     FROM crowns c
     JOIN users u ON c.holder_user_id = u.id
     ORDER BY c.game_type
   `),
 
+  // Timestamps default to now, and are given when replaying games from the past
   create: db.prepare(`
     INSERT INTO crowns (id, game_type, holder_user_id, acquired_at, acquired_in_game_id)
-    VALUES (?, ?, ?, datetime('now'), ?)
+    VALUES (?, ?, ?, COALESCE(?, datetime('now')), ?)
   `),
 
   update: db.prepare(`
     UPDATE crowns
-    SET holder_user_id = ?, acquired_at = datetime('now'), acquired_in_game_id = ?
+    SET holder_user_id = ?, acquired_at = COALESCE(?, datetime('now')), acquired_in_game_id = ?, defense_count = 0
     WHERE game_type = ?
   `),
 
+  addDefense: db.prepare('UPDATE crowns SET defense_count = defense_count + 1 WHERE game_type = ?'),
+
+  // The reign ending is measured from the outgoing holder's acquired_at
+  createHistory: db.prepare(`
+    INSERT INTO crown_history (id, game_type, previous_holder_user_id, new_holder_user_id, game_id, changed_at, reign_seconds, defenses)
+    VALUES (@id, @gameType, @previousHolderId, @newHolderId, @gameId, COALESCE(@at, datetime('now')),
+      MAX(0, CAST((julianday(COALESCE(@at, 'now')) - julianday(@since)) * 86400 AS INTEGER)), @defenses)
+  `),
+
+  findHistory: db.prepare(`
+    SELECT h.*, pu.name as previous_holder_name, nu.name as new_holder_name
+    FROM crown_history h
+    LEFT JOIN users pu ON h.previous_holder_user_id = pu.id
+    LEFT JOIN users nu ON h.new_holder_user_id = nu.id
+    ORDER BY h.changed_at DESC, h.rowid DESC
+  `),
+
+  // Crowns one player took from the other, newest first
+  findHistoryBetween: db.prepare(`
+    SELECT h.*, pu.name as previous_holder_name, nu.name as new_holder_name
+    FROM crown_history h
+    LEFT JOIN users pu ON h.previous_holder_user_id = pu.id
+    LEFT JOIN users nu ON h.new_holder_user_id = nu.id
+    WHERE (h.previous_holder_user_id = @userId AND h.new_holder_user_id = @otherId)
+      OR (h.previous_holder_user_id = @otherId AND h.new_holder_user_id = @userId)
+    ORDER BY h.changed_at DESC, h.rowid DESC
+  `),
+
   clearGameReference: db.prepare(`
     UPDATE crowns SET acquired_in_game_id = NULL WHERE acquired_in_game_id = ?
   `),
 
-  deleteByGameId: db.prepare(`
-    DELETE FROM crowns WHERE acquired_in_game_id = ?
+  deleteByGameType: db.prepare('DELETE FROM crowns WHERE game_type = ?'),
+  deleteAll: db.prepare('DELETE FROM crowns'),
+  deleteAllHistory: db.prepare('DELETE FROM crown_history'),
+
+  // Games that count towards crowns, in the order they were played. Like the live award,
+  // a game counts as soon as it's recorded, confirmed or not
+  findReplayGames: db.prepare(`
+    SELECT g.id, g.game_type, g.played_at, g.created_at, g.crown_user_id
+    FROM games g
+    WHERE g.crown_user_id IS NOT NULL
+    ORDER BY date(g.played_at), g.created_at
+  `),
+
+  // Seasons that started their game type's crown afresh
+  findSeasonResets: db.prepare('SELECT game_type, created_at FROM seasons WHERE reset_crown = 1'),
+};
+
+// Achievement queries
+const achievementQueries = {
+  award: db.prepare(`
+    INSERT OR IGNORE INTO user_achievements (id, user_id, achievement_key, game_id, live_game_id)
+    VALUES (?, ?, ?, ?, ?)
+  `),
+
+  findByUserId: db.prepare(`
+    SELECT * FROM user_achievements WHERE user_id = ? ORDER BY earned_at
+  `),
+
+  findUnannounced: db.prepare(`
+    SELECT ua.*, u.name as user_name
+    FROM user_achievements ua
+    JOIN users u ON ua.user_id = u.id
+    WHERE ua.announced_at IS NULL
+    ORDER BY ua.earned_at
+  `),
+
+  markAnnounced: db.prepare(`UPDATE user_achievements SET announced_at = datetime('now') WHERE id = ?`),
+
+  linkLiveGame: db.prepare(`
+    UPDATE user_achievements SET game_id = ?, live_game_id = NULL WHERE live_game_id = ?
+  `),
+
+  findByLiveGameId: db.prepare('SELECT * FROM user_achievements WHERE live_game_id = ?'),
+  delete: db.prepare('DELETE FROM user_achievements WHERE id = ?'),
+
+  // Whether the player won each of their latest games, newest first
+  findRecentResults: db.prepare(`
+    SELECT gp.is_winner
+    FROM game_players gp
+    JOIN games g ON gp.game_id = g.id
+    WHERE gp.user_id = ?
+    ORDER BY g.played_at DESC, g.created_at DESC
+    LIMIT ?
+  `),
+
+  countGames: db.prepare('SELECT COUNT(*) as count FROM game_players WHERE user_id = ?'),
+};
+
+// Crown challenge queries
+const crownChallengeQueries = {
+  create: db.prepare(`
+    INSERT INTO crown_challenges (id, game_type, holder_user_id, challenger_user_id, deadline_at)
+    VALUES (?, ?, ?, ?, datetime('now', ?))
+  `),
+
+  findById: db.prepare(`
+    SELECT cc.*, hu.name as holder_name, cu.name as challenger_name
+    FROM crown_challenges cc
+    JOIN users hu ON cc.holder_user_id = hu.id
+    JOIN users cu ON cc.challenger_user_id = cu.id
+    WHERE cc.id = ?
+  `),
+
+  findPending: db.prepare(`
+    SELECT cc.*, hu.name as holder_name, cu.name as challenger_name
+    FROM crown_challenges cc
+    JOIN users hu ON cc.holder_user_id = hu.id
+    JOIN users cu ON cc.challenger_user_id = cu.id
+    WHERE cc.status = 'pending'
+    ORDER BY cc.deadline_at
+  `),
+
+  findPendingByGameType: db.prepare(`
+    SELECT * FROM crown_challenges WHERE status = 'pending' AND game_type = ?
+  `),
+
+  findDue: db.prepare(`
+    SELECT cc.*, hu.name as holder_name, cu.name as challenger_name
+    FROM crown_challenges cc
+    JOIN users hu ON cc.holder_user_id = hu.id
+    JOIN users cu ON cc.challenger_user_id = cu.id
+    WHERE cc.status = 'pending' AND cc.deadline_at <= datetime('now')
+    ORDER BY cc.deadline_at
+  `),
+
+  // Forfeits are part of a crown's story, so they are replayed with the games
+  findForfeited: db.prepare(`
+    SELECT * FROM crown_challenges WHERE status = 'forfeited'
+  `),
+
+  resolve: db.prepare(`
+    UPDATE crown_challenges
+    SET status = @status, resolved_at = COALESCE(@at, datetime('now')), game_id = @gameId, forfeit_rule = @forfeitRule
+    WHERE id = @id AND status = 'pending'
+  `),
+
+  // Challenges made before a holder lost their crown no longer stand
+  voidForHolder: db.prepare(`
+    UPDATE crown_challenges
+    SET status = 'void', resolved_at = COALESCE(@at, datetime('now'))
+    WHERE status = 'pending' AND game_type = @gameType AND holder_user_id = @holderId
+      AND created_at <= COALESCE(@at, datetime('now'))
   `),
 };
 
@@ -594,8 +1177,8 @@ const gameDeletionQueries = {
 // Live game queries
 const liveGameQueries = {
   create: db.prepare(`
-    INSERT INTO live_games (id, game_type, status, starting_score, created_by, series_id)
-    VALUES (?, ?, 'waiting', ?, ?, ?)
+    INSERT INTO live_games (id, game_type, status, starting_score, created_by, series_id, in_rule, out_rule, options, is_practice, fixture_id)
+    VALUES (?, ?, 'waiting', ?, ?, ?, ?, ?, ?, ?, ?)
   `),
 
   findById: db.prepare(`
@@ -621,88 +1204,444 @@ const liveGameQueries = {
     ORDER BY lg.created_at DESC
   `),
 
-  updateStatus: db.prepare(`
-    UPDATE live_games SET status = ? WHERE id = ?
+  updateStatus: db.prepare(`
+    UPDATE live_games SET status = ? WHERE id = ?
+  `),
+
+  start: db.prepare(`
+    UPDATE live_games SET status = 'playing', started_at = datetime('now') WHERE id = ?
+  `),
+
+  finish: db.prepare(`
+    UPDATE live_games SET status = 'finished', finished_at = datetime('now'), winner_player_id = ? WHERE id = ?
+  `),
+
+  updateTurnState: db.prepare(`
+    UPDATE live_games SET current_player_index = ?, current_dart = ?, current_turn = ? WHERE id = ?
+  `),
+
+  delete: db.prepare('DELETE FROM live_games WHERE id = ?'),
+};
+
+const liveGamePlayerQueries = {
+  create: db.prepare(`
+    INSERT INTO live_game_players (id, live_game_id, user_id, player_order, remaining_score, state)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `),
+
+  findByGameId: db.prepare(`
+    SELECT lgp.*, u.name, u.avatar_url, u.bot_level
+    FROM live_game_players lgp
+    JOIN users u ON lgp.user_id = u.id
+    WHERE lgp.live_game_id = ?
+    ORDER BY lgp.player_order
+  `),
+
+  findById: db.prepare('SELECT * FROM live_game_players WHERE id = ?'),
+
+  findByGameAndUser: db.prepare(`
+    SELECT * FROM live_game_players WHERE live_game_id = ? AND user_id = ?
+  `),
+
+  updatePlayerOrder: db.prepare(`
+    UPDATE live_game_players SET player_order = ? WHERE id = ?
+  `),
+
+  updateCricketMarks: db.prepare(`
+    UPDATE live_game_players
+    SET marks_15 = ?, marks_16 = ?, marks_17 = ?, marks_18 = ?,
+        marks_19 = ?, marks_20 = ?, marks_bull = ?, cricket_points = ?
+    WHERE id = ?
+  `),
+
+  updateRemainingScore: db.prepare(`
+    UPDATE live_game_players SET remaining_score = ? WHERE id = ?
+  `),
+
+  updateCurrentTarget: db.prepare(`
+    UPDATE live_game_players SET current_target = ? WHERE id = ?
+  `),
+
+  saveState: db.prepare(`
+    UPDATE live_game_players
+    SET marks_15 = ?, marks_16 = ?, marks_17 = ?, marks_18 = ?,
+        marks_19 = ?, marks_20 = ?, marks_bull = ?, cricket_points = ?,
+        remaining_score = ?, current_target = ?, score = ?, state = ?
+    WHERE id = ?
+  `),
+};
+
+const liveGameThrowQueries = {
+  create: db.prepare(`
+    INSERT INTO live_game_throws (id, live_game_id, player_id, throw_order, turn_number, dart_in_turn, segment, multiplier, raw_value, is_bust, entered_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+
+  createVisit: db.prepare(`
+    INSERT INTO live_game_throws (id, live_game_id, player_id, throw_order, turn_number, dart_in_turn, segment, multiplier, raw_value, is_bust, entered_by, visit_total, checkout_dart, darts_at_double)
+    VALUES (?, ?, ?, ?, ?, 1, NULL, 1, ?, ?, ?, ?, ?, ?)
+  `),
+
+  findByGameId: db.prepare(`
+    SELECT * FROM live_game_throws WHERE live_game_id = ? ORDER BY throw_order
+  `),
+
+  findLastThrow: db.prepare(`
+    SELECT * FROM live_game_throws WHERE live_game_id = ? ORDER BY throw_order DESC LIMIT 1
+  `),
+
+  findByPlayerAndTurn: db.prepare(`
+    SELECT * FROM live_game_throws WHERE live_game_id = ? AND player_id = ? AND turn_number = ? ORDER BY dart_in_turn
+  `),
+
+  countByGame: db.prepare(`
+    SELECT COUNT(*) as count FROM live_game_throws WHERE live_game_id = ?
+  `),
+
+  update: db.prepare(`
+    UPDATE live_game_throws
+    SET player_id = ?, turn_number = ?, dart_in_turn = ?, segment = ?, multiplier = ?, raw_value = ?, is_bust = ?
+    WHERE id = ?
+  `),
+
+  delete: db.prepare('DELETE FROM live_game_throws WHERE id = ?'),
+};
+
+// Practice session queries
+const practiceSessionQueries = {
+  create: db.prepare(`
+    INSERT INTO practice_sessions (id, user_id, live_game_id, game_type, starting_score, darts, value)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `),
+
+  findByUserId: db.prepare(`
+    SELECT * FROM practice_sessions WHERE user_id = ? ORDER BY created_at DESC, rowid DESC LIMIT ?
+  `),
+
+  findByLiveGameId: db.prepare('SELECT * FROM practice_sessions WHERE live_game_id = ?'),
+};
+
+// Export queries - everything needed to download the history
+const exportQueries = {
+  // A batch of games oldest first, after the sort key of the previous batch
+  findGames: db.prepare(`
+    SELECT g.*, u.name as created_by_name
+    FROM games g
+    JOIN users u ON g.created_by = u.id
+    WHERE (@gameType IS NULL OR g.game_type = @gameType)
+      AND (@knownGameTypes IS NULL OR g.game_type NOT IN (SELECT value FROM json_each(@knownGameTypes)))
+      AND (@from IS NULL OR g.played_at >= @from)
+      AND (@to IS NULL OR g.played_at < date(@to, '+1 day'))
+      AND (@afterPlayedAt IS NULL OR (g.played_at, g.created_at, g.id) > (@afterPlayedAt, @afterCreatedAt, @afterId))
+    ORDER BY g.played_at, g.created_at, g.id
+    LIMIT @limit
+  `),
+
+  findCrownEventsByGameId: db.prepare(`
+    SELECT h.*, pu.name as previous_holder_name, nu.name as new_holder_name
+    FROM crown_history h
+    LEFT JOIN users pu ON h.previous_holder_user_id = pu.id
+    LEFT JOIN users nu ON h.new_holder_user_id = nu.id
+    WHERE h.game_id = ?
+    ORDER BY h.changed_at, h.rowid
+  `),
+
+  findUserGames: db.prepare(`
+    SELECT g.id as game_id, g.played_at, g.game_type, gp.score, gp.position, gp.is_winner, gp.confirmed_at
+    FROM game_players gp
+    JOIN games g ON gp.game_id = g.id
+    WHERE gp.user_id = ?
+    ORDER BY g.played_at, g.created_at
+  `),
+
+  findUserNotifications: db.prepare('SELECT * FROM notifications WHERE user_id = ? ORDER BY created_at'),
+
+  findUserComments: db.prepare('SELECT * FROM game_comments WHERE user_id = ? ORDER BY created_at'),
+
+  findUserPhotos: db.prepare('SELECT * FROM game_photos WHERE user_id = ? ORDER BY created_at'),
+};
+
+// Profile stats queries - totals over a player's whole history
+const profileStatsQueries = {
+  totals: db.prepare(`
+    SELECT COUNT(*) as games, COALESCE(SUM(is_winner), 0) as wins
+    FROM game_players
+    WHERE user_id = ?
+  `),
+
+  byGameType: db.prepare(`
+    SELECT g.game_type, COUNT(*) as played, COALESCE(SUM(gp.is_winner), 0) as wins
+    FROM game_players gp
+    JOIN games g ON gp.game_id = g.id
+    WHERE gp.user_id = ?
+    GROUP BY g.game_type
+    ORDER BY played DESC
+  `),
+
+  // Runs of wins: numbering the games, and separately the wins, gives every game
+  // in an unbroken run the same difference between the two
+  streaks: db.prepare(`
+    WITH results AS (
+      SELECT gp.is_winner as won,
+        ROW_NUMBER() OVER (ORDER BY g.played_at, g.created_at, g.id) as n
+      FROM game_players gp
+      JOIN games g ON gp.game_id = g.id
+      WHERE gp.user_id = ?
+    ),
+    runs AS (
+      SELECT n - ROW_NUMBER() OVER (ORDER BY n) as run
+      FROM results
+      WHERE won = 1
+    )
+    SELECT
+      (SELECT MAX(length) FROM (SELECT COUNT(*) as length FROM runs GROUP BY run)) as best,
+      (SELECT COUNT(*) FROM results WHERE n > COALESCE((SELECT MAX(n) FROM results WHERE won = 0), 0)) as current
+  `),
+
+  // Record against everyone the player has played: a win whenever they won, a
+  // loss when the opponent did
+  headToHead: db.prepare(`
+    SELECT o.user_id, u.name, u.avatar_url,
+      COUNT(*) as played,
+      SUM(CASE WHEN me.is_winner = 1 THEN 1 ELSE 0 END) as wins,
+      SUM(CASE WHEN me.is_winner = 1 THEN 0 WHEN o.is_winner = 1 THEN 1 ELSE 0 END) as losses
+    FROM game_players me
+    JOIN game_players o ON o.game_id = me.game_id AND o.user_id != me.user_id
+    JOIN users u ON o.user_id = u.id
+    WHERE me.user_id = ?
+    GROUP BY o.user_id
+  `),
+};
+
+// Player game stats queries
+const playerStatsQueries = {
+  create: db.prepare(`
+    INSERT OR REPLACE INTO player_game_stats (
+      id, game_id, user_id, game_type, played_at, darts, points, first9_darts, first9_points,
+      checkout_attempts, checkouts, highest_checkout, tons, ton40s, one_eighties, marks, targets
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+
+  // Totals per game type; each filter is skipped when null
+  summarize: db.prepare(`
+    SELECT game_type,
+      COUNT(*) as games,
+      SUM(darts) as darts,
+      SUM(points) as points,
+      SUM(first9_darts) as first9Darts,
+      SUM(first9_points) as first9Points,
+      SUM(checkout_attempts) as checkoutAttempts,
+      SUM(checkouts) as checkouts,
+      MAX(highest_checkout) as highestCheckout,
+      SUM(tons) as tons,
+      SUM(ton40s) as ton40s,
+      SUM(one_eighties) as oneEighties,
+      SUM(marks) as marks,
+      SUM(targets) as targets
+    FROM player_game_stats
+    WHERE user_id = ?
+      AND (? IS NULL OR game_type = ?)
+      AND (? IS NULL OR played_at >= ?)
+      AND (? IS NULL OR played_at < date(?, '+1 day'))
+    GROUP BY game_type
+  `),
+
+  // Totals per game type over the games a second player also has stats for
+  summarizeAgainst: db.prepare(`
+    SELECT game_type,
+      COUNT(*) as games,
+      SUM(darts) as darts,
+      SUM(points) as points,
+      SUM(first9_darts) as first9Darts,
+      SUM(first9_points) as first9Points,
+      SUM(checkout_attempts) as checkoutAttempts,
+      SUM(checkouts) as checkouts,
+      MAX(highest_checkout) as highestCheckout,
+      SUM(tons) as tons,
+      SUM(ton40s) as ton40s,
+      SUM(one_eighties) as oneEighties,
+      SUM(marks) as marks,
+      SUM(targets) as targets
+    FROM player_game_stats
+    WHERE user_id = ?
+      AND game_id IN (SELECT game_id FROM player_game_stats WHERE user_id = ?)
+    GROUP BY game_type
+  `),
+};
+
+// Rating queries
+const ratingQueries = {
+  findForGame: db.prepare(`
+    SELECT r.user_id, r.rating
+    FROM ratings r
+    JOIN game_players gp ON gp.user_id = r.user_id
+    WHERE gp.game_id = ? AND r.game_type = ?
+  `),
+
+  findByUserId: db.prepare(`
+    SELECT * FROM ratings WHERE user_id = ? ORDER BY rating DESC
+  `),
+
+  findByGameType: db.prepare('SELECT user_id, rating FROM ratings WHERE game_type = ?'),
+
+  upsert: db.prepare(`
+    INSERT INTO ratings (user_id, game_type, rating, games, updated_at)
+    VALUES (?, ?, ?, 1, datetime('now'))
+    ON CONFLICT(user_id, game_type) DO UPDATE SET
+      rating = excluded.rating,
+      games = games + 1,
+      updated_at = excluded.updated_at
   `),
 
-  start: db.prepare(`
-    UPDATE live_games SET status = 'playing', started_at = datetime('now') WHERE id = ?
+  createHistory: db.prepare(`
+    INSERT OR REPLACE INTO rating_history (id, game_id, user_id, game_type, rating_before, rating_after)
+    VALUES (?, ?, ?, ?, ?, ?)
   `),
 
-  finish: db.prepare(`
-    UPDATE live_games SET status = 'finished', finished_at = datetime('now'), winner_player_id = ? WHERE id = ?
+  countUnconfirmed: db.prepare('SELECT COUNT(*) as count FROM game_players WHERE game_id = ? AND confirmed_at IS NULL'),
+
+  // A confirmed game that comes after this one in rating order: by day, then the order
+  // games were entered. Only confirmed games are rated
+  findRatedAfter: db.prepare(`
+    SELECT 1 FROM games g
+    WHERE g.id != @id
+      AND (date(g.played_at), g.created_at) > (date(@playedAt), @createdAt)
+      AND NOT EXISTS (SELECT 1 FROM game_players gp WHERE gp.game_id = g.id AND gp.confirmed_at IS NULL)
+    LIMIT 1
   `),
 
-  updateTurnState: db.prepare(`
-    UPDATE live_games SET current_player_index = ?, current_dart = ?, current_turn = ? WHERE id = ?
+  // Confirmed games oldest first, the order ratings are replayed in
+  findAllGames: db.prepare(`
+    SELECT g.id FROM games g
+    WHERE NOT EXISTS (SELECT 1 FROM game_players gp WHERE gp.game_id = g.id AND gp.confirmed_at IS NULL)
+    ORDER BY date(g.played_at), g.created_at
   `),
 
-  delete: db.prepare('DELETE FROM live_games WHERE id = ?'),
+  deleteAll: db.prepare('DELETE FROM ratings'),
+  deleteAllHistory: db.prepare('DELETE FROM rating_history'),
 };
 
-const liveGamePlayerQueries = {
+// Season queries
+const seasonQueries = {
   create: db.prepare(`
-    INSERT INTO live_game_players (id, live_game_id, user_id, player_order, remaining_score)
+    INSERT INTO seasons (id, name, game_type, best_of, cycles, reset_crown, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `),
+
+  addPlayer: db.prepare('INSERT INTO season_players (season_id, user_id) VALUES (?, ?)'),
+
+  createFixture: db.prepare(`
+    INSERT INTO season_fixtures (id, season_id, round, home_user_id, away_user_id)
     VALUES (?, ?, ?, ?, ?)
   `),
 
-  findByGameId: db.prepare(`
-    SELECT lgp.*, u.name, u.avatar_url
-    FROM live_game_players lgp
-    JOIN users u ON lgp.user_id = u.id
-    WHERE lgp.live_game_id = ?
-    ORDER BY lgp.player_order
+  findById: db.prepare(`
+    SELECT s.*, u.name as created_by_name
+    FROM seasons s
+    JOIN users u ON s.created_by = u.id
+    WHERE s.id = ?
   `),
 
-  findById: db.prepare('SELECT * FROM live_game_players WHERE id = ?'),
+  findAll: db.prepare(`
+    SELECT s.*, u.name as created_by_name,
+      (SELECT COUNT(*) FROM season_players sp WHERE sp.season_id = s.id) as player_count
+    FROM seasons s
+    JOIN users u ON s.created_by = u.id
+    ORDER BY s.created_at DESC
+  `),
 
-  findByGameAndUser: db.prepare(`
-    SELECT * FROM live_game_players WHERE live_game_id = ? AND user_id = ?
+  findPlayers: db.prepare(`
+    SELECT sp.user_id, u.name, u.avatar_url
+    FROM season_players sp
+    JOIN users u ON sp.user_id = u.id
+    WHERE sp.season_id = ?
+    ORDER BY u.name
   `),
 
-  updatePlayerOrder: db.prepare(`
-    UPDATE live_game_players SET player_order = ? WHERE id = ?
+  findFixtures: db.prepare(`
+    SELECT f.*, s.best_of, h.name as home_name, a.name as away_name
+    FROM season_fixtures f
+    JOIN seasons s ON f.season_id = s.id
+    JOIN users h ON f.home_user_id = h.id
+    JOIN users a ON f.away_user_id = a.id
+    WHERE f.season_id = ?
+    ORDER BY f.round, f.rowid
   `),
 
-  updateCricketMarks: db.prepare(`
-    UPDATE live_game_players
-    SET marks_15 = ?, marks_16 = ?, marks_17 = ?, marks_18 = ?,
-        marks_19 = ?, marks_20 = ?, marks_bull = ?, cricket_points = ?
-    WHERE id = ?
+  findFixtureById: db.prepare(`
+    SELECT f.*, s.best_of, s.game_type, s.name as season_name, h.name as home_name, a.name as away_name
+    FROM season_fixtures f
+    JOIN seasons s ON f.season_id = s.id
+    JOIN users h ON f.home_user_id = h.id
+    JOIN users a ON f.away_user_id = a.id
+    WHERE f.id = ?
   `),
 
-  updateRemainingScore: db.prepare(`
-    UPDATE live_game_players SET remaining_score = ? WHERE id = ?
+  findGamesByFixtureId: db.prepare(`
+    SELECT * FROM games WHERE fixture_id = ? ORDER BY played_at, created_at
   `),
 
-  updateCurrentTarget: db.prepare(`
-    UPDATE live_game_players SET current_target = ? WHERE id = ?
+  findActiveLiveGame: db.prepare(`
+    SELECT * FROM live_games
+    WHERE fixture_id = ? AND status IN ('waiting', 'playing')
+    ORDER BY created_at DESC
+    LIMIT 1
   `),
+
+  linkGame: db.prepare('UPDATE games SET fixture_id = ? WHERE id = ?'),
 };
 
-const liveGameThrowQueries = {
+// Tournament queries
+const tournamentQueries = {
   create: db.prepare(`
-    INSERT INTO live_game_throws (id, live_game_id, player_id, throw_order, turn_number, dart_in_turn, segment, multiplier, raw_value, is_bust, entered_by)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO tournaments (id, name, game_type, format, best_of, seeding, seeds, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
   `),
 
-  findByGameId: db.prepare(`
-    SELECT * FROM live_game_throws WHERE live_game_id = ? ORDER BY throw_order
+  findById: db.prepare(`
+    SELECT t.*, u.name as created_by_name
+    FROM tournaments t
+    JOIN users u ON t.created_by = u.id
+    WHERE t.id = ?
   `),
 
-  findLastThrow: db.prepare(`
-    SELECT * FROM live_game_throws WHERE live_game_id = ? ORDER BY throw_order DESC LIMIT 1
+  findAll: db.prepare(`
+    SELECT t.*, u.name as created_by_name, json_array_length(t.seeds) as player_count
+    FROM tournaments t
+    JOIN users u ON t.created_by = u.id
+    ORDER BY t.created_at DESC
   `),
 
-  findByPlayerAndTurn: db.prepare(`
-    SELECT * FROM live_game_throws WHERE live_game_id = ? AND player_id = ? AND turn_number = ? ORDER BY dart_in_turn
+  // Match rows with the status of the live game last launched for them
+  findMatches: db.prepare(`
+    SELECT tm.*, lg.status as live_status
+    FROM tournament_matches tm
+    LEFT JOIN live_games lg ON tm.live_game_id = lg.id
+    WHERE tm.tournament_id = ?
   `),
 
-  countByGame: db.prepare(`
-    SELECT COUNT(*) as count FROM live_game_throws WHERE live_game_id = ?
+  // A live game played for a match, or one from the series launched for it
+  findMatchByLiveGame: db.prepare(`
+    SELECT * FROM tournament_matches
+    WHERE live_game_id = ? OR (series_id IS NOT NULL AND series_id = ?)
   `),
 
-  delete: db.prepare('DELETE FROM live_game_throws WHERE id = ?'),
+  launchMatch: db.prepare(`
+    INSERT INTO tournament_matches (id, tournament_id, match_key, live_game_id, series_id)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(tournament_id, match_key) DO UPDATE SET
+      live_game_id = excluded.live_game_id,
+      series_id = excluded.series_id
+  `),
+
+  updateLiveGame: db.prepare('UPDATE tournament_matches SET live_game_id = ? WHERE id = ?'),
+
+  recordResult: db.prepare(`
+    UPDATE tournament_matches
+    SET winner_user_id = ?, game_id = ?, completed_at = datetime('now')
+    WHERE id = ?
+  `),
 };
 
 // Live game series queries
@@ -816,6 +1755,14 @@ const users = {
   findByNostrPubkey: (pubkey) => userQueries.findByNostrPubkey.get(pubkey),
   findAll: () => userQueries.findAll.all(),
   findAllActive: () => userQueries.findAllActive.all(),
+  // The computer opponent for a skill level, created the first time it's needed
+  findOrCreateBot(level) {
+    const existing = userQueries.findBot.get(level);
+    if (existing) return existing;
+    const id = uuidv4();
+    userQueries.createBot.run(id, `${BOT_LEVELS[level].name} Bot 🤖`, level);
+    return userQueries.findById.get(id);
+  },
   count: () => userQueries.countAll.get().count,
   countAdmins: () => userQueries.countAdmins.get().count,
   updateName: (id, name) => userQueries.updateName.run(name, id),
@@ -891,12 +1838,37 @@ const invitations = {
   },
 };
 
+// Query parameters for a game type filter; "Other" matches every game type that isn't registered
+function gameTypeFilter(gameType) {
+  if (gameType === OTHER_GAME_TYPE) {
+    return { gameType: null, knownGameTypes: JSON.stringify(listGameTypes().map(type => type.name)) };
+  }
+  return { gameType: gameType || null, knownGameTypes: null };
+}
+
 const games = {
-  create(playedAt, gameType, createdBy, notes, players) {
+  // rules: optional { inRule, outRule, startingScore, options } for games finalized from live scoring,
+  // and crownUserId when the result counts for someone other than the winner towards the crown
+  // (null when it doesn't count at all, e.g. a series game that didn't decide the series)
+  // players may carry the throws they made in a live game, which are kept with the game
+  create(playedAt, gameType, createdBy, notes, players, rules = {}) {
     const id = uuidv4();
+    const winner = players.find(p => p.isWinner);
+    const crownUserId = rules.crownUserId !== undefined ? rules.crownUserId : (winner ? winner.userId : null);
 
     const createGame = db.transaction(() => {
-      gameQueries.create.run(id, playedAt, gameType, createdBy, notes || null);
+      gameQueries.create.run(
+        id,
+        playedAt,
+        gameType,
+        createdBy,
+        notes || null,
+        rules.inRule || null,
+        rules.outRule || null,
+        rules.startingScore || null,
+        rules.options ? JSON.stringify(rules.options) : null,
+        crownUserId
+      );
 
       for (const player of players) {
         const playerId = uuidv4();
@@ -910,10 +1882,37 @@ const games = {
           player.position || null,
           player.isWinner ? 1 : 0,
           confirmedAt,
-          player.checkoutDarts || null
+          player.checkoutDarts || null,
+          player.state ? JSON.stringify(player.state) : null
         );
+
+        for (const t of player.throws || []) {
+          gameThrowQueries.create.run(
+            uuidv4(),
+            id,
+            playerId,
+            t.throw_order,
+            t.turn_number,
+            t.dart_in_turn,
+            t.segment,
+            t.multiplier,
+            t.raw_value,
+            t.is_bust ? 1 : 0,
+            t.visit_total,
+            t.checkout_dart,
+            t.darts_at_double,
+            t.created_at,
+            t.entered_by
+          );
+        }
       }
 
+      // Rated now only if nobody else has to confirm it, e.g. a game recorded by its only player
+      if (ratingQueries.countUnconfirmed.get(id).count === 0) {
+        ratings.recordConfirmedGame(id);
+      }
+      crownChallenges.recordGame(id);
+      achievements.recordGame(id);
       return id;
     });
 
@@ -924,6 +1923,11 @@ const games = {
     const game = gameQueries.findById.get(id);
     if (game) {
       game.players = gamePlayerQueries.findByGameId.all(id);
+      game.throws = gameThrowQueries.findByGameId.all(id);
+      if (game.options) game.options = JSON.parse(game.options);
+      for (const player of game.players) {
+        if (player.state) player.state = JSON.parse(player.state);
+      }
     }
     return game;
   },
@@ -944,14 +1948,78 @@ const games = {
     });
   },
 
+  // filters: optional { gameType, playerIds, from, to, status, cursor } with dates as
+  // YYYY-MM-DD and status 'confirmed' or 'pending'. Returns the page's games and
+  // the cursor for the next page, or null on the last page
+  findPage(filters = {}, limit = 20) {
+    let cursor = [null, null, null];
+    if (filters.cursor) {
+      try {
+        const parsed = JSON.parse(Buffer.from(filters.cursor, 'base64url').toString());
+        if (Array.isArray(parsed) && parsed.length === 3 && parsed.every(v => typeof v === 'string')) {
+          cursor = parsed;
+        }
+      } catch (e) {
+        // Not a cursor we handed out - start from the top
+      }
+    }
+    const playerIds = filters.playerIds && filters.playerIds.length > 0 ? filters.playerIds : null;
+
+    const rows = gameQueries.findPage.all({
+      ...gameTypeFilter(filters.gameType),
+      from: filters.from || null,
+      to: filters.to || null,
+      playerIds: playerIds ? JSON.stringify(playerIds) : null,
+      status: filters.status || null,
+      cursorPlayedAt: cursor[0],
+      cursorCreatedAt: cursor[1],
+      cursorId: cursor[2],
+      // One extra shows whether there's another page
+      limit: limit + 1,
+    });
+
+    const pageGames = rows.slice(0, limit).map(game => {
+      game.players = gamePlayerQueries.findByGameId.all(game.id);
+      return game;
+    });
+    const last = pageGames[pageGames.length - 1];
+    return {
+      games: pageGames,
+      nextCursor: rows.length > limit
+        ? Buffer.from(JSON.stringify([last.played_at, last.created_at, last.id])).toString('base64url')
+        : null,
+    };
+  },
+
+  findBetween(userId, otherId) {
+    return gameQueries.findBetween.all(userId, otherId).map(game => {
+      game.players = gamePlayerQueries.findByGameId.all(game.id);
+      return game;
+    });
+  },
+
   delete: (id) => {
-    // Delete any crowns awarded in this game before deleting
-    crownQueries.deleteByGameId.run(id);
-    return gameQueries.delete.run(id);
+    // Let go of any crown awarded in this game before deleting
+    crownQueries.clearGameReference.run(id);
+    const result = gameQueries.delete.run(id);
+    // Later games were rated against this one, so replay them all
+    ratings.rebuild();
+    // Whoever won this game may not have earned their crown otherwise
+    crowns.rebuild();
+    return result;
   },
 
+  // The last player to confirm a game gets it rated
   confirmForUser(gameId, userId) {
-    return gamePlayerQueries.confirmGame.run(gameId, userId);
+    const confirm = db.transaction(() => {
+      const wasConfirmed = ratingQueries.countUnconfirmed.get(gameId).count === 0;
+      const result = gamePlayerQueries.confirmGame.run(gameId, userId);
+      if (!wasConfirmed && ratingQueries.countUnconfirmed.get(gameId).count === 0) {
+        ratings.recordConfirmedGame(gameId);
+      }
+      return result;
+    });
+    return confirm();
   },
 };
 
@@ -984,19 +2052,65 @@ const pushSubscriptions = {
 };
 
 // Designated game types that have crowns (excludes "Other")
-const CROWN_GAME_TYPES = ['Cricket', '301', '501', 'Around the World'];
+const CROWN_GAME_TYPES = crownGameTypes();
 
 const crowns = {
   GAME_TYPES: CROWN_GAME_TYPES,
 
   findByGameType: (gameType) => crownQueries.findByGameType.get(gameType),
+
+  // Clear a game type's crown, e.g. at the start of a season
+  reset(gameType, at = null) {
+    const currentCrown = crownQueries.findByGameType.get(gameType);
+    if (!currentCrown) return;
+    crownQueries.createHistory.run({
+      id: uuidv4(),
+      gameType,
+      previousHolderId: currentCrown.holder_user_id,
+      newHolderId: null,
+      gameId: null,
+      at,
+      since: currentCrown.acquired_at,
+      defenses: currentCrown.defense_count,
+    });
+    crownQueries.deleteByGameType.run(gameType);
+    crownChallengeQueries.voidForHolder.run({ gameType, holderId: currentCrown.holder_user_id, at });
+  },
+
+  // Hand a crown to a challenger the holder didn't play in time
+  // replaying: part of a rebuild, so achievements aren't unlocked again
+  forfeit(gameType, challengerId, at = null, replaying = false) {
+    const currentCrown = crownQueries.findByGameType.get(gameType);
+    if (!currentCrown) return;
+    crownQueries.createHistory.run({
+      id: uuidv4(),
+      gameType,
+      previousHolderId: currentCrown.holder_user_id,
+      newHolderId: challengerId,
+      gameId: null,
+      at,
+      since: currentCrown.acquired_at,
+      defenses: currentCrown.defense_count,
+    });
+    crownQueries.update.run(challengerId, at, null, gameType);
+    crownChallengeQueries.voidForHolder.run({ gameType, holderId: currentCrown.holder_user_id, at });
+    if (!replaying) {
+      achievements.recordCrown(challengerId, null, { awarded: true, defenseCount: 0 });
+    }
+  },
   findByUserId: (userId) => crownQueries.findByUserId.all(userId),
   findAll: () => crownQueries.findAll.all(),
 
+  // Every change of hands, newest first
+  findHistory: () => crownQueries.findHistory.all(),
+  findHistoryBetween: (userId, otherId) => crownQueries.findHistoryBetween.all({ userId, otherId }),
+
   // Award or transfer a crown based on game result
   // playerIds: array of user IDs who participated in the game
+  // at: when it happened, if not now
+  // replaying: part of a rebuild, so achievements aren't unlocked again
   // Returns { awarded: boolean, previousHolder: object|null } if crown changed hands
-  processGameResult(gameType, winnerId, gameId, playerIds) {
+  processGameResult(gameType, winnerId, gameId, playerIds, at = null, replaying = false) {
     // Only process designated game types
     if (!CROWN_GAME_TYPES.includes(gameType)) {
       return { awarded: false, previousHolder: null };
@@ -1007,12 +2121,29 @@ const crowns = {
     if (!currentCrown) {
       // No one holds this crown yet - award it to the winner
       const id = uuidv4();
-      crownQueries.create.run(id, gameType, winnerId, gameId);
+      crownQueries.create.run(id, gameType, winnerId, at, gameId);
+      if (!replaying) {
+        achievements.recordCrown(winnerId, gameId, { awarded: true, defenseCount: 0 });
+      }
+      crownQueries.createHistory.run({
+        id: uuidv4(),
+        gameType,
+        previousHolderId: null,
+        newHolderId: winnerId,
+        gameId,
+        at,
+        since: null,
+        defenses: null,
+      });
       return { awarded: true, previousHolder: null };
     }
 
     if (currentCrown.holder_user_id === winnerId) {
-      // Winner already holds the crown - no change
+      // Winner already holds the crown - a successful defense
+      crownQueries.addDefense.run(gameType);
+      if (!replaying) {
+        achievements.recordCrown(winnerId, gameId, { awarded: false, defenseCount: currentCrown.defense_count + 1 });
+      }
       return { awarded: false, previousHolder: null };
     }
 
@@ -1028,9 +2159,247 @@ const crowns = {
       id: currentCrown.holder_user_id,
       name: currentCrown.holder_name,
     };
-    crownQueries.update.run(winnerId, gameId, gameType);
+    crownQueries.createHistory.run({
+      id: uuidv4(),
+      gameType,
+      previousHolderId: currentCrown.holder_user_id,
+      newHolderId: winnerId,
+      gameId,
+      at,
+      since: currentCrown.acquired_at,
+      defenses: currentCrown.defense_count,
+    });
+    crownQueries.update.run(winnerId, at, gameId, gameType);
+    crownChallengeQueries.voidForHolder.run({ gameType, holderId: currentCrown.holder_user_id, at });
+    if (!replaying) {
+      achievements.recordCrown(winnerId, gameId, { awarded: true, defenseCount: 0 });
+    }
     return { awarded: true, previousHolder };
   },
+
+  // Throw away the crowns and replay every game that counted towards one in the order
+  // it was played, along with season resets and forfeits. Used when a game is deleted, or on demand.
+  // The replay unlocks no achievements; only anyone who gains or loses a crown as a result is notified
+  // Returns the changes as [{ gameType, previousHolder, newHolder }]
+  rebuild() {
+    const before = new Map(crownQueries.findAll.all().map(c => [c.game_type, c]));
+
+    const replay = db.transaction(() => {
+      crownQueries.deleteAllHistory.run();
+      crownQueries.deleteAll.run();
+
+      // Order by the day things happened, then when they were recorded
+      const events = [
+        ...crownQueries.findReplayGames.all().map(game => ({ game, key: `${game.played_at.slice(0, 10)} ${game.created_at}` })),
+        ...crownQueries.findSeasonResets.all().map(season => ({ season, key: `${season.created_at.slice(0, 10)} ${season.created_at}` })),
+        ...crownChallengeQueries.findForfeited.all().map(challenge => ({ challenge, key: `${challenge.resolved_at.slice(0, 10)} ${challenge.resolved_at}` })),
+      ].sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+
+      // Backdated games are stamped no earlier than what came before, so reigns never run backwards
+      let clock = '';
+      for (const { game, season, challenge } of events) {
+        const stamp = challenge ? challenge.resolved_at : (game || season).created_at;
+        if (stamp > clock) clock = stamp;
+        if (season) {
+          crowns.reset(season.game_type, clock);
+          continue;
+        }
+        if (challenge) {
+          // Only if the holder who let the challenge lapse still has the crown at this point
+          const currentCrown = crownQueries.findByGameType.get(challenge.game_type);
+          if (currentCrown && currentCrown.holder_user_id === challenge.holder_user_id) {
+            if (challenge.forfeit_rule === 'vacate') {
+              crowns.reset(challenge.game_type, clock);
+            } else {
+              crowns.forfeit(challenge.game_type, challenge.challenger_user_id, clock, true);
+            }
+          }
+          continue;
+        }
+        // Awarded to whoever the game counted for when it was recorded, e.g. the winner of the series it decided
+        const playerIds = gamePlayerQueries.findByGameId.all(game.id).map(p => p.user_id);
+        crowns.processGameResult(game.game_type, game.crown_user_id, game.id, playerIds, clock, true);
+      }
+    });
+    replay();
+
+    const after = new Map(crownQueries.findAll.all().map(c => [c.game_type, c]));
+    const changes = [];
+    for (const gameType of CROWN_GAME_TYPES) {
+      const previous = before.get(gameType);
+      const current = after.get(gameType);
+      if ((previous && previous.holder_user_id) === (current && current.holder_user_id)) continue;
+
+      const previousHolder = previous ? { id: previous.holder_user_id, name: previous.holder_name } : null;
+      const newHolder = current ? { id: current.holder_user_id, name: current.holder_name } : null;
+      const gameId = current ? current.acquired_in_game_id : null;
+      if (newHolder) {
+        notifications.create(newHolder.id, 'crown_won', gameId, `The ${gameType} crown has been recalculated and is now yours!`);
+      }
+      if (previousHolder) {
+        notifications.create(
+          previousHolder.id,
+          'crown_lost',
+          gameId,
+          newHolder
+            ? `The ${gameType} crown has been recalculated and passed to ${newHolder.name}.`
+            : `The ${gameType} crown has been recalculated and is now unclaimed.`
+        );
+      }
+      changes.push({ gameType, previousHolder, newHolder });
+    }
+    return changes;
+  },
+};
+
+const crownChallenges = {
+  create(gameType, holderUserId, challengerUserId, days) {
+    const id = uuidv4();
+    crownChallengeQueries.create.run(id, gameType, holderUserId, challengerUserId, `+${days} days`);
+    return id;
+  },
+
+  findById: (id) => crownChallengeQueries.findById.get(id),
+  findPending: () => crownChallengeQueries.findPending.all(),
+
+  withdraw: (id) => crownChallengeQueries.resolve.run({ id, status: 'withdrawn', at: null, gameId: null, forfeitRule: null }),
+
+  // A recorded game between the holder and challenger meets the challenge, whoever wins
+  recordGame(gameId) {
+    const game = gameQueries.findById.get(gameId);
+    const playerIds = gamePlayerQueries.findByGameId.all(gameId).map(p => p.user_id);
+    for (const challenge of crownChallengeQueries.findPendingByGameType.all(game.game_type)) {
+      const bothPlayed = playerIds.includes(challenge.holder_user_id) && playerIds.includes(challenge.challenger_user_id);
+      // A game backdated to before the challenge doesn't answer it
+      if (bothPlayed && game.played_at.slice(0, 10) >= challenge.created_at.slice(0, 10)) {
+        crownChallengeQueries.resolve.run({ id: challenge.id, status: 'met', at: null, gameId, forfeitRule: null });
+      }
+    }
+  },
+
+  // Settle challenges whose deadline has passed by the forfeit rule, notifying both players
+  // Returns the challenges settled, each with the outcome ('forfeited', 'expired' or 'void')
+  expireDue(forfeitRule) {
+    const settled = [];
+    for (const challenge of crownChallengeQueries.findDue.all()) {
+      const currentCrown = crownQueries.findByGameType.get(challenge.game_type);
+      let outcome;
+      if (!currentCrown || currentCrown.holder_user_id !== challenge.holder_user_id) {
+        outcome = 'void';
+      } else if (forfeitRule === 'none') {
+        outcome = 'expired';
+      } else {
+        outcome = 'forfeited';
+      }
+
+      db.transaction(() => {
+        crownChallengeQueries.resolve.run({
+          id: challenge.id,
+          status: outcome,
+          at: challenge.deadline_at,
+          gameId: null,
+          forfeitRule: outcome === 'forfeited' ? forfeitRule : null,
+        });
+        if (outcome === 'forfeited' && forfeitRule === 'vacate') {
+          crowns.reset(challenge.game_type, challenge.deadline_at);
+        } else if (outcome === 'forfeited') {
+          crowns.forfeit(challenge.game_type, challenge.challenger_user_id, challenge.deadline_at);
+        }
+      })();
+
+      if (outcome === 'forfeited') {
+        const { game_type: gameType, holder_name: holderName, challenger_name: challengerName } = challenge;
+        notifications.create(
+          challenge.holder_user_id,
+          'crown_lost',
+          null,
+          forfeitRule === 'vacate'
+            ? `You didn't play ${challengerName} in time and have given up the ${gameType} crown.`
+            : `You didn't play ${challengerName} in time and have forfeited the ${gameType} crown to them.`
+        );
+        notifications.create(
+          challenge.challenger_user_id,
+          forfeitRule === 'vacate' ? 'crown_challenge' : 'crown_won',
+          null,
+          forfeitRule === 'vacate'
+            ? `${holderName} didn't play you in time and has given up the ${gameType} crown.`
+            : `${holderName} didn't play you in time - the ${gameType} crown is yours!`
+        );
+      } else if (outcome === 'expired') {
+        notifications.create(
+          challenge.challenger_user_id,
+          'crown_challenge',
+          null,
+          `Your challenge for ${challenge.holder_name}'s ${challenge.game_type} crown ran out without a game.`
+        );
+      }
+      settled.push({ ...challenge, outcome });
+    }
+    return settled;
+  },
+};
+
+// Achievements - announcing them is left to pushService.announceAchievements
+const achievements = {
+  // Unlock an achievement unless the player has it already. Computer players don't collect them
+  // Returns true if it was newly unlocked
+  award(userId, key, { gameId = null, liveGameId = null } = {}) {
+    const user = userQueries.findById.get(userId);
+    if (!user || user.bot_level) return false;
+    return achievementQueries.award.run(uuidv4(), userId, key, gameId, liveGameId).changes > 0;
+  },
+
+  // Check each player's record once a game is recorded
+  recordGame(gameId) {
+    for (const player of gamePlayerQueries.findByGameId.all(gameId)) {
+      const keys = resultAchievements({
+        recentResults: achievementQueries.findRecentResults.all(player.user_id, 10).map(r => Boolean(r.is_winner)),
+        gamesPlayed: achievementQueries.countGames.get(player.user_id).count,
+      });
+      for (const key of keys) {
+        achievements.award(player.user_id, key, { gameId });
+      }
+    }
+  },
+
+  recordCrown(userId, gameId, crown) {
+    for (const key of crownAchievements(crown)) {
+      achievements.award(userId, key, { gameId });
+    }
+  },
+
+  // Match a live game's achievements to what its throws earn now: ones an undone or
+  // corrected dart no longer earns are taken back. earned: [{ userId, key }]
+  // Returns true if any were newly unlocked
+  syncLiveGame(liveGameId, earned) {
+    const sync = db.transaction(() => {
+      for (const row of achievementQueries.findByLiveGameId.all(liveGameId)) {
+        if (!earned.some(e => e.userId === row.user_id && e.key === row.achievement_key)) {
+          achievementQueries.delete.run(row.id);
+        }
+      }
+      let unlocked = false;
+      for (const { userId, key } of earned) {
+        unlocked = achievements.award(userId, key, { liveGameId }) || unlocked;
+      }
+      return unlocked;
+    });
+    return sync();
+  },
+
+  // Achievements earned during a live game move to the game it was recorded as
+  linkLiveGame: (liveGameId, gameId) => achievementQueries.linkLiveGame.run(gameId, liveGameId),
+
+  findByUserId: (userId) => achievementQueries.findByUserId.all(userId),
+
+  // Achievements not yet announced, marked as announced
+  takeUnannounced() {
+    const unannounced = achievementQueries.findUnannounced.all();
+    for (const row of unannounced) {
+      achievementQueries.markAnnounced.run(row.id);
+    }
+    return unannounced;
+  },
 };
 
 // Game deletion approval helpers
@@ -1054,18 +2423,42 @@ const gameDeletions = {
   findGamesWithPendingDeletion: () => gameDeletionQueries.findGamesWithPendingDeletion.all(),
 };
 
+// Parse a live game player's JSON state column
+function parsePlayerState(player) {
+  if (player && player.state) player.state = JSON.parse(player.state);
+  return player;
+}
+
 // Live games helper
 const liveGames = {
-  create(gameType, startingScore, createdBy, playerUserIds, seriesId = null) {
+  // settings: { inRule, outRule } for game types with in/out rules, ignored otherwise,
+  // plus options: game type specific settings (e.g. Shanghai round count)
+  // and practice: true for a solo practice session, or fixtureId for a season fixture
+  create(gameType, startingScore, createdBy, playerUserIds, seriesId = null, settings = {}) {
     const id = uuidv4();
+    const type = getGameType(gameType);
+    const hasRules = Boolean(type && type.hasRules);
 
     const createLiveGame = db.transaction(() => {
-      liveGameQueries.create.run(id, gameType, startingScore || null, createdBy, seriesId || null);
-
+      liveGameQueries.create.run(
+        id, gameType, startingScore || null, createdBy, seriesId || null,
+        hasRules ? (settings.inRule || DEFAULT_IN_RULE) : null,
+        hasRules ? (settings.outRule || DEFAULT_OUT_RULE) : null,
+        settings.options ? JSON.stringify(settings.options) : null,
+        settings.practice ? 1 : 0,
+        settings.fixtureId || null
+      );
+
+      // Players are initialised in order so a game type can see who came before (e.g. Killer numbers)
+      const initialGame = { starting_score: startingScore || null, options: settings.options || null, players: [] };
       for (let i = 0; i < playerUserIds.length; i++) {
         const playerId = uuidv4();
-        const remainingScore = (gameType === '301' || gameType === '501') ? startingScore : null;
-        liveGamePlayerQueries.create.run(playerId, id, playerUserIds[i], i, remainingScore);
+        const initial = type ? type.initPlayer(initialGame) : {};
+        initialGame.players.push(initial);
+        liveGamePlayerQueries.create.run(
+          playerId, id, playerUserIds[i], i, initial.remaining_score ?? null,
+          initial.state ? JSON.stringify(initial.state) : null
+        );
       }
 
       return id;
@@ -1077,7 +2470,8 @@ const liveGames = {
   findById(id) {
     const game = liveGameQueries.findById.get(id);
     if (game) {
-      game.players = liveGamePlayerQueries.findByGameId.all(id);
+      if (game.options) game.options = JSON.parse(game.options);
+      game.players = liveGamePlayerQueries.findByGameId.all(id).map(parsePlayerState);
       game.throws = liveGameThrowQueries.findByGameId.all(id);
     }
     return game;
@@ -1086,7 +2480,8 @@ const liveGames = {
   findActive: () => {
     const games = liveGameQueries.findActive.all();
     return games.map(game => {
-      game.players = liveGamePlayerQueries.findByGameId.all(game.id);
+      if (game.options) game.options = JSON.parse(game.options);
+      game.players = liveGamePlayerQueries.findByGameId.all(game.id).map(parsePlayerState);
       return game;
     });
   },
@@ -1094,7 +2489,8 @@ const liveGames = {
   findByStatus: (status) => {
     const games = liveGameQueries.findByStatus.all(status);
     return games.map(game => {
-      game.players = liveGamePlayerQueries.findByGameId.all(game.id);
+      if (game.options) game.options = JSON.parse(game.options);
+      game.players = liveGamePlayerQueries.findByGameId.all(game.id).map(parsePlayerState);
       return game;
     });
   },
@@ -1118,14 +2514,37 @@ const liveGames = {
     return id;
   },
 
+  addVisit(gameId, playerId, turnNumber, total, checkoutDart, dartsAtDouble, isBust, enteredBy) {
+    const id = uuidv4();
+    const throwCount = liveGameThrowQueries.countByGame.get(gameId).count;
+    liveGameThrowQueries.createVisit.run(
+      id, gameId, playerId, throwCount + 1, turnNumber,
+      total, isBust ? 1 : 0, enteredBy, total, checkoutDart, dartsAtDouble
+    );
+    return id;
+  },
+
   getLastThrow: (gameId) => liveGameThrowQueries.findLastThrow.get(gameId),
 
   deleteThrow: (throwId) => liveGameThrowQueries.delete.run(throwId),
 
+  // Rewrite throws after a correction - each throw keeps its id and order
+  updateThrows(throws) {
+    const update = db.transaction(() => {
+      for (const t of throws) {
+        liveGameThrowQueries.update.run(
+          t.player_id, t.turn_number, t.dart_in_turn, t.segment, t.multiplier,
+          t.raw_value, t.is_bust ? 1 : 0, t.id
+        );
+      }
+    });
+    update();
+  },
+
   getThrowsByPlayerAndTurn: (gameId, playerId, turnNumber) =>
     liveGameThrowQueries.findByPlayerAndTurn.all(gameId, playerId, turnNumber),
 
-  getPlayer: (playerId) => liveGamePlayerQueries.findById.get(playerId),
+  getPlayer: (playerId) => parsePlayerState(liveGamePlayerQueries.findById.get(playerId)),
 
   getPlayerByGameAndUser: (gameId, userId) => liveGamePlayerQueries.findByGameAndUser.get(gameId, userId),
 
@@ -1139,6 +2558,17 @@ const liveGames = {
 
   updateCurrentTarget: (playerId, target) => liveGamePlayerQueries.updateCurrentTarget.run(target, playerId),
 
+  // Save every scoring column for a player; fields the game type doesn't use keep their defaults
+  savePlayerState(player) {
+    liveGamePlayerQueries.saveState.run(
+      player.marks_15 || 0, player.marks_16 || 0, player.marks_17 || 0, player.marks_18 || 0,
+      player.marks_19 || 0, player.marks_20 || 0, player.marks_bull || 0, player.cricket_points || 0,
+      player.remaining_score ?? null, player.current_target ?? 1, player.score || 0,
+      player.state ? JSON.stringify(player.state) : null,
+      player.id
+    );
+  },
+
   swapPlayerOrder(playerIdA, playerIdB) {
     const a = liveGamePlayerQueries.findById.get(playerIdA);
     const b = liveGamePlayerQueries.findById.get(playerIdB);
@@ -1204,6 +2634,99 @@ const liveGameSeries = {
   },
 };
 
+// Seasons helper
+const seasons = {
+  // fixtures: { round, homeUserId, awayUserId } from generateFixtures
+  // resetCrown: clear the game type's crown so it's won afresh this season
+  create(name, gameType, bestOf, cycles, createdBy, userIds, fixtures, resetCrown = false) {
+    const id = uuidv4();
+
+    const createSeason = db.transaction(() => {
+      seasonQueries.create.run(id, name, gameType, bestOf, cycles, resetCrown ? 1 : 0, createdBy);
+      for (const userId of userIds) {
+        seasonQueries.addPlayer.run(id, userId);
+      }
+      for (const fixture of fixtures) {
+        seasonQueries.createFixture.run(uuidv4(), id, fixture.round, fixture.homeUserId, fixture.awayUserId);
+      }
+      if (resetCrown) {
+        crowns.reset(gameType);
+      }
+      return id;
+    });
+
+    return createSeason();
+  },
+
+  findAll: () => seasonQueries.findAll.all(),
+
+  // Season with its players and fixtures, each fixture with the games linked to it
+  findById(id) {
+    const season = seasonQueries.findById.get(id);
+    if (season) {
+      season.players = seasonQueries.findPlayers.all(id);
+      season.fixtures = seasonQueries.findFixtures.all(id).map(withFixtureGames);
+    }
+    return season;
+  },
+
+  findFixtureById(id) {
+    const fixture = seasonQueries.findFixtureById.get(id);
+    return fixture ? withFixtureGames(fixture) : fixture;
+  },
+
+  // Live game being played for a fixture, if any
+  findActiveLiveGame: (fixtureId) => seasonQueries.findActiveLiveGame.get(fixtureId),
+
+  linkGame: (gameId, fixtureId) => seasonQueries.linkGame.run(fixtureId, gameId),
+};
+
+// Attach a fixture's linked games, with their players
+function withFixtureGames(fixture) {
+  fixture.games = seasonQueries.findGamesByFixtureId.all(fixture.id).map(game => {
+    game.players = gamePlayerQueries.findByGameId.all(game.id);
+    return game;
+  });
+  return fixture;
+}
+
+// Tournaments helper
+const tournaments = {
+  // seeds: entrants' user IDs, top seed first
+  create(name, gameType, format, bestOf, seeding, seeds, createdBy) {
+    const id = uuidv4();
+    tournamentQueries.create.run(id, name, gameType, format, bestOf, seeding, JSON.stringify(seeds), createdBy);
+    return id;
+  },
+
+  findAll() {
+    return tournamentQueries.findAll.all().map(t => ({ ...t, seeds: JSON.parse(t.seeds) }));
+  },
+
+  // Tournament with its entrants (in seed order) and the stored match rows
+  findById(id) {
+    const tournament = tournamentQueries.findById.get(id);
+    if (tournament) {
+      tournament.seeds = JSON.parse(tournament.seeds);
+      tournament.players = tournament.seeds.map(userId => userQueries.findById.get(userId)).filter(Boolean);
+      tournament.matches = tournamentQueries.findMatches.all(id);
+    }
+    return tournament;
+  },
+
+  findMatchByLiveGame: (liveGameId, seriesId) => tournamentQueries.findMatchByLiveGame.get(liveGameId, seriesId || null),
+
+  // Point a match at the live game (and series) it's being played in
+  launchMatch(tournamentId, matchKey, liveGameId, seriesId) {
+    tournamentQueries.launchMatch.run(uuidv4(), tournamentId, matchKey, liveGameId, seriesId || null);
+  },
+
+  // The next game of a series replaces the last one as the match's live game
+  updateLiveGame: (matchId, liveGameId) => tournamentQueries.updateLiveGame.run(liveGameId, matchId),
+
+  recordResult: (matchId, winnerUserId, gameId) => tournamentQueries.recordResult.run(winnerUserId, gameId, matchId),
+};
+
 // Game comments helper
 const gameComments = {
   create(gameId, userId, content) {
@@ -1216,6 +2739,230 @@ const gameComments = {
   delete: (id) => gameCommentQueries.delete.run(id),
 };
 
+// Practice sessions helper
+const practiceSessions = {
+  create(userId, liveGameId, gameType, startingScore, darts, value) {
+    const id = uuidv4();
+    practiceSessionQueries.create.run(id, userId, liveGameId, gameType, startingScore || null, darts, value);
+    return id;
+  },
+  findByUserId: (userId, limit = 100) => practiceSessionQueries.findByUserId.all(userId, limit),
+  findByLiveGameId: (liveGameId) => practiceSessionQueries.findByLiveGameId.get(liveGameId),
+};
+
+// Data export helpers
+const dataExport = {
+  // Every game matching the filters, oldest first, with its players, comments and
+  // crown events. filters: optional { gameType, from, to } with dates as YYYY-MM-DD.
+  // Games are read in batches so the export can be streamed out as it goes
+  *games(filters = {}, batchSize = 200) {
+    let after = [null, null, null];
+    for (;;) {
+      const batch = exportQueries.findGames.all({
+        ...gameTypeFilter(filters.gameType),
+        from: filters.from || null,
+        to: filters.to || null,
+        afterPlayedAt: after[0],
+        afterCreatedAt: after[1],
+        afterId: after[2],
+        limit: batchSize,
+      });
+
+      for (const game of batch) {
+        game.players = gamePlayerQueries.findByGameId.all(game.id);
+        game.comments = gameCommentQueries.findByGameId.all(game.id);
+        game.crownEvents = exportQueries.findCrownEventsByGameId.all(game.id);
+        yield game;
+      }
+
+      if (batch.length < batchSize) return;
+      const last = batch[batch.length - 1];
+      after = [last.played_at, last.created_at, last.id];
+    }
+  },
+
+  // Everything stored about one user, for their own download. Passkeys are
+  // described without their key material
+  user(userId) {
+    const user = userQueries.findById.get(userId);
+    return {
+      user: {
+        id: user.id,
+        name: user.name,
+        isAdmin: Boolean(user.is_admin),
+        avatarUrl: user.avatar_url,
+        nostrPubkey: user.nostr_pubkey,
+        createdAt: user.created_at,
+      },
+      passkeys: passkeys.findByUserId(userId).map(pk => ({
+        id: pk.id,
+        transports: pk.transports || [],
+        signCount: pk.counter,
+        createdAt: pk.created_at,
+      })),
+      games: exportQueries.findUserGames.all(userId).map(g => ({
+        gameId: g.game_id,
+        playedAt: g.played_at,
+        gameType: g.game_type,
+        score: g.score,
+        position: g.position,
+        winner: Boolean(g.is_winner),
+        confirmedAt: g.confirmed_at,
+      })),
+      comments: exportQueries.findUserComments.all(userId).map(c => ({
+        id: c.id,
+        gameId: c.game_id,
+        content: c.content,
+        createdAt: c.created_at,
+      })),
+      photos: exportQueries.findUserPhotos.all(userId).map(p => ({
+        id: p.id,
+        gameId: p.game_id,
+        url: `/uploads/game-photos/${p.filename}`,
+        caption: p.caption,
+        createdAt: p.created_at,
+      })),
+      notifications: exportQueries.findUserNotifications.all(userId).map(n => ({
+        id: n.id,
+        type: n.type,
+        referenceId: n.reference_id,
+        message: n.message,
+        createdAt: n.created_at,
+        readAt: n.read_at,
+      })),
+      achievements: achievementQueries.findByUserId.all(userId).map(a => ({
+        key: a.achievement_key,
+        gameId: a.game_id,
+        earnedAt: a.earned_at,
+      })),
+    };
+  },
+};
+
+// Profile stats helper - the headline numbers on a profile, over every game played
+const profileStats = {
+  summarize(userId) {
+    const totals = profileStatsQueries.totals.get(userId);
+    const streaks = profileStatsQueries.streaks.get(userId);
+
+    const gameTypeStats = {};
+    for (const row of profileStatsQueries.byGameType.all(userId)) {
+      gameTypeStats[row.game_type] = { played: row.played, wins: row.wins };
+    }
+
+    const h2hRecords = {};
+    for (const row of profileStatsQueries.headToHead.all(userId)) {
+      h2hRecords[row.user_id] = { name: row.name, wins: row.wins, losses: row.losses, played: row.played, avatar_url: row.avatar_url };
+    }
+
+    return {
+      totalGames: totals.games,
+      wins: totals.wins,
+      gameTypeStats,
+      bestStreak: streaks.best || 0,
+      currentStreak: streaks.current,
+      h2hRecords,
+    };
+  },
+};
+
+// Player stats helper
+const playerStats = {
+  // rows: { userId, ...stats } per player from computeGameStats
+  record(gameId, gameType, playedAt, rows) {
+    const recordAll = db.transaction(() => {
+      for (const row of rows) {
+        playerStatsQueries.create.run(
+          uuidv4(),
+          gameId,
+          row.userId,
+          gameType,
+          playedAt,
+          row.darts,
+          row.points,
+          row.first9Darts,
+          row.first9Points,
+          row.checkoutAttempts,
+          row.checkouts,
+          row.highestCheckout,
+          row.tons,
+          row.ton40s,
+          row.oneEighties,
+          row.marks,
+          row.targets
+        );
+      }
+    });
+    recordAll();
+  },
+
+  // filters: optional { gameType, from, to } with dates as YYYY-MM-DD
+  summarize(userId, filters = {}) {
+    const gameType = filters.gameType || null;
+    const from = filters.from || null;
+    const to = filters.to || null;
+    return playerStatsQueries.summarize.all(userId, gameType, gameType, from, from, to, to);
+  },
+
+  // Only the live-scored games both players were in
+  summarizeAgainst: (userId, otherId) => playerStatsQueries.summarizeAgainst.all(userId, otherId),
+};
+
+// Ratings helper
+const ratings = {
+  // Rate a recorded game, starting from everyone's current rating for its game type
+  recordGame(gameId) {
+    const game = gameQueries.findById.get(gameId);
+    const players = gamePlayerQueries.findByGameId.all(gameId);
+    const current = {};
+    for (const row of ratingQueries.findForGame.all(gameId, game.game_type)) {
+      current[row.user_id] = row.rating;
+    }
+
+    for (const result of rateGame(game.game_type, players, current)) {
+      ratingQueries.upsert.run(result.userId, game.game_type, result.after);
+      ratingQueries.createHistory.run(uuidv4(), gameId, result.userId, game.game_type, result.before, result.after);
+    }
+  },
+
+  // Rate a game once everyone has confirmed it. One that comes before games already
+  // rated (backdated, or confirmed after later games) changes all of theirs, so they're replayed
+  recordConfirmedGame(gameId) {
+    const game = gameQueries.findById.get(gameId);
+    if (ratingQueries.findRatedAfter.get({ id: game.id, playedAt: game.played_at, createdAt: game.created_at })) {
+      ratings.rebuild();
+    } else {
+      ratings.recordGame(gameId);
+    }
+  },
+
+  // Throw away all ratings and replay every confirmed game in the order it was played
+  rebuild() {
+    const rebuildAll = db.transaction(() => {
+      ratingQueries.deleteAllHistory.run();
+      ratingQueries.deleteAll.run();
+      const allGames = ratingQueries.findAllGames.all();
+      for (const game of allGames) {
+        ratings.recordGame(game.id);
+      }
+      return allGames.length;
+    });
+    return rebuildAll();
+  },
+
+  findByUserId: (userId) => ratingQueries.findByUserId.all(userId),
+
+  // user_id -> current rating for one game type
+  findByGameType(gameType) {
+    return Object.fromEntries(ratingQueries.findByGameType.all(gameType).map(r => [r.user_id, r.rating]));
+  },
+};
+
+// Rate the games recorded before ratings existed
+if (!db.prepare('SELECT 1 FROM rating_history LIMIT 1').get() && db.prepare('SELECT 1 FROM games LIMIT 1').get()) {
+  ratings.rebuild();
+}
+
 // Game photos helper
 const gamePhotos = {
   create(gameId, userId, filename, caption) {
@@ -1275,9 +3022,18 @@ module.exports = {
   notifications,
   pushSubscriptions,
   crowns,
+  crownChallenges,
+  achievements,
   gameDeletions,
   liveGames,
   liveGameSeries,
+  practiceSessions,
+  playerStats,
+  profileStats,
+  dataExport,
+  ratings,
+  seasons,
+  tournaments,
   gameComments,
   gamePhotos,
   getOrCreateSetupToken,
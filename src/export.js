@@ -0,0 +1,134 @@
+/**
+ * Data export
+ * Turns recorded games into CSV rows or JSON objects for analysing the
+ * history in a spreadsheet. The CSV has one row per player per game, with the
+ * game's details repeated on each
+ */
+
+const EXPORT_FORMATS = ['csv', 'json'];
+
+const CSV_COLUMNS = [
+  'game_id',
+  'played_at',
+  'game_type',
+  'recorded_by',
+  'all_confirmed',
+  'notes',
+  'player_id',
+  'player',
+  'score',
+  'position',
+  'winner',
+  'confirmed_at',
+  'comments',
+  'crown_events',
+];
+
+/**
+ * One CSV field, quoted when needed. Text a spreadsheet would take as a formula
+ * is prefixed with an apostrophe so it shows as typed
+ * @param {*} value - Field value
+ * @returns {string} Escaped field
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One CSV line
+ * @param {Array} values - Field values
+ * @returns {string} Line ending in CRLF
+ */
+function csvLine(values) {
+  return values.map(csvField).join(',') + '\r\n';
+}
+
+/**
+ * A crown changing hands, in words
+ * @param {Object} event - crown_history row with holder names
+ * @returns {string} e.g. "Bob took the 501 crown from Alice"
+ */
+function describeCrownEvent(event) {
+  if (!event.new_holder_name) return `The ${event.game_type} crown was vacated by ${event.previous_holder_name}`;
+  if (!event.previous_holder_name) return `${event.new_holder_name} claimed the ${event.game_type} crown`;
+  return `${event.new_holder_name} took the ${event.game_type} crown from ${event.previous_holder_name}`;
+}
+
+/**
+ * A game's CSV lines
+ * @param {Object} game - Game with players, comments and crownEvents
+ * @returns {string} One line per player
+ */
+function gameCsvLines(game) {
+  const allConfirmed = game.players.every(p => p.confirmed_at);
+  const comments = game.comments.map(c => `${c.name}: ${c.content}`).join(' | ');
+  const crownEvents = game.crownEvents.map(describeCrownEvent).join(' | ');
+
+  return game.players.map(player => csvLine([
+    game.id,
+    game.played_at,
+    game.game_type,
+    game.created_by_name,
+    allConfirmed ? 'yes' : 'no',
+    game.notes,
+    player.user_id,
+    player.name,
+    player.score,
+    player.position,
+    player.is_winner ? 'yes' : 'no',
+    player.confirmed_at,
+    comments,
+    crownEvents,
+  ])).join('');
+}
+
+/**
+ * A game as exported to JSON
+ * @param {Object} game - Game with players, comments and crownEvents
+ * @returns {Object} Game with camelCase fields
+ */
+function gameJson(game) {
+  return {
+    id: game.id,
+    playedAt: game.played_at,
+    gameType: game.game_type,
+    recordedBy: game.created_by_name,
+    allConfirmed: game.players.every(p => p.confirmed_at),
+    notes: game.notes,
+    players: game.players.map(p => ({
+      userId: p.user_id,
+      name: p.name,
+      score: p.score,
+      position: p.position,
+      winner: Boolean(p.is_winner),
+      confirmedAt: p.confirmed_at,
+    })),
+    comments: game.comments.map(c => ({
+      userId: c.user_id,
+      name: c.name,
+      content: c.content,
+      createdAt: c.created_at,
+    })),
+    crownEvents: game.crownEvents.map(e => ({
+      gameType: e.game_type,
+      previousHolder: e.previous_holder_user_id ? { id: e.previous_holder_user_id, name: e.previous_holder_name } : null,
+      newHolder: e.new_holder_user_id ? { id: e.new_holder_user_id, name: e.new_holder_name } : null,
+      changedAt: e.changed_at,
+      description: describeCrownEvent(e),
+    })),
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  CSV_COLUMNS,
+  csvLine,
+  describeCrownEvent,
+  gameCsvLines,
+  gameJson,
+};
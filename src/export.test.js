@@ -0,0 +1,65 @@
+/**
+ * Unit tests for export.js - CSV and JSON shapes of exported games
+ */
+
+const { CSV_COLUMNS, csvLine, describeCrownEvent, gameCsvLines, gameJson } = require('./export');
+
+const game = {
+  id: 'g1',
+  played_at: '2026-09-01',
+  game_type: '501',
+  created_by_name: 'Alice',
+  notes: 'Close one, "really"',
+  players: [
+    { user_id: 'a', name: 'Alice', score: null, position: 1, is_winner: 1, confirmed_at: '2026-09-01 20:00:00' },
+    { user_id: 'b', name: 'Bob', score: null, position: 2, is_winner: 0, confirmed_at: null },
+  ],
+  comments: [{ user_id: 'b', name: 'Bob', content: 'Rematch', created_at: '2026-09-01 21:00:00' }],
+  crownEvents: [{
+    game_type: '501',
+    previous_holder_user_id: 'b',
+    previous_holder_name: 'Bob',
+    new_holder_user_id: 'a',
+    new_holder_name: 'Alice',
+    changed_at: '2026-09-01 20:00:00',
+  }],
+};
+
+describe('csvLine', () => {
+  it('quotes fields with commas, quotes or line breaks', () => {
+    expect(csvLine(['plain', 'a,b', 'say "hi"', 'two\nlines', null, 7])).toBe('plain,"a,b","say ""hi""","two\nlines",,7\r\n');
+  });
+
+  it('keeps text from being read as a spreadsheet formula', () => {
+    expect(csvLine(['=SUM(A1)', '-Bob', -5])).toBe("'=SUM(A1),'-Bob,-5\r\n");
+  });
+});
+
+describe('gameCsvLines', () => {
+  it('writes a line per player with the game repeated', () => {
+    const lines = gameCsvLines(game).trim().split('\r\n');
+
+    expect(lines).toHaveLength(2);
+    expect(lines[0].split(',')).toHaveLength(CSV_COLUMNS.length + 1); // the notes hold a comma
+    expect(lines[0]).toBe('g1,2026-09-01,501,Alice,no,"Close one, ""really""",a,Alice,,1,yes,2026-09-01 20:00:00,Bob: Rematch,Alice took the 501 crown from Bob');
+    expect(lines[1]).toContain(',b,Bob,,2,no,,');
+  });
+});
+
+describe('gameJson', () => {
+  it('nests players, comments and crown events', () => {
+    const json = gameJson(game);
+
+    expect(json.allConfirmed).toBe(false);
+    expect(json.players.map(p => [p.name, p.winner])).toEqual([['Alice', true], ['Bob', false]]);
+    expect(json.comments[0]).toEqual({ userId: 'b', name: 'Bob', content: 'Rematch', createdAt: '2026-09-01 21:00:00' });
+    expect(json.crownEvents[0].previousHolder).toEqual({ id: 'b', name: 'Bob' });
+  });
+});
+
+describe('describeCrownEvent', () => {
+  it('describes a first claim and a vacated crown', () => {
+    expect(describeCrownEvent({ game_type: 'Cricket', previous_holder_name: null, new_holder_name: 'Cara' })).toBe('Cara claimed the Cricket crown');
+    expect(describeCrownEvent({ game_type: 'Cricket', previous_holder_name: 'Cara', new_holder_name: null })).toBe('The Cricket crown was vacated by Cara');
+  });
+});
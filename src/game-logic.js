@@ -1,331 +1,245 @@
 /**
  * Game Logic Engine for Live Dart Scoring
- * Handles scoring calculations for Cricket, 301/501, and Around the World
+ * Turn handling plus dispatch to the game type registry (src/game-types)
  */
 
-const CRICKET_NUMBERS = [15, 16, 17, 18, 19, 20, 25]; // 25 = bull
+const { getGameType } = require('./game-types');
+const {
+  CRICKET_NUMBERS,
+  processCricketThrow,
+  checkCricketComplete,
+} = require('./game-types/cricket');
+const { checkCutThroatComplete } = require('./game-types/cut-throat-cricket');
+const {
+  IN_RULES,
+  OUT_RULES,
+  DEFAULT_IN_RULE,
+  DEFAULT_OUT_RULE,
+  process01Throw,
+  isValidFinish,
+  formatRules,
+  check01Complete,
+} = require('./game-types/x01');
+const {
+  processAroundTheWorldThrow,
+  checkAroundTheWorldComplete,
+} = require('./game-types/around-the-world');
 
 /**
- * Process a Cricket throw
- * @param {Object} gameState - Current game state with players
- * @param {string} playerId - The live_game_player ID
- * @param {number} segment - The number hit (15-20, 25 for bull, null for miss)
- * @param {number} multiplier - 1, 2, or 3 (double/triple)
- * @returns {Object} Result with updated player state and points scored
+ * Check whether a player has been knocked out of the game (e.g. Killer)
+ * @param {Object} player - Live game player
+ * @returns {boolean} True if the player no longer takes turns
  */
-function processCricketThrow(gameState, playerId, segment, multiplier) {
-  const player = gameState.players.find(p => p.id === playerId);
-  if (!player) throw new Error('Player not found');
-
-  const result = {
-    playerId,
-    segment,
-    multiplier,
-    marksAdded: 0,
-    pointsScored: 0,
-    closedNumber: false,
-  };
-
-  // Miss or non-cricket number
-  if (!segment || !CRICKET_NUMBERS.includes(segment)) {
-    return result;
-  }
-
-  const markField = segment === 25 ? 'marks_bull' : `marks_${segment}`;
-  const currentMarks = player[markField] || 0;
-  const marksToAdd = multiplier;
-
-  // Check if this number is closed by all other players
-  const otherPlayers = gameState.players.filter(p => p.id !== playerId);
-  const isClosedByOthers = otherPlayers.every(p => {
-    const pMarks = segment === 25 ? p.marks_bull : p[`marks_${segment}`];
-    return pMarks >= 3;
-  });
-
-  // Calculate new marks (max tracking needed is 3 for display, but can go higher for scoring)
-  const newMarks = currentMarks + marksToAdd;
-
-  // Calculate points scored (only if player has 3+ marks and number not closed by all others)
-  if (currentMarks >= 3 && !isClosedByOthers) {
-    // All marks score points
-    result.pointsScored = marksToAdd * segment;
-  } else if (currentMarks < 3 && newMarks > 3 && !isClosedByOthers) {
-    // Some marks close, some score
-    const marksThatScore = newMarks - 3;
-    result.pointsScored = marksThatScore * segment;
-  }
-
-  result.marksAdded = marksToAdd;
-  result.newMarks = newMarks;
-  result.closedNumber = newMarks >= 3 && currentMarks < 3;
-
-  // Update player state
-  if (segment === 25) {
-    player.marks_bull = newMarks;
-  } else {
-    player[`marks_${segment}`] = newMarks;
-  }
-  player.cricket_points = (player.cricket_points || 0) + result.pointsScored;
-
-  return result;
+function isEliminated(player) {
+  return Boolean(player.state && player.state.eliminated);
 }
 
 /**
- * Check if Cricket game is complete
+ * Advance turn state after a throw
+ * After a player's third dart the game type's onTurnEnd hook runs (e.g. Halve-It
+ * halving a score), then eliminated players are skipped
  * @param {Object} gameState - Current game state
- * @returns {Object|null} Winner info or null if game continues
+ * @returns {Object} Updated turn info
  */
-function checkCricketComplete(gameState) {
-  // Check if ALL players have closed all numbers
-  const allPlayersClosed = gameState.players.every(player =>
-    CRICKET_NUMBERS.every(num => {
-      const marks = num === 25 ? player.marks_bull : player[`marks_${num}`];
-      return marks >= 3;
-    })
-  );
-
-  if (allPlayersClosed) {
-    // Everyone closed - highest points wins (or draw/first player if tied)
-    const sorted = [...gameState.players].sort((a, b) =>
-      (b.cricket_points || 0) - (a.cricket_points || 0)
-    );
-    return {
-      winnerId: sorted[0].id,
-      winnerUserId: sorted[0].user_id,
-      reason: 'all_closed'
-    };
-  }
-
-  // Check if any single player closed all AND has strictly more points
-  for (const player of gameState.players) {
-    const allClosed = CRICKET_NUMBERS.every(num => {
-      const marks = num === 25 ? player.marks_bull : player[`marks_${num}`];
-      return marks >= 3;
-    });
-
-    if (!allClosed) continue;
-
-    const playerPoints = player.cricket_points || 0;
-    const otherPlayers = gameState.players.filter(p => p.id !== player.id);
-    const hasStrictLead = otherPlayers.every(p =>
-      playerPoints > (p.cricket_points || 0)
-    );
+function advanceTurn(gameState) {
+  if (gameState.current_dart < 3) {
+    gameState.current_dart++;
+  } else {
+    const type = getGameType(gameState.game_type);
+    if (type && type.onTurnEnd) {
+      type.onTurnEnd(gameState, gameState.players[gameState.current_player_index]);
+    }
 
-    if (hasStrictLead) {
-      return {
-        winnerId: player.id,
-        winnerUserId: player.user_id,
-        reason: 'closed_all_with_lead'
-      };
+    gameState.current_dart = 1;
+    const playerCount = gameState.players.length;
+    let nextIndex = gameState.current_player_index;
+    for (let i = 0; i < playerCount; i++) {
+      nextIndex = (nextIndex + 1) % playerCount;
+      if (!isEliminated(gameState.players[nextIndex])) break;
     }
+    gameState.current_player_index = nextIndex;
+    gameState.current_turn++;
   }
 
-  return null;
+  return {
+    current_dart: gameState.current_dart,
+    current_player_index: gameState.current_player_index,
+    current_turn: gameState.current_turn,
+  };
 }
 
 /**
- * Process a 301/501 throw
+ * Process a throw based on game type
  * @param {Object} gameState - Current game state
  * @param {string} playerId - The live_game_player ID
- * @param {number} segment - Number hit (1-20, 25 for outer bull, null for miss)
+ * @param {number} segment - Number hit
  * @param {number} multiplier - 1, 2, or 3
- * @returns {Object} Result with score deducted and bust status
+ * @returns {Object} Throw result
  */
-function process01Throw(gameState, playerId, segment, multiplier) {
-  const player = gameState.players.find(p => p.id === playerId);
-  if (!player) throw new Error('Player not found');
-
-  const result = {
-    playerId,
-    segment,
-    multiplier,
-    rawValue: 0,
-    isBust: false,
-    newScore: player.remaining_score,
-  };
-
-  // Miss
-  if (!segment) {
-    return result;
-  }
-
-  // Calculate raw value
-  const rawValue = segment * multiplier;
-  result.rawValue = rawValue;
-
-  const newScore = player.remaining_score - rawValue;
-
-  // Bust conditions:
-  // 1. Score goes below 0
-  // 2. Score goes to exactly 1 (can't finish - need double)
-  // 3. Score goes to 0 but not with a double (standard rules require double-out)
-  if (newScore < 0 || newScore === 1 || (newScore === 0 && multiplier !== 2)) {
-    result.isBust = true;
-    // Score stays the same on bust (handled at turn level)
-    return result;
+function processThrow(gameState, playerId, segment, multiplier) {
+  const type = getGameType(gameState.game_type);
+  if (!type) {
+    throw new Error(`Unknown game type: ${gameState.game_type}`);
   }
-
-  result.newScore = newScore;
-  player.remaining_score = newScore;
-
-  return result;
+  return type.processThrow(gameState, playerId, segment, multiplier);
 }
 
 /**
- * Check if 01 game is complete
+ * Check if game is complete based on game type
  * @param {Object} gameState - Current game state
- * @returns {Object|null} Winner info or null if game continues
+ * @returns {Object|null} Winner info or null
  */
-function check01Complete(gameState) {
-  for (const player of gameState.players) {
-    if (player.remaining_score === 0) {
-      return {
-        winnerId: player.id,
-        winnerUserId: player.user_id,
-        reason: 'checked_out'
-      };
-    }
-  }
-  return null;
+function checkGameComplete(gameState) {
+  const type = getGameType(gameState.game_type);
+  return type ? type.checkComplete(gameState) : null;
 }
 
 /**
- * Process an Around the World throw
- * @param {Object} gameState - Current game state
- * @param {string} playerId - The live_game_player ID
- * @param {number} segment - Number hit (1-20, 25 for bull, null for miss)
- * @param {number} multiplier - Not used for ATW, but included for consistency
- * @returns {Object} Result with target progression
+ * Fresh state for a live game before any darts are thrown
+ * Setup chosen before the game starts (e.g. Killer numbers) is carried over
+ * @param {Object} game - Live game with players in throwing order
+ * @returns {Object} Game state ready for applyThrow
  */
-function processAroundTheWorldThrow(gameState, playerId, segment, multiplier) {
-  const player = gameState.players.find(p => p.id === playerId);
-  if (!player) throw new Error('Player not found');
+function initialGameState(game) {
+  const type = getGameType(game.game_type);
+  if (!type) {
+    throw new Error(`Unknown game type: ${game.game_type}`);
+  }
 
-  const result = {
-    playerId,
-    segment,
-    multiplier,
-    hit: false,
-    newTarget: player.current_target,
+  const state = {
+    game_type: game.game_type,
+    starting_score: game.starting_score,
+    in_rule: game.in_rule,
+    out_rule: game.out_rule,
+    options: game.options || null,
+    current_player_index: 0,
+    current_dart: 1,
+    current_turn: 1,
+    turn_start_score: null,
+    throws: [],
+    winner: null,
+    players: [],
   };
 
-  // Current target: 1-20 then 21 = bull (25)
-  const targetSegment = player.current_target === 21 ? 25 : player.current_target;
-
-  // Check if hit the target
-  if (segment === targetSegment) {
-    result.hit = true;
-    result.newTarget = player.current_target + 1;
-    player.current_target = result.newTarget;
+  for (const p of game.players) {
+    state.players.push({
+      id: p.id,
+      user_id: p.user_id,
+      marks_15: 0,
+      marks_16: 0,
+      marks_17: 0,
+      marks_18: 0,
+      marks_19: 0,
+      marks_20: 0,
+      marks_bull: 0,
+      cricket_points: 0,
+      remaining_score: null,
+      current_target: 1,
+      score: 0,
+      state: null,
+      ...type.initPlayer(state, p),
+    });
   }
 
-  return result;
+  return state;
 }
 
 /**
- * Check if Around the World game is complete
- * @param {Object} gameState - Current game state
- * @returns {Object|null} Winner info or null if game continues
+ * Apply one dart to a game state - the reducer every live game is folded with
+ * The dart belongs to whoever is on throw; busts, end-of-turn scoring,
+ * turn order and the winner are all worked out here
+ * @param {Object} state - Game state from initialGameState (updated in place)
+ * @param {Object} dart - { segment, multiplier }
+ * @returns {Object} Throw result from the game type
  */
-function checkAroundTheWorldComplete(gameState) {
-  for (const player of gameState.players) {
-    // Target 22 means they've hit bull (21) and completed
-    if (player.current_target > 21) {
-      return {
-        winnerId: player.id,
-        winnerUserId: player.user_id,
-        reason: 'completed_sequence'
-      };
-    }
+function applyThrow(state, dart) {
+  const player = state.players[state.current_player_index];
+  const segment = dart.segment || null;
+  const multiplier = dart.multiplier || 1;
+
+  // 01 busts go back to the score at the start of the turn
+  if (state.current_dart === 1) {
+    state.turn_start_score = player.remaining_score;
   }
-  return null;
-}
 
-/**
- * Advance turn state after a throw
- * @param {Object} gameState - Current game state
- * @returns {Object} Updated turn info
- */
-function advanceTurn(gameState) {
-  if (gameState.current_dart < 3) {
-    gameState.current_dart++;
-  } else {
-    gameState.current_dart = 1;
-    gameState.current_player_index =
-      (gameState.current_player_index + 1) % gameState.players.length;
-    gameState.current_turn++;
+  const result = processThrow(state, player.id, segment, multiplier);
+  if (result.isBust) {
+    handleBust(state, player.id, state.turn_start_score);
   }
 
-  return {
-    current_dart: gameState.current_dart,
-    current_player_index: gameState.current_player_index,
-    current_turn: gameState.current_turn,
-  };
-}
+  state.throws.push({
+    player_id: player.id,
+    turn_number: state.current_turn,
+    dart_in_turn: state.current_dart,
+    segment,
+    multiplier,
+    is_bust: result.isBust ? 1 : 0,
+  });
 
-/**
- * Reverse turn state (for undo)
- * @param {Object} gameState - Current game state
- * @returns {Object} Updated turn info
- */
-function reverseTurn(gameState) {
-  if (gameState.current_dart > 1) {
-    gameState.current_dart--;
-  } else {
-    gameState.current_dart = 3;
-    gameState.current_player_index =
-      (gameState.current_player_index - 1 + gameState.players.length) % gameState.players.length;
-    if (gameState.current_turn > 1) {
-      gameState.current_turn--;
-    }
-  }
+  advanceTurn(state);
+  state.winner = checkGameComplete(state);
 
-  return {
-    current_dart: gameState.current_dart,
-    current_player_index: gameState.current_player_index,
-    current_turn: gameState.current_turn,
-  };
+  return result;
 }
 
 /**
- * Process a throw based on game type
- * @param {Object} gameState - Current game state
- * @param {string} playerId - The live_game_player ID
- * @param {number} segment - Number hit
- * @param {number} multiplier - 1, 2, or 3
- * @returns {Object} Throw result
+ * Apply a whole visit entered as a 3-dart total (301/501 turn-total entry)
+ * The visit takes the player's full turn, so it must start the turn
+ * @param {Object} state - Game state from initialGameState (updated in place)
+ * @param {Object} visit - { total, checkoutDart, dartsAtDouble }
+ * @returns {Object} Visit result from the game type
  */
-function processThrow(gameState, playerId, segment, multiplier) {
-  switch (gameState.game_type) {
-    case 'Cricket':
-      return processCricketThrow(gameState, playerId, segment, multiplier);
-    case '301':
-    case '501':
-      return process01Throw(gameState, playerId, segment, multiplier);
-    case 'Around the World':
-      return processAroundTheWorldThrow(gameState, playerId, segment, multiplier);
-    default:
-      throw new Error(`Unknown game type: ${gameState.game_type}`);
+function applyVisit(state, visit) {
+  const type = getGameType(state.game_type);
+  if (!type.processVisit) {
+    throw new Error(`${type.name} does not support visit totals`);
   }
+
+  const player = state.players[state.current_player_index];
+  state.turn_start_score = player.remaining_score;
+
+  const result = type.processVisit(state, player.id, visit);
+  const finished = player.remaining_score === 0;
+
+  state.throws.push({
+    player_id: player.id,
+    turn_number: state.current_turn,
+    dart_in_turn: 1,
+    segment: null,
+    multiplier: 1,
+    is_bust: result.isBust ? 1 : 0,
+    visit_total: visit.total,
+    checkout_dart: finished ? visit.checkoutDart || null : null,
+    darts_at_double: finished ? visit.dartsAtDouble || null : null,
+  });
+
+  // The visit used the whole turn
+  state.current_dart = 3;
+  advanceTurn(state);
+  state.winner = checkGameComplete(state);
+
+  return result;
 }
 
 /**
- * Check if game is complete based on game type
- * @param {Object} gameState - Current game state
- * @returns {Object|null} Winner info or null
+ * Rebuild a live game from its throws
+ * The throw log is the source of truth; the scoring columns on live_game_players
+ * and the turn columns on live_games are a cache of this
+ * @param {Object} game - Live game with players
+ * @param {Array} throws - Throws ordered by throw_order
+ * @returns {Object} Game state with players, turn position and winner
  */
-function checkGameComplete(gameState) {
-  switch (gameState.game_type) {
-    case 'Cricket':
-      return checkCricketComplete(gameState);
-    case '301':
-    case '501':
-      return check01Complete(gameState);
-    case 'Around the World':
-      return checkAroundTheWorldComplete(gameState);
-    default:
-      return null;
+function replayGame(game, throws) {
+  const state = initialGameState(game);
+  for (const t of throws) {
+    if (state.winner) break;
+    if (t.visit_total !== null && t.visit_total !== undefined) {
+      applyVisit(state, { total: t.visit_total, checkoutDart: t.checkout_dart, dartsAtDouble: t.darts_at_double });
+    } else {
+      applyThrow(state, t);
+    }
   }
+  return state;
 }
 
 /**
@@ -352,6 +266,19 @@ function calculateRawValue(segment, multiplier) {
   return segment * multiplier;
 }
 
+/**
+ * Count the darts a player threw
+ * A visit total counts as three darts, or as its checkout dart when it finished the game
+ * @param {Array} throws - Live game throws
+ * @param {string} playerId - The live_game_player ID
+ * @returns {number} Darts thrown
+ */
+function countDarts(throws, playerId) {
+  return throws
+    .filter(t => t.player_id === playerId)
+    .reduce((darts, t) => darts + (t.visit_total === null || t.visit_total === undefined ? 1 : t.checkout_dart || 3), 0);
+}
+
 /**
  * Get display name for a throw
  * @param {number} segment - The segment hit
@@ -373,13 +300,25 @@ module.exports = {
   processAroundTheWorldThrow,
   processThrow,
   checkCricketComplete,
+  checkCutThroatComplete,
   check01Complete,
   checkAroundTheWorldComplete,
   checkGameComplete,
+  initialGameState,
+  applyThrow,
+  applyVisit,
+  replayGame,
   advanceTurn,
-  reverseTurn,
+  isEliminated,
   handleBust,
+  isValidFinish,
+  formatRules,
   calculateRawValue,
+  countDarts,
   getThrowDisplayName,
   CRICKET_NUMBERS,
+  IN_RULES,
+  OUT_RULES,
+  DEFAULT_IN_RULE,
+  DEFAULT_OUT_RULE,
 };
@@ -0,0 +1,577 @@
+/**
+ * Unit tests for game-logic.js - live scoring rules
+ */
+
+const {
+  processThrow,
+  checkGameComplete,
+  replayGame,
+  advanceTurn,
+  process01Throw,
+  isValidFinish,
+  formatRules,
+} = require('./game-logic');
+const { isPossibleVisit } = require('./game-types/x01');
+const { getGameType } = require('./game-types');
+
+function make01Game(remaining, rules = {}) {
+  return {
+    starting_score: 301,
+    in_rule: rules.inRule,
+    out_rule: rules.outRule,
+    players: [{ id: 'p1', remaining_score: remaining }],
+  };
+}
+
+function makeCricketPlayer(id, marks = 0, points = 0) {
+  return {
+    id,
+    user_id: `user-${id}`,
+    marks_15: marks,
+    marks_16: marks,
+    marks_17: marks,
+    marks_18: marks,
+    marks_19: marks,
+    marks_20: marks,
+    marks_bull: marks,
+    cricket_points: points,
+  };
+}
+
+describe('Cut-throat Cricket', () => {
+  it('gives points to opponents who have not closed the number', () => {
+    const p1 = makeCricketPlayer('p1');
+    const p2 = makeCricketPlayer('p2');
+    const p3 = makeCricketPlayer('p3');
+    p1.marks_20 = 3;
+    p3.marks_20 = 3;
+    const game = { game_type: 'Cut-throat Cricket', players: [p1, p2, p3] };
+
+    const result = processThrow(game, 'p1', 20, 3);
+
+    expect(result.pointsScored).toBe(60);
+    expect(result.pointsAwardedTo).toEqual(['p2']);
+    expect(p1.cricket_points).toBe(0);
+    expect(p2.cricket_points).toBe(60);
+    expect(p3.cricket_points).toBe(0);
+  });
+
+  it('keeps points with the thrower in standard Cricket', () => {
+    const p1 = makeCricketPlayer('p1');
+    const p2 = makeCricketPlayer('p2');
+    p1.marks_20 = 3;
+    const game = { game_type: 'Cricket', players: [p1, p2] };
+
+    processThrow(game, 'p1', 20, 2);
+
+    expect(p1.cricket_points).toBe(40);
+    expect(p2.cricket_points).toBe(0);
+  });
+
+  it('is won by a player who has closed everything with the lowest score', () => {
+    const game = {
+      game_type: 'Cut-throat Cricket',
+      players: [makeCricketPlayer('p1', 3, 40), makeCricketPlayer('p2', 1, 60)],
+    };
+    expect(checkGameComplete(game)).toMatchObject({ winnerId: 'p1', reason: 'closed_all_lowest' });
+  });
+
+  it('is not won while the closed player has more points', () => {
+    const game = {
+      game_type: 'Cut-throat Cricket',
+      players: [makeCricketPlayer('p1', 3, 80), makeCricketPlayer('p2', 1, 60)],
+    };
+    expect(checkGameComplete(game)).toBeNull();
+  });
+
+  it('rebuilds every player when replaying throws', () => {
+    const game = {
+      game_type: 'Cut-throat Cricket',
+      players: [makeCricketPlayer('p1', 2, 99), makeCricketPlayer('p2')],
+    };
+    const throws = [
+      { segment: 20, multiplier: 3 },
+      { segment: 20, multiplier: 2 },
+      { segment: null },
+      { segment: 19, multiplier: 1 },
+    ];
+
+    const [p1, p2] = replayGame(game, throws).players;
+
+    expect(p1.marks_20).toBe(5);
+    expect(p1.cricket_points).toBe(0);
+    expect(p2.cricket_points).toBe(40);
+    expect(p2.marks_19).toBe(1);
+  });
+});
+
+function makeShanghaiGame(turn, dart, rounds) {
+  return {
+    game_type: 'Shanghai',
+    options: rounds ? { rounds } : null,
+    current_turn: turn,
+    current_dart: dart,
+    throws: [],
+    players: [{ id: 'p1', user_id: 'u1', score: 0 }, { id: 'p2', user_id: 'u2', score: 0 }],
+  };
+}
+
+describe('Shanghai', () => {
+  it('only scores the round number', () => {
+    // Turn 3 with two players is round 2
+    const game = makeShanghaiGame(3, 1);
+
+    processThrow(game, 'p1', 1, 3);
+    expect(game.players[0].score).toBe(0);
+
+    processThrow(game, 'p1', 2, 3);
+    expect(game.players[0].score).toBe(6);
+  });
+
+  it('wins outright on single, double and treble in one turn', () => {
+    const game = makeShanghaiGame(1, 3);
+    game.throws = [
+      { player_id: 'p1', turn_number: 1, segment: 1, multiplier: 3 },
+      { player_id: 'p1', turn_number: 1, segment: 1, multiplier: 1 },
+    ];
+
+    const result = processThrow(game, 'p1', 1, 2);
+
+    expect(result.shanghai).toBe(true);
+    expect(checkGameComplete(game)).toMatchObject({ winnerId: 'p1', reason: 'shanghai' });
+  });
+
+  it('goes to the highest score after the last dart of the last round', () => {
+    // Three rounds with two players: the last turn is 6, then the turn advances to 7
+    const game = makeShanghaiGame(7, 1, 3);
+    game.players[1].score = 12;
+
+    expect(checkGameComplete({ ...game, current_turn: 6, current_dart: 3 })).toBeNull();
+    expect(checkGameComplete(game)).toMatchObject({ winnerId: 'p2', reason: 'highest_score' });
+  });
+
+  it('rebuilds scores and rounds when replaying throws', () => {
+    const game = makeShanghaiGame(1, 1);
+    const miss = { segment: null };
+    const throws = [
+      { segment: 1, multiplier: 2 }, miss, miss,
+      { segment: 1, multiplier: 1 }, miss, miss,
+      { segment: 2, multiplier: 3 }, { segment: 1, multiplier: 3 },
+    ];
+
+    const state = replayGame(game, throws);
+    const [p1, p2] = state.players;
+
+    expect(p1.score).toBe(8);
+    expect(p2.score).toBe(1);
+    expect(state.current_turn).toBe(3);
+    expect(state.current_dart).toBe(3);
+  });
+
+  it('replays an instant Shanghai win', () => {
+    const throws = [{ segment: 1, multiplier: 3 }, { segment: 1, multiplier: 1 }, { segment: 1, multiplier: 2 }];
+    const state = replayGame(makeShanghaiGame(1, 1), throws);
+    expect(state.winner).toMatchObject({ winnerId: 'p1', reason: 'shanghai' });
+  });
+
+  it('validates the round count', () => {
+    const { parseOptions } = getGameType('Shanghai');
+    expect(parseOptions({})).toEqual({ rounds: 7 });
+    expect(parseOptions({ rounds: '10' })).toEqual({ rounds: 10 });
+    expect(parseOptions({ rounds: '0' })).toBeNull();
+    expect(parseOptions({ rounds: '21' })).toBeNull();
+  });
+});
+
+function makeKillerGame(lives = [3, 3, 3]) {
+  return {
+    game_type: 'Killer',
+    options: { lives: 3 },
+    current_player_index: 0,
+    current_dart: 1,
+    current_turn: 1,
+    players: lives.map((l, i) => ({
+      id: `p${i + 1}`,
+      user_id: `u${i + 1}`,
+      state: { number: 10 + i, lives: l, killer: false, eliminated: l === 0 },
+    })),
+  };
+}
+
+describe('Killer', () => {
+  it('makes a player a killer on their own double only', () => {
+    const game = makeKillerGame();
+
+    processThrow(game, 'p1', 10, 3);
+    expect(game.players[0].state.killer).toBe(false);
+
+    const result = processThrow(game, 'p1', 10, 2);
+    expect(result.becameKiller).toBe(true);
+    expect(game.players[0].state.killer).toBe(true);
+  });
+
+  it('only lets killers take lives', () => {
+    const game = makeKillerGame();
+
+    processThrow(game, 'p1', 11, 2);
+    expect(game.players[1].state.lives).toBe(3);
+
+    game.players[0].state.killer = true;
+    processThrow(game, 'p1', 11, 2);
+    expect(game.players[1].state.lives).toBe(2);
+  });
+
+  it('eliminates players and ends with the last one standing', () => {
+    const game = makeKillerGame([3, 1, 0]);
+    game.players[0].state.killer = true;
+
+    const result = processThrow(game, 'p1', 11, 2);
+
+    expect(result.eliminated).toEqual(['p2']);
+    expect(checkGameComplete(game)).toMatchObject({ winnerId: 'p1', reason: 'last_standing' });
+  });
+
+  it('skips eliminated players, and brings them back when the dart is undone', () => {
+    const game = makeKillerGame([3, 0, 3]);
+    game.current_dart = 3;
+
+    advanceTurn(game);
+    expect(game.current_player_index).toBe(2);
+
+    // One life each: p1 kills p2 on the last dart of turn 1, so p3 throws next
+    const oneLife = { ...makeKillerGame(), options: { lives: 1 } };
+    const throws = [{ segment: 10, multiplier: 2 }, { segment: null }, { segment: 11, multiplier: 2 }];
+
+    const state = replayGame(oneLife, throws);
+    expect(state.players[1].state.eliminated).toBe(true);
+    expect(state.current_player_index).toBe(2);
+
+    const undone = replayGame(oneLife, throws.slice(0, -1));
+    expect(undone.players[1].state.eliminated).toBe(false);
+    expect(undone.current_player_index).toBe(0);
+    expect(undone.current_dart).toBe(3);
+  });
+
+  it('rebuilds lives and killer status but keeps numbers when replaying throws', () => {
+    const game = makeKillerGame([1, 1, 1]);
+    const throws = [
+      { segment: 10, multiplier: 2 },
+      { segment: 11, multiplier: 2 },
+    ];
+
+    const [p1, p2, p3] = replayGame(game, throws).players;
+
+    expect(p1.state).toMatchObject({ number: 10, killer: true, lives: 3 });
+    expect(p2.state).toMatchObject({ number: 11, lives: 2 });
+    expect(p3.state).toMatchObject({ number: 12, killer: false, lives: 3 });
+  });
+
+  it('deals distinct numbers and swaps when a taken number is chosen', () => {
+    const type = getGameType('Killer');
+    const creating = { options: null, players: [] };
+    for (let i = 0; i < 20; i++) {
+      creating.players.push(type.initPlayer(creating));
+    }
+    expect(new Set(creating.players.map(p => p.state.number)).size).toBe(20);
+
+    const game = makeKillerGame();
+    expect(type.chooseNumber(game, 'p1', 12)).toBe(true);
+    expect(game.players[0].state.number).toBe(12);
+    expect(game.players[2].state.number).toBe(10);
+    expect(type.chooseNumber(game, 'p1', 21)).toBe(false);
+  });
+});
+
+function makeHalveItGame(turn, dart, targets) {
+  return {
+    game_type: 'Halve-It',
+    options: targets ? { targets } : null,
+    current_player_index: (turn - 1) % 2,
+    current_turn: turn,
+    current_dart: dart,
+    players: ['p1', 'p2'].map(id => ({ id, user_id: id, score: 0, state: { hitThisTurn: false, halved: 0 } })),
+  };
+}
+
+describe('Halve-It', () => {
+  it('scores darts on the round target, including any double and bull', () => {
+    const game = makeHalveItGame(1, 1, ['D', 'B']);
+
+    processThrow(game, 'p1', 20, 1);
+    processThrow(game, 'p1', 7, 2);
+    expect(game.players[0].score).toBe(14);
+
+    game.current_turn = 3;
+    processThrow(game, 'p1', 25, 2);
+    expect(game.players[0].score).toBe(64);
+  });
+
+  it('halves the score when the target is missed all turn', () => {
+    const game = makeHalveItGame(1, 3);
+    game.players[0].score = 41;
+
+    processThrow(game, 'p1', 19, 1);
+    advanceTurn(game);
+
+    expect(game.players[0].score).toBe(20);
+    expect(game.players[0].state.halved).toBe(1);
+    expect(game.current_player_index).toBe(1);
+  });
+
+  it('keeps the score when any dart hit the target', () => {
+    const game = makeHalveItGame(1, 3);
+
+    processThrow(game, 'p1', 20, 3);
+    advanceTurn(game);
+
+    expect(game.players[0].score).toBe(60);
+  });
+
+  it('goes to the highest score once every target is played', () => {
+    const game = makeHalveItGame(4, 1, [20, 16]);
+    game.players[1].score = 32;
+    expect(checkGameComplete(game)).toBeNull();
+
+    game.current_turn = 5;
+    expect(checkGameComplete(game)).toMatchObject({ winnerId: 'p2', reason: 'highest_score' });
+  });
+
+  it('halves completed turns when replaying throws', () => {
+    const game = makeHalveItGame(1, 1);
+    const throws = [
+      { segment: 20, multiplier: 1 },
+      { segment: 20, multiplier: 3 },
+      { segment: 5, multiplier: 1 },
+      { segment: 1, multiplier: 1 },
+      { segment: 1, multiplier: 1 },
+      { segment: 1, multiplier: 1 },
+      { segment: 16, multiplier: 1 },
+    ];
+
+    const [p1, p2] = replayGame(game, throws).players;
+
+    expect(p1.score).toBe(96);
+    expect(p2.score).toBe(0);
+    expect(p2.state.halved).toBe(1);
+  });
+
+  it('settles the game when the last target is replayed', () => {
+    const game = makeHalveItGame(1, 1, [20]);
+    const throws = [{ segment: 20, multiplier: 1 }, {}, {}, {}, {}, {}];
+    expect(replayGame(game, throws).winner).toMatchObject({ winnerId: 'p1', reason: 'highest_score' });
+  });
+
+  it('parses a target list', () => {
+    const { parseOptions } = getGameType('Halve-It');
+    expect(parseOptions({ targets: '20, 16, d, 17 t B' })).toEqual({ targets: [20, 16, 'D', 17, 'T', 'B'] });
+    expect(parseOptions({ targets: '' })).toEqual({ targets: [20, 16, 'D', 17, 'T', 'B'] });
+    expect(parseOptions({ targets: '20, 21' })).toBeNull();
+    expect(parseOptions({ targets: '20, X' })).toBeNull();
+  });
+});
+
+describe('process01Throw', () => {
+  describe('out rules', () => {
+    it('defaults to double out', () => {
+      const result = process01Throw(make01Game(20), 'p1', 20, 1);
+      expect(result.isBust).toBe(true);
+
+      const finish = process01Throw(make01Game(20), 'p1', 10, 2);
+      expect(finish.isBust).toBe(false);
+      expect(finish.newScore).toBe(0);
+    });
+
+    it('allows a treble finish under master out', () => {
+      const game = make01Game(60, { outRule: 'master' });
+      const result = process01Throw(game, 'p1', 20, 3);
+      expect(result.isBust).toBe(false);
+      expect(result.newScore).toBe(0);
+    });
+
+    it('busts a single finish under master out', () => {
+      const game = make01Game(20, { outRule: 'master' });
+      expect(process01Throw(game, 'p1', 20, 1).isBust).toBe(true);
+    });
+
+    it('allows any finish and leaving 1 under straight out', () => {
+      const finish = process01Throw(make01Game(20, { outRule: 'straight' }), 'p1', 20, 1);
+      expect(finish.isBust).toBe(false);
+      expect(finish.newScore).toBe(0);
+
+      const leaveOne = process01Throw(make01Game(21, { outRule: 'straight' }), 'p1', 20, 1);
+      expect(leaveOne.isBust).toBe(false);
+      expect(leaveOne.newScore).toBe(1);
+    });
+
+    it('busts leaving 1 under double out', () => {
+      expect(process01Throw(make01Game(21), 'p1', 20, 1).isBust).toBe(true);
+    });
+  });
+
+  describe('double in', () => {
+    it('ignores darts until the player hits a double', () => {
+      const game = make01Game(301, { inRule: 'double' });
+
+      const single = process01Throw(game, 'p1', 20, 1);
+      expect(single.awaitingDoubleIn).toBe(true);
+      expect(single.newScore).toBe(301);
+
+      const double = process01Throw(game, 'p1', 20, 2);
+      expect(double.awaitingDoubleIn).toBe(false);
+      expect(double.newScore).toBe(261);
+
+      const after = process01Throw(game, 'p1', 20, 1);
+      expect(after.newScore).toBe(241);
+    });
+
+    it('scores immediately under straight in', () => {
+      const result = process01Throw(make01Game(301), 'p1', 20, 1);
+      expect(result.newScore).toBe(281);
+    });
+  });
+});
+
+describe('isValidFinish', () => {
+  it('matches each out rule', () => {
+    expect(isValidFinish('double', 2)).toBe(true);
+    expect(isValidFinish('double', 3)).toBe(false);
+    expect(isValidFinish('master', 3)).toBe(true);
+    expect(isValidFinish('master', 1)).toBe(false);
+    expect(isValidFinish('straight', 1)).toBe(true);
+  });
+});
+
+describe('replayGame for 301/501', () => {
+  const players = [{ id: 'p1', user_id: 'u1' }, { id: 'p2', user_id: 'u2' }];
+
+  it('resets a busted turn to the score at the start of that turn', () => {
+    const game = { game_type: '301', starting_score: 301, players };
+    const t20 = { segment: 20, multiplier: 3 };
+    const throws = [
+      t20, t20, t20,
+      t20, t20, t20,
+      t20, { segment: 19, multiplier: 3 }, { segment: 20, multiplier: 1 },
+    ];
+    // 301 - 180 = 121, then 121 - 60 - 57 leaves 4 and the final 20 busts back to 121
+    const state = replayGame(game, throws);
+    expect(state.players[0].remaining_score).toBe(121);
+    expect(state.players[1].remaining_score).toBe(121);
+    expect(state.throws[8].is_bust).toBe(1);
+  });
+
+  it('clears a later bust when an earlier throw is corrected', () => {
+    const game = { game_type: '301', starting_score: 301, players };
+    const t20 = { segment: 20, multiplier: 3 };
+    const throws = [
+      t20, t20, t20,
+      t20, t20, t20,
+      t20, { segment: 19, multiplier: 3 }, { segment: 20, multiplier: 1 },
+    ];
+    // The T19 was really a single 19: 121 - 60 - 19 leaves 42, so the final 20 no longer busts
+    throws[7] = { segment: 19, multiplier: 1 };
+    const state = replayGame(game, throws);
+    expect(state.players[0].remaining_score).toBe(22);
+    expect(state.throws[8].is_bust).toBe(0);
+  });
+
+  it('honours double in when replaying', () => {
+    const game = { game_type: '301', starting_score: 301, in_rule: 'double', players };
+    const throws = [
+      { segment: 20, multiplier: 1 },
+      { segment: 5, multiplier: 2 },
+      { segment: 20, multiplier: 1 },
+    ];
+    expect(replayGame(game, throws).players[0].remaining_score).toBe(271);
+  });
+
+  it('keeps a double-in opening when the same visit busts', () => {
+    const game = { game_type: '301', starting_score: 101, in_rule: 'double', players };
+    // p1 opens on D20 then leaves 1 with T20, busting back to 101
+    const throws = [
+      { segment: 20, multiplier: 2 },
+      { segment: 20, multiplier: 3 },
+      {},
+      {}, {}, {},
+      { segment: 20, multiplier: 1 },
+    ];
+
+    const state = replayGame(game, throws);
+
+    expect(state.throws[1].is_bust).toBe(1);
+    expect(state.players[0].state.opened).toBe(true);
+    expect(state.players[0].remaining_score).toBe(81);
+  });
+
+  it('scores no visit total before a double-in opening', () => {
+    const game = { game_type: '501', starting_score: 501, in_rule: 'double', players };
+    const state = replayGame(game, [{ visit_total: 60 }]);
+    expect(state.players[0].remaining_score).toBe(501);
+    expect(state.throws[0].is_bust).toBe(0);
+  });
+
+  it('only takes visit totals under straight in', () => {
+    const { parseOptions } = getGameType('501');
+    expect(parseOptions({ entry: 'visit' })).toEqual({ entry: 'visit' });
+    expect(parseOptions({ entry: 'visit', inRule: 'double' })).toBeNull();
+    expect(parseOptions({ entry: 'dart', inRule: 'double' })).toEqual({ entry: 'dart' });
+  });
+
+  it('stops at the checkout and does not touch the game passed in', () => {
+    const game = { game_type: '301', starting_score: 301, out_rule: 'straight', players };
+    // p1: 180, p2: 180, p1: 120 then a single 1 to finish; the darts after it are ignored
+    const throws = Array(11).fill({ segment: 20, multiplier: 3 });
+    throws.splice(8, 0, { segment: 1, multiplier: 1 });
+
+    const state = replayGame(game, throws);
+
+    expect(state.winner).toMatchObject({ winnerId: 'p1', reason: 'checked_out' });
+    expect(state.throws).toHaveLength(9);
+    expect(game.players[0].remaining_score).toBeUndefined();
+  });
+});
+
+describe('visit totals for 301/501', () => {
+  const players = [{ id: 'p1', user_id: 'u1' }, { id: 'p2', user_id: 'u2' }];
+  const game = { game_type: '301', starting_score: 301, players };
+
+  it('knows which 3-dart totals are possible', () => {
+    expect(isPossibleVisit(180)).toBe(true);
+    expect(isPossibleVisit(171)).toBe(true);
+    expect(isPossibleVisit(0)).toBe(true);
+    [179, 178, 176, 175, 173, 172, 169, 166, 163, 181, -1].forEach(total => {
+      expect(isPossibleVisit(total)).toBe(false);
+    });
+  });
+
+  it('takes a whole turn per visit and replays mixed with single darts', () => {
+    const throws = [
+      { visit_total: 140 },
+      { segment: 20, multiplier: 3 }, { segment: 20, multiplier: 1 }, { segment: null, multiplier: 1 },
+      { visit_total: 160 },
+    ];
+    const state = replayGame(game, throws);
+    expect(state.players[0].remaining_score).toBe(161);
+    expect(state.players[1].remaining_score).toBe(221);
+    // Leaving 1 on double out busts the visit
+    expect(state.throws[4].is_bust).toBe(1);
+    expect(state.current_player_index).toBe(1);
+  });
+
+  it('checks out only when the finish is possible in the darts used', () => {
+    const leave = [{ visit_total: 180 }, { visit_total: 0 }];
+    const tooFew = replayGame(game, [...leave, { visit_total: 121, checkout_dart: 2, darts_at_double: 1 }]);
+    expect(tooFew.winner).toBeNull();
+    expect(tooFew.throws[2].is_bust).toBe(1);
+
+    const state = replayGame(game, [...leave, { visit_total: 121, checkout_dart: 3, darts_at_double: 1 }]);
+    expect(state.winner).toMatchObject({ winnerId: 'p1', reason: 'checked_out' });
+    expect(state.throws[2]).toMatchObject({ checkout_dart: 3, darts_at_double: 1 });
+  });
+});
+
+describe('formatRules', () => {
+  it('labels in and out rules', () => {
+    expect(formatRules('double', 'master')).toBe('Double In / Master Out');
+    expect(formatRules(null, null)).toBe('Straight In / Double Out');
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Around the World
+ * Hit 1 through 20 in order, then the bull
+ */
+
+/**
+ * Process an Around the World throw
+ * @param {Object} gameState - Current game state
+ * @param {string} playerId - The live_game_player ID
+ * @param {number} segment - Number hit (1-20, 25 for bull, null for miss)
+ * @param {number} multiplier - Not used for ATW, but included for consistency
+ * @returns {Object} Result with target progression
+ */
+function processAroundTheWorldThrow(gameState, playerId, segment, multiplier) {
+  const player = gameState.players.find(p => p.id === playerId);
+  if (!player) throw new Error('Player not found');
+
+  const result = {
+    playerId,
+    segment,
+    multiplier,
+    hit: false,
+    newTarget: player.current_target,
+  };
+
+  // Current target: 1-20 then 21 = bull (25)
+  const targetSegment = player.current_target === 21 ? 25 : player.current_target;
+
+  // Check if hit the target
+  if (segment === targetSegment) {
+    result.hit = true;
+    result.newTarget = player.current_target + 1;
+    player.current_target = result.newTarget;
+  }
+
+  return result;
+}
+
+/**
+ * Check if Around the World game is complete
+ * @param {Object} gameState - Current game state
+ * @returns {Object|null} Winner info or null if game continues
+ */
+function checkAroundTheWorldComplete(gameState) {
+  for (const player of gameState.players) {
+    // Target 22 means they've hit bull (21) and completed
+    if (player.current_target > 21) {
+      return {
+        winnerId: player.id,
+        winnerUserId: player.user_id,
+        reason: 'completed_sequence'
+      };
+    }
+  }
+  return null;
+}
+
+const aroundTheWorld = {
+  name: 'Around the World',
+  shortName: 'AtW',
+  icon: '🌍',
+  hint: '🌍 First to hit all numbers claims victory. Select the winner.',
+  scoreboard: 'atw',
+  recordMode: 'winner',
+  hasCrown: true,
+  live: true,
+  startingScore: null,
+  hasRules: false,
+  initPlayer: () => ({ current_target: 1 }),
+  processThrow: processAroundTheWorldThrow,
+  checkComplete: checkAroundTheWorldComplete,
+  finalScore: () => null,
+  practice: {
+    stat: 'Darts',
+    decimals: 0,
+    lowerIsBetter: true,
+    measure: (player, darts) => darts,
+  },
+};
+
+module.exports = {
+  aroundTheWorld,
+  processAroundTheWorldThrow,
+  checkAroundTheWorldComplete,
+};
@@ -0,0 +1,175 @@
+/**
+ * Cricket
+ * Close 15-20 and bull; extra marks on an open number score points
+ */
+
+const CRICKET_NUMBERS = [15, 16, 17, 18, 19, 20, 25]; // 25 = bull
+
+/**
+ * Process a Cricket throw
+ * With options.cutThroat, points go to every opponent who hasn't closed the number
+ * @param {Object} gameState - Current game state with players
+ * @param {string} playerId - The live_game_player ID
+ * @param {number} segment - The number hit (15-20, 25 for bull, null for miss)
+ * @param {number} multiplier - 1, 2, or 3 (double/triple)
+ * @param {Object} [options] - { cutThroat: boolean }
+ * @returns {Object} Result with updated player state and points scored
+ */
+function processCricketThrow(gameState, playerId, segment, multiplier, options = {}) {
+  const player = gameState.players.find(p => p.id === playerId);
+  if (!player) throw new Error('Player not found');
+
+  const result = {
+    playerId,
+    segment,
+    multiplier,
+    marksAdded: 0,
+    pointsScored: 0,
+    closedNumber: false,
+    pointsAwardedTo: [],
+  };
+
+  // Miss or non-cricket number
+  if (!segment || !CRICKET_NUMBERS.includes(segment)) {
+    return result;
+  }
+
+  const markField = segment === 25 ? 'marks_bull' : `marks_${segment}`;
+  const currentMarks = player[markField] || 0;
+  const marksToAdd = multiplier;
+
+  // Check if this number is closed by all other players
+  const otherPlayers = gameState.players.filter(p => p.id !== playerId);
+  const isClosedByOthers = otherPlayers.every(p => {
+    const pMarks = segment === 25 ? p.marks_bull : p[`marks_${segment}`];
+    return pMarks >= 3;
+  });
+
+  // Calculate new marks (max tracking needed is 3 for display, but can go higher for scoring)
+  const newMarks = currentMarks + marksToAdd;
+
+  // Calculate points scored (only if player has 3+ marks and number not closed by all others)
+  if (currentMarks >= 3 && !isClosedByOthers) {
+    // All marks score points
+    result.pointsScored = marksToAdd * segment;
+  } else if (currentMarks < 3 && newMarks > 3 && !isClosedByOthers) {
+    // Some marks close, some score
+    const marksThatScore = newMarks - 3;
+    result.pointsScored = marksThatScore * segment;
+  }
+
+  result.marksAdded = marksToAdd;
+  result.newMarks = newMarks;
+  result.closedNumber = newMarks >= 3 && currentMarks < 3;
+
+  // Update player state
+  if (segment === 25) {
+    player.marks_bull = newMarks;
+  } else {
+    player[`marks_${segment}`] = newMarks;
+  }
+  if (result.pointsScored > 0 && options.cutThroat) {
+    // Points land on every opponent still open on this number
+    for (const opponent of otherPlayers) {
+      const opponentMarks = segment === 25 ? opponent.marks_bull : opponent[`marks_${segment}`];
+      if ((opponentMarks || 0) < 3) {
+        opponent.cricket_points = (opponent.cricket_points || 0) + result.pointsScored;
+        result.pointsAwardedTo.push(opponent.id);
+      }
+    }
+  } else {
+    player.cricket_points = (player.cricket_points || 0) + result.pointsScored;
+  }
+
+  return result;
+}
+
+/**
+ * Check whether a player has closed every Cricket number
+ * @param {Object} player - Player with marks_* fields
+ * @returns {boolean} True if 15-20 and bull all have 3+ marks
+ */
+function hasClosedAll(player) {
+  return CRICKET_NUMBERS.every(num => {
+    const marks = num === 25 ? player.marks_bull : player[`marks_${num}`];
+    return marks >= 3;
+  });
+}
+
+/**
+ * Check if Cricket game is complete
+ * @param {Object} gameState - Current game state
+ * @returns {Object|null} Winner info or null if game continues
+ */
+function checkCricketComplete(gameState) {
+  // Check if ALL players have closed all numbers
+  const allPlayersClosed = gameState.players.every(hasClosedAll);
+
+  if (allPlayersClosed) {
+    // Everyone closed - highest points wins (or draw/first player if tied)
+    const sorted = [...gameState.players].sort((a, b) =>
+      (b.cricket_points || 0) - (a.cricket_points || 0)
+    );
+    return {
+      winnerId: sorted[0].id,
+      winnerUserId: sorted[0].user_id,
+      reason: 'all_closed'
+    };
+  }
+
+  // Check if any single player closed all AND has strictly more points
+  for (const player of gameState.players) {
+    if (!hasClosedAll(player)) continue;
+
+    const playerPoints = player.cricket_points || 0;
+    const otherPlayers = gameState.players.filter(p => p.id !== player.id);
+    const hasStrictLead = otherPlayers.every(p =>
+      playerPoints > (p.cricket_points || 0)
+    );
+
+    if (hasStrictLead) {
+      return {
+        winnerId: player.id,
+        winnerUserId: player.user_id,
+        reason: 'closed_all_with_lead'
+      };
+    }
+  }
+
+  return null;
+}
+
+const cricket = {
+  name: 'Cricket',
+  shortName: 'Cricket',
+  icon: '🦗',
+  hint: '🎯 Highest score takes the round. Draws are settled by a tied high score.',
+  scoreboard: 'cricket',
+  recordMode: 'score',
+  hasCrown: true,
+  live: true,
+  startingScore: null,
+  hasRules: false,
+  initPlayer: () => ({}),
+  processThrow: processCricketThrow,
+  checkComplete: checkCricketComplete,
+  finalScore: (player) => player.cricket_points || 0,
+  practice: {
+    stat: 'MPR',
+    decimals: 2,
+    lowerIsBetter: false,
+    // Marks per round of three darts, counting marks scored past three
+    measure: (player, darts) => {
+      const marks = ['15', '16', '17', '18', '19', '20', 'bull'].reduce((sum, n) => sum + (player[`marks_${n}`] || 0), 0);
+      return darts ? (marks * 3) / darts : 0;
+    },
+  },
+};
+
+module.exports = {
+  cricket,
+  CRICKET_NUMBERS,
+  processCricketThrow,
+  checkCricketComplete,
+  hasClosedAll,
+};
@@ -0,0 +1,58 @@
+/**
+ * Cut-throat Cricket
+ * Cricket where scoring hurts opponents still open on the number; lowest score wins
+ */
+
+const { processCricketThrow, hasClosedAll } = require('./cricket');
+
+/**
+ * Check if Cut-throat Cricket game is complete
+ * A player wins once they have closed everything with no more points than anyone else
+ * @param {Object} gameState - Current game state
+ * @returns {Object|null} Winner info or null if game continues
+ */
+function checkCutThroatComplete(gameState) {
+  for (const player of gameState.players) {
+    if (!hasClosedAll(player)) continue;
+
+    const playerPoints = player.cricket_points || 0;
+    const otherPlayers = gameState.players.filter(p => p.id !== player.id);
+    const hasLowest = otherPlayers.every(p =>
+      playerPoints <= (p.cricket_points || 0)
+    );
+
+    if (hasLowest) {
+      return {
+        winnerId: player.id,
+        winnerUserId: player.user_id,
+        reason: 'closed_all_lowest'
+      };
+    }
+  }
+
+  return null;
+}
+
+const cutThroatCricket = {
+  name: 'Cut-throat Cricket',
+  shortName: 'Cut-throat',
+  icon: '🔪',
+  hint: '🔪 Lowest score takes it once the board is closed. Select the winner.',
+  note: 'Points go to your opponents - lowest score wins',
+  scoreboard: 'cricket',
+  recordMode: 'winner',
+  hasCrown: true,
+  live: true,
+  startingScore: null,
+  hasRules: false,
+  initPlayer: () => ({}),
+  processThrow: (gameState, playerId, segment, multiplier) =>
+    processCricketThrow(gameState, playerId, segment, multiplier, { cutThroat: true }),
+  checkComplete: checkCutThroatComplete,
+  finalScore: (player) => player.cricket_points || 0,
+};
+
+module.exports = {
+  cutThroatCricket,
+  checkCutThroatComplete,
+};
@@ -0,0 +1,180 @@
+/**
+ * Halve-It
+ * Each round has a target; darts on the target score, and a player who misses
+ * it with all three darts has their score halved
+ */
+
+const { getRound, isPastFinalRound } = require('./rounds');
+
+// Targets are numbers 1-20, or 'D' (any double), 'T' (any treble) and 'B' (bull)
+const SPECIAL_TARGETS = ['D', 'T', 'B'];
+const DEFAULT_TARGETS = [20, 16, 'D', 17, 'T', 'B'];
+const MAX_TARGETS = 20;
+
+/**
+ * Target sequence configured for a Halve-It game
+ * @param {Object} gameState - Game state with options
+ * @returns {Array} Targets, one per round
+ */
+function getTargets(gameState) {
+  return (gameState.options && gameState.options.targets) || DEFAULT_TARGETS;
+}
+
+/**
+ * Display label for a target
+ * @param {number|string} target - Target from the sequence
+ * @returns {string} Label like "20", "Any double" or "Bull"
+ */
+function formatTarget(target) {
+  if (target === 'D') return 'Any double';
+  if (target === 'T') return 'Any treble';
+  if (target === 'B') return 'Bull';
+  return String(target);
+}
+
+/**
+ * Check whether a dart counts for a target
+ * @param {number|string} target - Target from the sequence
+ * @param {number} segment - Number hit (null for miss)
+ * @param {number} multiplier - 1, 2, or 3
+ * @returns {boolean} True if the dart hit the target
+ */
+function hitsTarget(target, segment, multiplier) {
+  if (!segment) return false;
+  if (target === 'D') return multiplier === 2;
+  if (target === 'T') return multiplier === 3;
+  if (target === 'B') return segment === 25;
+  return segment === target;
+}
+
+/**
+ * Process a Halve-It throw
+ * @param {Object} gameState - Current game state (current_turn, options)
+ * @param {string} playerId - The live_game_player ID
+ * @param {number} segment - Number hit (null for miss)
+ * @param {number} multiplier - 1, 2, or 3
+ * @returns {Object} Result with the round's target and points scored
+ */
+function processHalveItThrow(gameState, playerId, segment, multiplier) {
+  const player = gameState.players.find(p => p.id === playerId);
+  if (!player) throw new Error('Player not found');
+
+  const round = getRound(gameState.current_turn, gameState.players.length);
+  const target = getTargets(gameState)[round - 1];
+  const result = {
+    playerId,
+    segment,
+    multiplier,
+    round,
+    target,
+    hit: false,
+    pointsScored: 0,
+  };
+
+  if (!hitsTarget(target, segment, multiplier)) {
+    return result;
+  }
+
+  result.hit = true;
+  result.pointsScored = segment * multiplier;
+  player.score = (player.score || 0) + result.pointsScored;
+  player.state.hitThisTurn = true;
+
+  return result;
+}
+
+/**
+ * End-of-turn hook: halve the score of a player who missed the target all turn
+ * @param {Object} gameState - Current game state
+ * @param {Object} player - Player whose turn just ended
+ */
+function endHalveItTurn(gameState, player) {
+  if (!player.state.hitThisTurn) {
+    player.score = Math.floor((player.score || 0) / 2);
+    player.state.halved = (player.state.halved || 0) + 1;
+  }
+  player.state.hitThisTurn = false;
+}
+
+/**
+ * Check if Halve-It game is complete
+ * Called after the turn has advanced, once every round is played highest score wins
+ * @param {Object} gameState - Current game state
+ * @returns {Object|null} Winner info or null if game continues
+ */
+function checkHalveItComplete(gameState) {
+  if (!isPastFinalRound(gameState, getTargets(gameState).length)) {
+    return null;
+  }
+
+  // Highest score wins (first player on a tie)
+  const sorted = [...gameState.players].sort((a, b) => (b.score || 0) - (a.score || 0));
+  return {
+    winnerId: sorted[0].id,
+    winnerUserId: sorted[0].user_id,
+    reason: 'highest_score'
+  };
+}
+
+/**
+ * Read the target sequence from the new game form
+ * Accepts a list like "20, 16, D, 17, T, B"
+ * @param {Object} body - Request body
+ * @returns {Object|null} Options, or null if invalid
+ */
+function parseHalveItOptions(body) {
+  const tokens = (body.targets || '').split(/[\s,]+/).filter(Boolean);
+  if (tokens.length === 0) {
+    return { targets: DEFAULT_TARGETS };
+  }
+  if (tokens.length > MAX_TARGETS) {
+    return null;
+  }
+
+  const targets = [];
+  for (const token of tokens) {
+    const upper = token.toUpperCase();
+    if (SPECIAL_TARGETS.includes(upper)) {
+      targets.push(upper);
+      continue;
+    }
+    const number = Number(token);
+    if (!Number.isInteger(number) || number < 1 || number > 20) {
+      return null;
+    }
+    targets.push(number);
+  }
+  return { targets };
+}
+
+const halveIt = {
+  name: 'Halve-It',
+  shortName: 'Halve-It',
+  icon: '✂️',
+  hint: '✂️ Highest score after the last target wins. Select the winner.',
+  note: 'Miss the round\'s target with all three darts and your score is halved',
+  scoreboard: 'halveit',
+  recordMode: 'winner',
+  hasCrown: false,
+  live: true,
+  startingScore: null,
+  hasRules: false,
+  initPlayer: () => ({ score: 0, state: { hitThisTurn: false, halved: 0 } }),
+  processThrow: processHalveItThrow,
+  onTurnEnd: endHalveItTurn,
+  checkComplete: checkHalveItComplete,
+  finalScore: (player) => player.score || 0,
+  parseOptions: parseHalveItOptions,
+  describeOptions: (options) => ((options && options.targets) || DEFAULT_TARGETS).map(formatTarget).join(', '),
+};
+
+module.exports = {
+  halveIt,
+  DEFAULT_TARGETS,
+  getTargets,
+  formatTarget,
+  hitsTarget,
+  processHalveItThrow,
+  endHalveItTurn,
+  checkHalveItComplete,
+};
@@ -0,0 +1,156 @@
+/**
+ * Game Type Registry
+ * Every game type is declared once here; routes, crowns, views and the live
+ * scoring client all read from this list.
+ *
+ * A game type definition has:
+ *   name          - Stored game_type value
+ *   shortName     - Compact label for filters and chips
+ *   icon          - Emoji shown alongside the game type
+ *   hint          - Rules hint shown when recording a game
+ *   note          - Optional reminder shown in the lobby and during play
+ *   scoreboard    - Live scoreboard/input layout ('cricket', 'x01', 'atw', 'shanghai',
+ *                   'killer' or 'halveit')
+ *   recordMode    - How a recorded game picks its winner:
+ *                   'score' (highest score), 'checkout' (winner + darts) or 'winner'
+ *   hasCrown      - Whether the game type has its own crown
+ *   live          - Whether it can be played as a live game
+ *   startingScore - Default starting score, or null
+ *   hasRules      - Whether in/out rules apply
+ *   initPlayer(gameState, player)                      - Initial live player columns (plus
+ *                                                        optional JSON state); gameState.players
+ *                                                        holds the players initialised so far and
+ *                                                        player is the existing one when rebuilding
+ *   processThrow(gameState, playerId, segment, multiplier) - Apply one dart; this is the
+ *                                                        reducer replayGame folds the throws with
+ *   checkComplete(gameState)                           - Winner info or null, checked after
+ *                                                        the turn advances
+ *   finalScore(player)                                 - Score saved when finalized
+ *
+ * Optional:
+ *   onTurnEnd(gameState, player) - Scoring applied after a player's third dart
+ *   parseOptions(body)      - Game options from the new game form, or null if invalid
+ *   describeOptions(options) - Short label for the chosen options
+ *   chooseNumber(gameState, playerId, number) - Let a player change their number in the lobby
+ *   processVisit(gameState, playerId, visit) - Apply a whole visit entered as a 3-dart total
+ *   practice                - Solo practice stat: { stat, decimals, lowerIsBetter,
+ *                             measure(player, darts, game) } worked out when a session ends
+ */
+
+const { cricket } = require('./cricket');
+const { cutThroatCricket } = require('./cut-throat-cricket');
+const { x301, x501 } = require('./x01');
+const { aroundTheWorld } = require('./around-the-world');
+const { shanghai } = require('./shanghai');
+const { killer } = require('./killer');
+const { halveIt } = require('./halve-it');
+
+// Order here is the order game types appear in menus
+const GAME_TYPES = [cricket, cutThroatCricket, x301, x501, aroundTheWorld, shanghai, killer, halveIt];
+
+const byName = new Map(GAME_TYPES.map(type => [type.name, type]));
+
+/**
+ * Look up a game type by name
+ * @param {string} name - Stored game_type value
+ * @returns {Object|null} Game type definition or null if unknown
+ */
+function getGameType(name) {
+  return byName.get(name) || null;
+}
+
+// Stored game_type for a game recorded as "Other"; filtering by it matches every
+// game type that isn't registered
+const OTHER_GAME_TYPE = 'Other';
+
+/**
+ * All registered game types, in menu order
+ * @returns {Array} Game type definitions
+ */
+function listGameTypes() {
+  return GAME_TYPES;
+}
+
+/**
+ * Game types that can be played live
+ * @returns {Array} Game type definitions
+ */
+function liveGameTypes() {
+  return GAME_TYPES.filter(type => type.live);
+}
+
+/**
+ * Game types that can be played as solo practice
+ * @returns {Array} Game type definitions
+ */
+function practiceGameTypes() {
+  return GAME_TYPES.filter(type => type.live && type.practice);
+}
+
+/**
+ * Names of game types that carry a crown
+ * @returns {Array<string>} Game type names
+ */
+function crownGameTypes() {
+  return GAME_TYPES.filter(type => type.hasCrown).map(type => type.name);
+}
+
+/**
+ * Names of game types whose recorded winner is the highest score
+ * @returns {Array<string>} Game type names
+ */
+function scoreBasedGameTypes() {
+  return GAME_TYPES.filter(type => type.recordMode === 'score').map(type => type.name);
+}
+
+/**
+ * Names of countdown game types (winner records checkout darts)
+ * @returns {Array<string>} Game type names
+ */
+function countdownGameTypes() {
+  return GAME_TYPES.filter(type => type.recordMode === 'checkout').map(type => type.name);
+}
+
+/**
+ * Icon for a game type, falling back to dice for "Other"
+ * @param {string} name - Stored game_type value
+ * @returns {string} Emoji icon
+ */
+function gameTypeIcon(name) {
+  const type = getGameType(name);
+  return type ? type.icon : '🎲';
+}
+
+/**
+ * Short label for a live game's options, or null if it has none
+ * @param {Object} game - Live game with game_type and options
+ * @returns {string|null} Label like "7 rounds"
+ */
+function describeOptions(game) {
+  const type = getGameType(game.game_type);
+  return type && type.describeOptions ? type.describeOptions(game.options) : null;
+}
+
+/**
+ * Whether a recorded game of this type is won on highest score
+ * @param {string} name - Stored game_type value
+ * @returns {boolean} True for score-based game types
+ */
+function isScoreBased(name) {
+  const type = getGameType(name);
+  return Boolean(type && type.recordMode === 'score');
+}
+
+module.exports = {
+  OTHER_GAME_TYPE,
+  getGameType,
+  listGameTypes,
+  liveGameTypes,
+  practiceGameTypes,
+  crownGameTypes,
+  scoreBasedGameTypes,
+  countdownGameTypes,
+  gameTypeIcon,
+  describeOptions,
+  isScoreBased,
+};
@@ -0,0 +1,74 @@
+/**
+ * Unit tests for the game type registry
+ */
+
+const {
+  getGameType,
+  listGameTypes,
+  liveGameTypes,
+  crownGameTypes,
+  scoreBasedGameTypes,
+  countdownGameTypes,
+  practiceGameTypes,
+  gameTypeIcon,
+} = require('./index');
+const { replayGame } = require('../game-logic');
+
+describe('game type registry', () => {
+  it('gives every game type the full definition', () => {
+    for (const type of listGameTypes()) {
+      expect(typeof type.name).toBe('string');
+      expect(typeof type.icon).toBe('string');
+      expect(['cricket', 'x01', 'atw', 'shanghai', 'killer', 'halveit']).toContain(type.scoreboard);
+      expect(['score', 'checkout', 'winner']).toContain(type.recordMode);
+      expect(typeof type.initPlayer).toBe('function');
+      expect(typeof type.processThrow).toBe('function');
+      expect(typeof type.checkComplete).toBe('function');
+      expect(typeof type.finalScore).toBe('function');
+    }
+  });
+
+  it('looks up game types by name', () => {
+    expect(getGameType('501').startingScore).toBe(501);
+    expect(getGameType('Other')).toBeNull();
+  });
+
+  it('lists crown, live, score-based and countdown game types', () => {
+    expect(crownGameTypes()).toEqual(['Cricket', 'Cut-throat Cricket', '301', '501', 'Around the World', 'Shanghai']);
+    expect(liveGameTypes().map(type => type.name)).toContain('Around the World');
+    expect(scoreBasedGameTypes()).toEqual(['Cricket']);
+    expect(countdownGameTypes()).toEqual(['301', '501']);
+  });
+
+  it('offers solo practice with a stat per game type', () => {
+    expect(practiceGameTypes().map(type => type.name)).toEqual(['Cricket', '301', '501', 'Around the World']);
+
+    const cricketPlayer = { marks_20: 5, marks_19: 3, marks_bull: 1 };
+    expect(getGameType('Cricket').practice.measure(cricketPlayer, 6)).toBe(4.5);
+
+    const x01Game = { starting_score: 121 };
+    expect(getGameType('301').practice.measure({ remaining_score: 0 }, 6, x01Game)).toBeCloseTo(60.5);
+    expect(getGameType('Around the World').practice.measure({}, 33)).toBe(33);
+  });
+
+  it('falls back to dice for unregistered game types', () => {
+    expect(gameTypeIcon('Cricket')).toBe('🦗');
+    expect(gameTypeIcon('Other')).toBe('🎲');
+  });
+
+  it('replays Around the World targets', () => {
+    const type = getGameType('Around the World');
+    const game = { game_type: type.name, players: [{ id: 'p1' }, { id: 'p2' }] };
+    const throws = [
+      { segment: 1, multiplier: 1 },
+      { segment: 2, multiplier: 1 },
+      { segment: null },
+      { segment: 5, multiplier: 1 },
+    ];
+
+    const [p1, p2] = replayGame(game, throws).players;
+
+    expect(p1.current_target).toBe(3);
+    expect(p2.current_target).toBe(1);
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Killer
+ * Everyone has a number; hit your own double to become a killer, then hit
+ * opponents' doubles to take their lives. Last player standing wins.
+ */
+
+const DEFAULT_LIVES = 3;
+const MAX_LIVES = 5;
+const KILLER_NUMBERS = Array.from({ length: 20 }, (_, i) => i + 1);
+
+/**
+ * Number of lives each player starts with
+ * @param {Object} gameState - Game state with options
+ * @returns {number} Starting lives
+ */
+function getStartingLives(gameState) {
+  return (gameState.options && gameState.options.lives) || DEFAULT_LIVES;
+}
+
+/**
+ * Fresh Killer state for a player
+ * @param {number} number - The player's number (1-20)
+ * @param {number} lives - Starting lives
+ * @returns {Object} Player state
+ */
+function createKillerState(number, lives) {
+  return { number, lives, killer: false, eliminated: false };
+}
+
+/**
+ * Initial state for a player
+ * A new player draws a random number no earlier player has; a rebuilt player keeps theirs
+ * @param {Object} gameState - Game state, with the players initialised so far
+ * @param {Object} [player] - Existing player when rebuilding
+ * @returns {Object} Initial player columns
+ */
+function initKillerPlayer(gameState, player) {
+  let number = player && player.state ? player.state.number : null;
+  if (!number) {
+    const taken = gameState.players.map(p => p.state && p.state.number);
+    const available = KILLER_NUMBERS.filter(n => !taken.includes(n));
+    number = available[Math.floor(Math.random() * available.length)];
+  }
+  return { state: createKillerState(number, getStartingLives(gameState)) };
+}
+
+/**
+ * Process a Killer throw
+ * Only doubles count: your own double makes you a killer, and a killer
+ * hitting an opponent's double takes one of their lives
+ * @param {Object} gameState - Current game state with players
+ * @param {string} playerId - The live_game_player ID
+ * @param {number} segment - Number hit (null for miss)
+ * @param {number} multiplier - 1, 2, or 3
+ * @returns {Object} Result with killer status change and lives taken
+ */
+function processKillerThrow(gameState, playerId, segment, multiplier) {
+  const player = gameState.players.find(p => p.id === playerId);
+  if (!player) throw new Error('Player not found');
+
+  const result = {
+    playerId,
+    segment,
+    multiplier,
+    becameKiller: false,
+    livesTaken: [],
+    eliminated: [],
+  };
+
+  if (!segment || multiplier !== 2) {
+    return result;
+  }
+
+  if (segment === player.state.number) {
+    if (!player.state.killer) {
+      player.state.killer = true;
+      result.becameKiller = true;
+    }
+    return result;
+  }
+
+  if (!player.state.killer) {
+    return result;
+  }
+
+  const victim = gameState.players.find(p =>
+    p.id !== playerId && !p.state.eliminated && p.state.number === segment
+  );
+  if (victim) {
+    victim.state.lives = Math.max(0, victim.state.lives - 1);
+    result.livesTaken.push(victim.id);
+    if (victim.state.lives === 0) {
+      victim.state.eliminated = true;
+      result.eliminated.push(victim.id);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Check if Killer game is complete
+ * @param {Object} gameState - Current game state
+ * @returns {Object|null} Winner info or null if game continues
+ */
+function checkKillerComplete(gameState) {
+  const standing = gameState.players.filter(p => !p.state.eliminated);
+  if (standing.length === 1) {
+    return {
+      winnerId: standing[0].id,
+      winnerUserId: standing[0].user_id,
+      reason: 'last_standing'
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Give a player a different number before the game starts
+ * If another player already has that number, the two swap
+ * @param {Object} gameState - Game state with players
+ * @param {string} playerId - The live_game_player ID
+ * @param {number} number - The chosen number (1-20)
+ * @returns {boolean} False if the player or number is invalid
+ */
+function chooseKillerNumber(gameState, playerId, number) {
+  const player = gameState.players.find(p => p.id === playerId);
+  if (!player || !KILLER_NUMBERS.includes(number)) return false;
+
+  const holder = gameState.players.find(p => p.id !== playerId && p.state.number === number);
+  if (holder) {
+    holder.state.number = player.state.number;
+  }
+  player.state.number = number;
+  return true;
+}
+
+/**
+ * Read Killer options from the new game form
+ * @param {Object} body - Request body
+ * @returns {Object|null} Options, or null if invalid
+ */
+function parseKillerOptions(body) {
+  const lives = body.lives ? parseInt(body.lives, 10) : DEFAULT_LIVES;
+  if (!Number.isInteger(lives) || lives < 1 || lives > MAX_LIVES) {
+    return null;
+  }
+  return { lives };
+}
+
+const killer = {
+  name: 'Killer',
+  shortName: 'Killer',
+  icon: '💀',
+  hint: '💀 Last player standing wins. Select the winner.',
+  note: 'Hit your own double to become a killer, then take lives with opponents\' doubles',
+  scoreboard: 'killer',
+  recordMode: 'winner',
+  hasCrown: false,
+  live: true,
+  startingScore: null,
+  hasRules: false,
+  initPlayer: initKillerPlayer,
+  processThrow: processKillerThrow,
+  checkComplete: checkKillerComplete,
+  finalScore: (player) => (player.state ? player.state.lives : 0),
+  parseOptions: parseKillerOptions,
+  describeOptions: (options) => {
+    const lives = (options && options.lives) || DEFAULT_LIVES;
+    return `${lives} ${lives === 1 ? 'life' : 'lives'}`;
+  },
+  chooseNumber: chooseKillerNumber,
+};
+
+module.exports = {
+  killer,
+  DEFAULT_LIVES,
+  MAX_LIVES,
+  processKillerThrow,
+  checkKillerComplete,
+  chooseKillerNumber,
+};
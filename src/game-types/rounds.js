@@ -0,0 +1,31 @@
+/**
+ * Round helpers for game types played over a fixed number of rounds
+ */
+
+/**
+ * Work out which round a turn belongs to
+ * Every player gets one turn per round, so turns 1..n are round 1
+ * @param {number} turnNumber - Global turn number (1-based)
+ * @param {number} playerCount - Number of players in the game
+ * @returns {number} Round number (1-based)
+ */
+function getRound(turnNumber, playerCount) {
+  return Math.floor((turnNumber - 1) / playerCount) + 1;
+}
+
+/**
+ * Check whether every round has been played
+ * Completion is checked after the turn advances, so the last dart of the
+ * last round has moved the game into a round that doesn't exist
+ * @param {Object} gameState - Current game state
+ * @param {number} roundCount - Total rounds in the game
+ * @returns {boolean} True if the game has run out of rounds
+ */
+function isPastFinalRound(gameState, roundCount) {
+  return getRound(gameState.current_turn, gameState.players.length) > roundCount;
+}
+
+module.exports = {
+  getRound,
+  isPastFinalRound,
+};
@@ -0,0 +1,135 @@
+/**
+ * Shanghai
+ * Each round only its own number scores; hitting single, double and treble
+ * of the round number in one turn wins outright
+ */
+
+const { getRound, isPastFinalRound } = require('./rounds');
+
+const DEFAULT_ROUNDS = 7;
+const MAX_ROUNDS = 20;
+
+/**
+ * Number of rounds configured for a Shanghai game
+ * @param {Object} gameState - Game state with options
+ * @returns {number} Round count
+ */
+function getRoundCount(gameState) {
+  return (gameState.options && gameState.options.rounds) || DEFAULT_ROUNDS;
+}
+
+/**
+ * Process a Shanghai throw
+ * @param {Object} gameState - Current game state (current_turn, throws, options)
+ * @param {string} playerId - The live_game_player ID
+ * @param {number} segment - Number hit (null for miss)
+ * @param {number} multiplier - 1, 2, or 3
+ * @returns {Object} Result with points scored and whether it completed a Shanghai
+ */
+function processShanghaiThrow(gameState, playerId, segment, multiplier) {
+  const player = gameState.players.find(p => p.id === playerId);
+  if (!player) throw new Error('Player not found');
+
+  const round = getRound(gameState.current_turn, gameState.players.length);
+  const result = {
+    playerId,
+    segment,
+    multiplier,
+    round,
+    hit: false,
+    pointsScored: 0,
+    shanghai: false,
+  };
+
+  // Only the round's number scores
+  if (segment !== round) {
+    return result;
+  }
+
+  result.hit = true;
+  result.pointsScored = round * multiplier;
+  player.score = (player.score || 0) + result.pointsScored;
+
+  // Shanghai: single, double and treble of the round number in the same turn
+  const turnMultipliers = (gameState.throws || [])
+    .filter(t => t.player_id === playerId && t.turn_number === gameState.current_turn && t.segment === round)
+    .map(t => t.multiplier);
+  turnMultipliers.push(multiplier);
+  if ([1, 2, 3].every(m => turnMultipliers.includes(m))) {
+    result.shanghai = true;
+    player.shanghai = true;
+  }
+
+  return result;
+}
+
+/**
+ * Check if Shanghai game is complete
+ * Called after a dart is processed and the turn has advanced
+ * @param {Object} gameState - Current game state
+ * @returns {Object|null} Winner info or null if game continues
+ */
+function checkShanghaiComplete(gameState) {
+  const shanghaiPlayer = gameState.players.find(p => p.shanghai);
+  if (shanghaiPlayer) {
+    return {
+      winnerId: shanghaiPlayer.id,
+      winnerUserId: shanghaiPlayer.user_id,
+      reason: 'shanghai'
+    };
+  }
+
+  if (isPastFinalRound(gameState, getRoundCount(gameState))) {
+    // Out of rounds - highest score wins (first player on a tie)
+    const sorted = [...gameState.players].sort((a, b) => (b.score || 0) - (a.score || 0));
+    return {
+      winnerId: sorted[0].id,
+      winnerUserId: sorted[0].user_id,
+      reason: 'highest_score'
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Read Shanghai options from the new game form
+ * @param {Object} body - Request body
+ * @returns {Object|null} Options, or null if invalid
+ */
+function parseShanghaiOptions(body) {
+  const rounds = body.rounds ? parseInt(body.rounds, 10) : DEFAULT_ROUNDS;
+  if (!Number.isInteger(rounds) || rounds < 1 || rounds > MAX_ROUNDS) {
+    return null;
+  }
+  return { rounds };
+}
+
+const shanghai = {
+  name: 'Shanghai',
+  shortName: 'Shanghai',
+  icon: '🐉',
+  hint: '🐉 Highest total after the rounds wins - or hit a Shanghai. Select the winner.',
+  note: 'Only the round number scores - single, double and treble in one turn wins outright',
+  scoreboard: 'shanghai',
+  recordMode: 'winner',
+  hasCrown: true,
+  live: true,
+  startingScore: null,
+  hasRules: false,
+  initPlayer: () => ({ score: 0 }),
+  processThrow: processShanghaiThrow,
+  checkComplete: checkShanghaiComplete,
+  finalScore: (player) => player.score || 0,
+  parseOptions: parseShanghaiOptions,
+  describeOptions: (options) => `${(options && options.rounds) || DEFAULT_ROUNDS} rounds`,
+};
+
+module.exports = {
+  shanghai,
+  DEFAULT_ROUNDS,
+  MAX_ROUNDS,
+  getRoundCount,
+  processShanghaiThrow,
+  checkShanghaiComplete,
+};
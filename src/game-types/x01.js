@@ -0,0 +1,268 @@
+/**
+ * 301 / 501
+ * Count down to exactly zero under the game's in/out rules
+ */
+
+// In/out rules for 301/501
+const IN_RULES = ['straight', 'double'];
+const OUT_RULES = ['double', 'master', 'straight'];
+const DEFAULT_IN_RULE = 'straight';
+const DEFAULT_OUT_RULE = 'double';
+
+// Entry modes: dart by dart, or a 3-dart total per visit
+const ENTRY_MODES = ['dart', 'visit'];
+
+// Every dart on the board as { value, multiplier }, including a miss
+const DARTS = [{ value: 0, multiplier: 1 }];
+for (const segment of [...Array.from({ length: 20 }, (_, i) => i + 1), 25]) {
+  for (let multiplier = 1; multiplier <= (segment === 25 ? 2 : 3); multiplier++) {
+    DARTS.push({ value: segment * multiplier, multiplier });
+  }
+}
+
+// Totals that can be scored with exactly n darts (misses included), for n = 0..2
+const TOTALS_BY_DARTS = [new Set([0])];
+for (let n = 1; n <= 2; n++) {
+  TOTALS_BY_DARTS.push(new Set([...TOTALS_BY_DARTS[n - 1]].flatMap(t => DARTS.map(d => t + d.value))));
+}
+
+/**
+ * Check whether a player has opened under the game's in rule
+ * The opening double is kept in the player's state, so a bust later in the
+ * visit that opened doesn't undo it
+ * @param {Object} gameState - Current game state (in_rule, starting_score)
+ * @param {Object} player - Player state
+ * @returns {boolean} True once darts count towards the score
+ */
+function hasOpened(gameState, player) {
+  if ((gameState.in_rule || DEFAULT_IN_RULE) !== 'double') return true;
+  // Games started before the opening was tracked only show it in the score
+  return Boolean(player.state && player.state.opened) || player.remaining_score !== gameState.starting_score;
+}
+
+/**
+ * Process a 301/501 throw
+ * Honours the game's in rule (straight/double) and out rule (double/master/straight)
+ * @param {Object} gameState - Current game state (in_rule, out_rule, starting_score)
+ * @param {string} playerId - The live_game_player ID
+ * @param {number} segment - Number hit (1-20, 25 for outer bull, null for miss)
+ * @param {number} multiplier - 1, 2, or 3
+ * @returns {Object} Result with score deducted and bust status
+ */
+function process01Throw(gameState, playerId, segment, multiplier) {
+  const player = gameState.players.find(p => p.id === playerId);
+  if (!player) throw new Error('Player not found');
+
+  const outRule = gameState.out_rule || DEFAULT_OUT_RULE;
+
+  const result = {
+    playerId,
+    segment,
+    multiplier,
+    rawValue: 0,
+    isBust: false,
+    awaitingDoubleIn: false,
+    newScore: player.remaining_score,
+  };
+
+  // Double-in: nothing scores until the player opens with a double
+  if (!hasOpened(gameState, player)) {
+    if (!segment || multiplier !== 2) {
+      result.awaitingDoubleIn = true;
+      return result;
+    }
+    player.state = { ...player.state, opened: true };
+  }
+
+  // Miss
+  if (!segment) {
+    return result;
+  }
+
+  // Calculate raw value
+  const rawValue = segment * multiplier;
+  result.rawValue = rawValue;
+
+  const newScore = player.remaining_score - rawValue;
+
+  // Bust conditions:
+  // 1. Score goes below 0
+  // 2. Score goes to exactly 1 when the out rule needs a double or treble to finish
+  // 3. Score goes to 0 without the finishing dart the out rule requires
+  if (newScore < 0 || (newScore === 1 && outRule !== 'straight') || (newScore === 0 && !isValidFinish(outRule, multiplier))) {
+    result.isBust = true;
+    // Score stays the same on bust (handled at turn level)
+    return result;
+  }
+
+  result.newScore = newScore;
+  player.remaining_score = newScore;
+
+  return result;
+}
+
+/**
+ * Process a visit entered as a 3-dart total
+ * A visit that reaches zero is a checkout, as long as it could have finished
+ * under the out rule in the darts the player says they used. Nothing scores
+ * for a player still to open under double in
+ * @param {Object} gameState - Current game state (in_rule, out_rule, starting_score)
+ * @param {string} playerId - The live_game_player ID
+ * @param {Object} visit - { total, checkoutDart }
+ * @returns {Object} Result with score deducted and bust status
+ */
+function process01Visit(gameState, playerId, visit) {
+  const player = gameState.players.find(p => p.id === playerId);
+  if (!player) throw new Error('Player not found');
+
+  const outRule = gameState.out_rule || DEFAULT_OUT_RULE;
+  const newScore = player.remaining_score - visit.total;
+  const result = {
+    playerId,
+    total: visit.total,
+    rawValue: visit.total,
+    isBust: false,
+    awaitingDoubleIn: false,
+    newScore: player.remaining_score,
+  };
+
+  // A total doesn't say which dart was a double, so it can't open under double in
+  if (!hasOpened(gameState, player)) {
+    result.rawValue = 0;
+    result.awaitingDoubleIn = true;
+    return result;
+  }
+
+  // Same bust conditions as a single dart, judged on the whole visit
+  if (newScore < 0 || (newScore === 1 && outRule !== 'straight') ||
+      (newScore === 0 && !canCheckout(visit.total, visit.checkoutDart || 3, outRule))) {
+    result.isBust = true;
+    return result;
+  }
+
+  result.newScore = newScore;
+  player.remaining_score = newScore;
+
+  return result;
+}
+
+/**
+ * Check whether a 3-dart total could have been scored
+ * @param {number} total - Visit total
+ * @returns {boolean} False for totals like 179 that no three darts make
+ */
+function isPossibleVisit(total) {
+  return Number.isInteger(total) && DARTS.some(d => TOTALS_BY_DARTS[2].has(total - d.value));
+}
+
+/**
+ * Check whether a score can be checked out in a number of darts
+ * @param {number} score - Remaining score
+ * @param {number} darts - Darts used, the last one being the finishing dart (1-3)
+ * @param {string} outRule - 'double', 'master' or 'straight'
+ * @returns {boolean} True if some finish exists
+ */
+function canCheckout(score, darts, outRule) {
+  return DARTS.some(d =>
+    d.value > 0 && isValidFinish(outRule, d.multiplier) && TOTALS_BY_DARTS[darts - 1].has(score - d.value)
+  );
+}
+
+/**
+ * Check whether a finishing dart satisfies the out rule
+ * @param {string} outRule - 'double', 'master' or 'straight'
+ * @param {number} multiplier - Multiplier of the finishing dart
+ * @returns {boolean} True if the dart may finish the leg
+ */
+function isValidFinish(outRule, multiplier) {
+  if (outRule === 'straight') return true;
+  if (outRule === 'master') return multiplier === 2 || multiplier === 3;
+  return multiplier === 2;
+}
+
+/**
+ * Human-readable label for a 01 game's in/out rules
+ * @param {string} inRule - 'straight' or 'double'
+ * @param {string} outRule - 'double', 'master' or 'straight'
+ * @returns {string} Label like "Double In / Double Out"
+ */
+function formatRules(inRule, outRule) {
+  const names = { straight: 'Straight', double: 'Double', master: 'Master' };
+  return `${names[inRule || DEFAULT_IN_RULE]} In / ${names[outRule || DEFAULT_OUT_RULE]} Out`;
+}
+
+/**
+ * Check if 01 game is complete
+ * @param {Object} gameState - Current game state
+ * @returns {Object|null} Winner info or null if game continues
+ */
+function check01Complete(gameState) {
+  for (const player of gameState.players) {
+    if (player.remaining_score === 0) {
+      return {
+        winnerId: player.id,
+        winnerUserId: player.user_id,
+        reason: 'checked_out'
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Build a countdown game type for a starting score
+ * @param {number} startingScore - 301 or 501
+ * @returns {Object} Game type definition
+ */
+function createX01Type(startingScore) {
+  return {
+    name: String(startingScore),
+    shortName: String(startingScore),
+    icon: '🎯',
+    hint: '🎯 First to checkout wins. Mark the champion and their finishing darts.',
+    scoreboard: 'x01',
+    recordMode: 'checkout',
+    hasCrown: true,
+    live: true,
+    startingScore,
+    hasRules: true,
+    initPlayer: (gameState) => ({ remaining_score: gameState.starting_score }),
+    processThrow: process01Throw,
+    checkComplete: check01Complete,
+    finalScore: (player) => player.remaining_score || null,
+    processVisit: process01Visit,
+    practice: {
+      stat: '3-dart avg',
+      decimals: 1,
+      lowerIsBetter: false,
+      measure: (player, darts, game) => (darts ? ((game.starting_score - player.remaining_score) * 3) / darts : 0),
+    },
+    // Visit totals can't show the opening double, so double in is scored dart by dart
+    parseOptions: (body) => {
+      const entry = body.entry || 'dart';
+      if (!ENTRY_MODES.includes(entry) || (entry === 'visit' && body.inRule === 'double')) return null;
+      return { entry };
+    },
+  };
+}
+
+const x301 = createX01Type(301);
+const x501 = createX01Type(501);
+
+module.exports = {
+  x301,
+  x501,
+  IN_RULES,
+  OUT_RULES,
+  DEFAULT_IN_RULE,
+  DEFAULT_OUT_RULE,
+  ENTRY_MODES,
+  process01Throw,
+  process01Visit,
+  hasOpened,
+  isPossibleVisit,
+  canCheckout,
+  isValidFinish,
+  formatRules,
+  check01Complete,
+};
@@ -0,0 +1,82 @@
+/**
+ * Head to head
+ * Two players' record against each other, worked out from every game they both
+ * played. A game neither of them won (a third player took it) counts as played
+ * but breaks any run of wins
+ */
+
+// How many of the latest meetings make up recent form
+const FORM_LENGTH = 10;
+
+/**
+ * Result of one game from the first player's side
+ * @param {Object} game - Game with players
+ * @param {string} userId - First player
+ * @param {string} otherId - Second player
+ * @returns {string} 'W', 'L', or '-' when neither won
+ */
+function resultFor(game, userId, otherId) {
+  const winner = (id) => game.players.some(p => p.user_id === id && p.is_winner);
+  if (winner(userId)) return 'W';
+  if (winner(otherId)) return 'L';
+  return '-';
+}
+
+/**
+ * Longest runs of wins for each player, oldest game first
+ * @param {Array<string>} results - 'W', 'L' or '-' per game in the order played
+ * @returns {Object} { user, other }
+ */
+function longestStreaks(results) {
+  const best = { user: 0, other: 0 };
+  let run = { user: 0, other: 0 };
+  for (const result of results) {
+    run = {
+      user: result === 'W' ? run.user + 1 : 0,
+      other: result === 'L' ? run.other + 1 : 0,
+    };
+    best.user = Math.max(best.user, run.user);
+    best.other = Math.max(best.other, run.other);
+  }
+  return best;
+}
+
+/**
+ * Full record between two players
+ * @param {Array} games - Every game both played, with players, newest first
+ * @param {Array} crownChanges - crown_history rows where one took a crown from the other
+ * @param {string} userId - First player, whose side results are from
+ * @param {string} otherId - Second player
+ * @returns {Object} { played, wins, losses, byGameType, recentForm, longestStreaks, crownsTaken }
+ *   where byGameType is { gameType, played, wins, losses } busiest first, recentForm is
+ *   the latest results newest first and crownsTaken is { user, other }
+ */
+function summarizeHeadToHead(games, crownChanges, userId, otherId) {
+  const results = games.map(game => resultFor(game, userId, otherId));
+
+  const types = new Map();
+  games.forEach((game, i) => {
+    const entry = types.get(game.game_type) || { gameType: game.game_type, played: 0, wins: 0, losses: 0 };
+    entry.played++;
+    if (results[i] === 'W') entry.wins++;
+    if (results[i] === 'L') entry.losses++;
+    types.set(game.game_type, entry);
+  });
+
+  return {
+    played: games.length,
+    wins: results.filter(r => r === 'W').length,
+    losses: results.filter(r => r === 'L').length,
+    byGameType: [...types.values()].sort((a, b) => b.played - a.played || a.gameType.localeCompare(b.gameType)),
+    recentForm: results.slice(0, FORM_LENGTH),
+    longestStreaks: longestStreaks([...results].reverse()),
+    crownsTaken: {
+      user: crownChanges.filter(c => c.new_holder_user_id === userId && c.previous_holder_user_id === otherId).length,
+      other: crownChanges.filter(c => c.new_holder_user_id === otherId && c.previous_holder_user_id === userId).length,
+    },
+  };
+}
+
+module.exports = {
+  summarizeHeadToHead,
+};
@@ -0,0 +1,55 @@
+/**
+ * Unit tests for head-to-head.js - two players' record against each other
+ */
+
+const { summarizeHeadToHead } = require('./head-to-head');
+
+function game(gameType, winnerId, playerIds = ['a', 'b']) {
+  return {
+    game_type: gameType,
+    players: playerIds.map(id => ({ user_id: id, is_winner: id === winnerId ? 1 : 0 })),
+  };
+}
+
+describe('summarizeHeadToHead', () => {
+  // Newest first
+  const games = [
+    game('501', 'a'),
+    game('Cricket', 'b'),
+    game('501', 'c', ['a', 'b', 'c']),
+    game('501', 'a'),
+    game('501', 'a'),
+    game('Cricket', 'b'),
+    game('Cricket', 'b'),
+    game('Cricket', 'b'),
+  ];
+
+  it('counts wins and losses overall and by game type', () => {
+    const h2h = summarizeHeadToHead(games, [], 'a', 'b');
+
+    expect([h2h.played, h2h.wins, h2h.losses]).toEqual([8, 3, 4]);
+    expect(h2h.byGameType).toEqual([
+      { gameType: '501', played: 4, wins: 3, losses: 0 },
+      { gameType: 'Cricket', played: 4, wins: 0, losses: 4 },
+    ]);
+  });
+
+  it('lists recent form newest first', () => {
+    expect(summarizeHeadToHead(games, [], 'a', 'b').recentForm.join('')).toBe('WL-WWLLL');
+    expect(summarizeHeadToHead(games, [], 'b', 'a').recentForm.join('')).toBe('LW-LLWWW');
+  });
+
+  it('finds the longest run of wins for each side, broken by a game neither won', () => {
+    expect(summarizeHeadToHead(games, [], 'a', 'b').longestStreaks).toEqual({ user: 2, other: 3 });
+  });
+
+  it('counts crowns taken from each other', () => {
+    const changes = [
+      { previous_holder_user_id: 'a', new_holder_user_id: 'b' },
+      { previous_holder_user_id: 'b', new_holder_user_id: 'a' },
+      { previous_holder_user_id: 'a', new_holder_user_id: 'b' },
+    ];
+
+    expect(summarizeHeadToHead([], changes, 'a', 'b').crownsTaken).toEqual({ user: 1, other: 2 });
+  });
+});
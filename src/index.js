@@ -4,9 +4,11 @@ const http = require('http');
 const express = require('express');
 const session = require('express-session');
 const path = require('path');
-const { games, crowns, liveGames, getOrCreateSetupToken } = require('./db');
+const { games, crowns, crownChallenges, liveGames, getOrCreateSetupToken } = require('./db');
+const { challengeSettings } = require('./crowns');
 const { loadUser } = require('./middleware/auth');
 const { initWebSocket } = require('./websocket');
+const gameTypes = require('./game-types');
 
 const app = express();
 const server = http.createServer(app);
@@ -20,6 +22,9 @@ const sessionDbPath = process.env.SESSION_DB_PATH || path.join(__dirname, '../da
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, '../views'));
 
+// Game type registry for icons, menus and scoreboards in views
+app.locals.gameTypes = gameTypes;
+
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -60,6 +65,9 @@ const liveGamesRoutes = require('./routes/live-games');
 const notificationsRoutes = require('./routes/notifications');
 const pushRoutes = require('./routes/push');
 const usersRoutes = require('./routes/users');
+const seasonsRoutes = require('./routes/seasons');
+const tournamentsRoutes = require('./routes/tournaments');
+const crownsRoutes = require('./routes/crowns');
 
 app.use('/', authRoutes);
 app.use('/admin', adminRoutes);
@@ -68,6 +76,9 @@ app.use('/live-games', liveGamesRoutes);
 app.use('/notifications', notificationsRoutes);
 app.use('/push', pushRoutes);
 app.use('/users', usersRoutes);
+app.use('/seasons', seasonsRoutes);
+app.use('/tournaments', tournamentsRoutes);
+app.use('/crowns', crownsRoutes);
 
 // Home page - game feed
 app.get('/', (req, res) => {
@@ -104,39 +115,6 @@ app.get('/', (req, res) => {
   });
 });
 
-// Crowns leaderboard page
-app.get('/crowns', (req, res) => {
-  if (!req.user) {
-    return res.redirect('/login');
-  }
-
-  const allCrowns = crowns.findAll();
-
-  // Calculate defense streak for each crown
-  allCrowns.forEach(crown => {
-    // Count consecutive wins by the holder since they acquired the crown
-    const holderGames = games.findByUserId(crown.holder_user_id, 50);
-    let defenseCount = 0;
-    for (const game of holderGames) {
-      if (game.game_type !== crown.game_type) continue;
-      if (new Date(game.played_at) < new Date(crown.acquired_at)) break;
-      const holderPlayer = game.players.find(p => p.user_id === crown.holder_user_id);
-      if (holderPlayer && holderPlayer.is_winner) {
-        defenseCount++;
-      } else {
-        break;
-      }
-    }
-    crown.defense_count = defenseCount;
-  });
-
-  res.render('crowns', {
-    title: 'Crowns',
-    allCrowns,
-    crownGameTypes: crowns.GAME_TYPES,
-  });
-});
-
 // 404 handler
 app.use((req, res) => {
   res.status(404).render('error', {
@@ -157,6 +135,18 @@ app.use((err, req, res, next) => {
 // Initialize WebSocket server
 initWebSocket(server, sessionMiddleware);
 
+// Settle crown challenges whose deadline has passed
+const CHALLENGE_CHECK_INTERVAL = 60 * 60 * 1000;
+function expireCrownChallenges() {
+  try {
+    crownChallenges.expireDue(challengeSettings().forfeitRule);
+  } catch (error) {
+    console.error('Expire crown challenges error:', error);
+  }
+}
+expireCrownChallenges();
+setInterval(expireCrownChallenges, CHALLENGE_CHECK_INTERVAL);
+
 // Start server
 server.listen(PORT, () => {
   const baseUrl = process.env.BASE_URL || `http://localhost:${PORT}`;
@@ -1,7 +1,8 @@
 const webPush = require('web-push');
 const fs = require('fs');
 const path = require('path');
-const { pushSubscriptions } = require('./db');
+const { pushSubscriptions, notifications, achievements } = require('./db');
+const { getAchievement } = require('./achievements');
 
 const vapidSubject = process.env.VAPID_SUBJECT || 'mailto:admin@example.com';
 const vapidKeysPath = path.join(__dirname, '../data/vapid-keys.json');
@@ -121,10 +122,57 @@ async function notifyGameComment(game, commenter) {
   }
 }
 
+async function notifyCrownChallenge(challenge) {
+  const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+
+  const payload = {
+    title: 'Crown Challenge',
+    body: `${challenge.challenger_name} has challenged you for the ${challenge.game_type} crown.`,
+    icon: '/icon-192.png',
+    badge: '/badge-72.png',
+    data: {
+      url: `${baseUrl}/crowns`,
+    },
+  };
+
+  await sendPushToUser(challenge.holder_user_id, payload);
+}
+
+// Announce newly unlocked achievements in-app and by push
+async function announceAchievements() {
+  const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+
+  for (const row of achievements.takeUnannounced()) {
+    const achievement = getAchievement(row.achievement_key);
+    if (!achievement) continue;
+
+    notifications.create(
+      row.user_id,
+      'achievement',
+      row.game_id,
+      `${achievement.icon} Achievement unlocked: ${achievement.name} - ${achievement.description}`
+    );
+
+    const payload = {
+      title: 'Achievement Unlocked',
+      body: `${achievement.icon} ${achievement.name} - ${achievement.description}`,
+      icon: '/icon-192.png',
+      badge: '/badge-72.png',
+      data: {
+        url: `${baseUrl}/users/${row.user_id}`,
+      },
+    };
+
+    await sendPushToUser(row.user_id, payload);
+  }
+}
+
 module.exports = {
   sendPushToUser,
   notifyGameCreated,
   notifyGameComment,
+  notifyCrownChallenge,
+  announceAchievements,
   isPushConfigured: () => pushConfigured,
   getVapidPublicKey: () => vapidPublicKey,
 };
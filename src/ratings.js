@@ -0,0 +1,75 @@
+/**
+ * Skill Ratings
+ * Elo ratings kept per game type. A game with more than two players counts as
+ * a head-to-head result between every pair of players in it
+ */
+
+const { isScoreBased } = require('./game-types');
+
+// Rating every player starts a game type on
+const DEFAULT_RATING = 1500;
+
+// Most a rating can move in one head-to-head result
+const K_FACTOR = 32;
+
+/**
+ * Chance of player A beating player B
+ * @param {number} ratingA - Player A's rating
+ * @param {number} ratingB - Player B's rating
+ * @returns {number} Expected score for player A, from 0 to 1
+ */
+function expectedScore(ratingA, ratingB) {
+  return 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
+}
+
+/**
+ * Result of one player against another in a recorded game
+ * @param {string} gameType - Stored game_type value
+ * @param {Object} a - Player A's game_players row (is_winner, score)
+ * @param {Object} b - Player B's game_players row
+ * @returns {number|null} 1 if A beat B, 0 if B beat A, 0.5 for a draw,
+ *   or null if the game doesn't say (two losers of a game won on checkout)
+ */
+function pairResult(gameType, a, b) {
+  if (Boolean(a.is_winner) !== Boolean(b.is_winner)) {
+    return a.is_winner ? 1 : 0;
+  }
+  if (isScoreBased(gameType) && a.score !== null && b.score !== null) {
+    if (a.score === b.score) return 0.5;
+    return a.score > b.score ? 1 : 0;
+  }
+  return null;
+}
+
+/**
+ * Work out everyone's new rating after a game
+ * @param {string} gameType - Stored game_type value
+ * @param {Array} players - game_players rows with user_id, is_winner and score
+ * @param {Object} currentRatings - user_id -> rating before the game (missing means unrated)
+ * @returns {Array} { userId, before, after } per player
+ */
+function rateGame(gameType, players, currentRatings) {
+  const before = new Map(players.map(p => [p.user_id, currentRatings[p.user_id] ?? DEFAULT_RATING]));
+  // Share K across the opponents so a big game doesn't swing ratings more than a single
+  const k = K_FACTOR / Math.max(players.length - 1, 1);
+
+  return players.map(player => {
+    let change = 0;
+    for (const opponent of players) {
+      if (opponent === player) continue;
+      const result = pairResult(gameType, player, opponent);
+      if (result === null) continue;
+      change += k * (result - expectedScore(before.get(player.user_id), before.get(opponent.user_id)));
+    }
+    const rating = before.get(player.user_id);
+    return { userId: player.user_id, before: rating, after: rating + change };
+  });
+}
+
+module.exports = {
+  DEFAULT_RATING,
+  K_FACTOR,
+  expectedScore,
+  pairResult,
+  rateGame,
+};
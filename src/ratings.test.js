@@ -0,0 +1,66 @@
+/**
+ * Unit tests for ratings.js - Elo ratings from pairwise results
+ */
+
+const { DEFAULT_RATING, K_FACTOR, expectedScore, pairResult, rateGame } = require('./ratings');
+
+function player(userId, isWinner, score = null) {
+  return { user_id: userId, is_winner: isWinner ? 1 : 0, score };
+}
+
+describe('expectedScore', () => {
+  it('is even between equal ratings', () => {
+    expect(expectedScore(1500, 1500)).toBe(0.5);
+  });
+
+  it('favours the higher rating', () => {
+    expect(expectedScore(1900, 1500)).toBeCloseTo(0.909, 3);
+    expect(expectedScore(1500, 1900) + expectedScore(1900, 1500)).toBeCloseTo(1, 10);
+  });
+});
+
+describe('pairResult', () => {
+  it('gives the winner the win', () => {
+    expect(pairResult('501', player('a', true), player('b', false))).toBe(1);
+    expect(pairResult('501', player('a', false), player('b', true))).toBe(0);
+  });
+
+  it('compares scores between the rest of a score-based game', () => {
+    expect(pairResult('Cricket', player('a', false, 40), player('b', false, 20))).toBe(1);
+    expect(pairResult('Cricket', player('a', false, 40), player('b', false, 40))).toBe(0.5);
+  });
+
+  it('has no result between two losers of a game without scores', () => {
+    expect(pairResult('501', player('a', false), player('b', false))).toBeNull();
+  });
+});
+
+describe('rateGame', () => {
+  it('starts unrated players on the default rating', () => {
+    const [winner, loser] = rateGame('501', [player('a', true), player('b', false)], {});
+
+    expect(winner.before).toBe(DEFAULT_RATING);
+    expect(winner.after).toBe(DEFAULT_RATING + K_FACTOR / 2);
+    expect(loser.after).toBe(DEFAULT_RATING - K_FACTOR / 2);
+  });
+
+  it('moves nothing for a draw between equal players', () => {
+    const results = rateGame('Cricket', [player('a', false, 30), player('b', false, 30)], { a: 1600, b: 1600 });
+    expect(results.map(r => r.after)).toEqual([1600, 1600]);
+  });
+
+  it('gains less for beating a weaker player', () => {
+    const [favourite] = rateGame('501', [player('a', true), player('b', false)], { a: 1800, b: 1400 });
+    const [underdog] = rateGame('501', [player('a', true), player('b', false)], { a: 1400, b: 1800 });
+    expect(favourite.after - favourite.before).toBeLessThan(underdog.after - underdog.before);
+  });
+
+  it('rates a multiplayer game as results against each opponent', () => {
+    const results = rateGame('Cricket', [player('a', true, 60), player('b', false, 40), player('c', false, 10)], {});
+    const change = Object.fromEntries(results.map(r => [r.userId, r.after - r.before]));
+
+    expect(change.a).toBe(K_FACTOR / 2);
+    expect(change.b).toBe(0);
+    expect(change.c).toBe(-K_FACTOR / 2);
+  });
+});
@@ -1,5 +1,5 @@
 const express = require('express');
-const { invitations, users } = require('../db');
+const { invitations, users, crowns } = require('../db');
 const { requireAdmin } = require('../middleware/auth');
 
 const router = express.Router();
@@ -215,4 +215,18 @@ router.post('/users/:id/remove', (req, res) => {
   }
 });
 
+// Work out the crown holders again from every game on record
+router.post('/crowns/rebuild', (req, res) => {
+  try {
+    crowns.rebuild();
+    res.redirect('/crowns');
+  } catch (error) {
+    console.error('Rebuild crowns error:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Failed to recalculate crowns',
+    });
+  }
+});
+
 module.exports = router;
@@ -2,7 +2,7 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const { users, invitations, passkeys, countUserAuthMethods } = require('../db');
+const { users, invitations, passkeys, countUserAuthMethods, dataExport } = require('../db');
 
 // Configure multer for avatar uploads (store in data directory for persistence)
 const uploadDir = path.join(__dirname, '../../data/uploads/avatars');
@@ -398,6 +398,16 @@ router.get('/profile', requireAuth, (req, res) => {
   });
 });
 
+// Download everything stored about the signed-in user as JSON
+router.get('/profile/export', requireAuth, (req, res) => {
+  const date = new Date().toISOString().split('T')[0];
+  res.setHeader('Content-Disposition', `attachment; filename="good-grouping-my-data-${date}.json"`);
+  res.json({
+    exportedAt: new Date().toISOString(),
+    ...dataExport.user(req.user.id),
+  });
+});
+
 // Update profile
 router.post('/profile', requireAuth, (req, res) => {
   const { name } = req.body;
@@ -0,0 +1,117 @@
+const express = require('express');
+const { crowns, crownChallenges, notifications } = require('../db');
+const { requireAuth } = require('../middleware/auth');
+const { notifyCrownChallenge } = require('../pushService');
+const { summarizeReigns, formatReign, challengeSettings } = require('../crowns');
+
+const router = express.Router();
+
+// All crown routes require authentication
+router.use(requireAuth);
+
+// What a holder stands to lose by letting a challenge run out
+const FORFEIT_WARNINGS = {
+  challenger: 'or the crown passes to them',
+  vacate: 'or give up the crown',
+  none: '',
+};
+
+// Crowns leaderboard page
+router.get('/', (req, res) => {
+  // Settle any challenges that ran out since the last check
+  crownChallenges.expireDue(challengeSettings().forfeitRule);
+
+  const allCrowns = crowns.findAll();
+  const history = crowns.findHistory();
+
+  res.render('crowns', {
+    title: 'Crowns',
+    allCrowns,
+    history,
+    records: summarizeReigns(history, allCrowns),
+    formatReign,
+    pendingChallenges: crownChallenges.findPending(),
+    challengeSettings: challengeSettings(),
+    crownGameTypes: crowns.GAME_TYPES,
+  });
+});
+
+// Challenge a crown holder to play before the deadline
+router.post('/challenges', (req, res) => {
+  const { gameType } = req.body;
+  const crown = crowns.GAME_TYPES.includes(gameType) ? crowns.findByGameType(gameType) : null;
+
+  if (!crown) {
+    return res.status(404).render('error', {
+      title: 'Not Found',
+      message: 'Nobody holds that crown yet',
+    });
+  }
+
+  if (crown.holder_user_id === req.user.id) {
+    return res.status(400).render('error', {
+      title: 'Error',
+      message: 'You already hold this crown',
+    });
+  }
+
+  const alreadyChallenged = crownChallenges.findPending().some(c =>
+    c.game_type === gameType && c.challenger_user_id === req.user.id
+  );
+  if (alreadyChallenged) {
+    return res.status(400).render('error', {
+      title: 'Error',
+      message: 'You have already challenged for this crown',
+    });
+  }
+
+  try {
+    const { days, forfeitRule } = challengeSettings();
+    const challengeId = crownChallenges.create(gameType, crown.holder_user_id, req.user.id, days);
+    const challenge = crownChallenges.findById(challengeId);
+
+    const deadline = new Date(challenge.deadline_at.replace(' ', 'T') + 'Z').toLocaleDateString();
+    const warning = FORFEIT_WARNINGS[forfeitRule];
+    notifications.create(
+      crown.holder_user_id,
+      'crown_challenge',
+      null,
+      `${req.user.name} has challenged you for the ${gameType} crown. Play them by ${deadline}${warning ? ' ' + warning : ''}.`
+    );
+    notifyCrownChallenge(challenge).catch(err => {
+      console.error('Push notification error:', err);
+    });
+
+    res.redirect('/crowns');
+  } catch (error) {
+    console.error('Create challenge error:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Failed to create challenge',
+    });
+  }
+});
+
+// Withdraw a challenge (only the challenger can)
+router.post('/challenges/:id/withdraw', (req, res) => {
+  const challenge = crownChallenges.findById(req.params.id);
+
+  if (!challenge || challenge.status !== 'pending') {
+    return res.status(404).render('error', {
+      title: 'Not Found',
+      message: 'Challenge not found',
+    });
+  }
+
+  if (challenge.challenger_user_id !== req.user.id) {
+    return res.status(403).render('error', {
+      title: 'Access Denied',
+      message: 'Only the challenger can withdraw a challenge',
+    });
+  }
+
+  crownChallenges.withdraw(challenge.id);
+  res.redirect('/crowns');
+});
+
+module.exports = router;
@@ -3,12 +3,31 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { games, users, notifications, crowns, gameDeletions, gameComments, gamePhotos } = require('../db');
+const { games, users, notifications, crowns, gameDeletions, gameComments, gamePhotos, seasons, dataExport } = require('../db');
 const { requireAuth } = require('../middleware/auth');
-const { notifyGameCreated, notifyGameComment } = require('../pushService');
+const { notifyGameCreated, notifyGameComment, announceAchievements } = require('../pushService');
+const { formatRules } = require('../game-logic');
+const { isScoreBased, getGameType, OTHER_GAME_TYPE } = require('../game-types');
+const { buildScoresheet } = require('../scoresheet');
+const { fixtureResult } = require('../seasons');
+const { EXPORT_FORMATS, CSV_COLUMNS, csvLine, gameCsvLines, gameJson } = require('../export');
 
 const router = express.Router();
 
+// Games per page of the feed
+const FEED_PAGE_SIZE = 20;
+
+// Dates from the feed filters, as YYYY-MM-DD
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Confirmation statuses the feed can be filtered to
+const CONFIRMATION_STATUSES = ['confirmed', 'pending'];
+
+// Game type picked in the feed or export filters: a registered one, "Other", or null for any
+function parseGameTypeFilter(value) {
+  return getGameType(value) || value === OTHER_GAME_TYPE ? value : null;
+}
+
 // Ensure upload directory exists
 const uploadDir = path.join(__dirname, '../../data/uploads/game-photos');
 if (!fs.existsSync(uploadDir)) {
@@ -46,24 +65,119 @@ const upload = multer({
 // All game routes require authentication
 router.use(requireAuth);
 
+// Game feed, filterable and a page at a time
+router.get('/', (req, res) => {
+  const allUsers = users.findAll();
+  const requestedPlayers = [].concat(req.query.players || []);
+  const filters = {
+    gameType: parseGameTypeFilter(req.query.gameType),
+    playerIds: allUsers.filter(u => requestedPlayers.includes(u.id)).map(u => u.id),
+    from: DATE_PATTERN.test(req.query.from || '') ? req.query.from : null,
+    to: DATE_PATTERN.test(req.query.to || '') ? req.query.to : null,
+    status: CONFIRMATION_STATUSES.includes(req.query.status) ? req.query.status : null,
+    mine: req.query.mine === '1',
+  };
+
+  // "Involving me" is the same as also picking yourself as a player
+  const playerIds = filters.mine ? [...new Set([...filters.playerIds, req.user.id])] : filters.playerIds;
+  const page = games.findPage({ ...filters, playerIds, cursor: req.query.cursor }, FEED_PAGE_SIZE);
+
+  // The same filters again, carrying on from the last game on this page
+  let nextUrl = null;
+  if (page.nextCursor) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries({ gameType: filters.gameType, from: filters.from, to: filters.to, status: filters.status })) {
+      if (value) params.append(key, value);
+    }
+    filters.playerIds.forEach(id => params.append('players', id));
+    if (filters.mine) params.append('mine', '1');
+    params.append('cursor', page.nextCursor);
+    nextUrl = `/games?${params}`;
+  }
+
+  const crownHolders = {};
+  crowns.findAll().forEach(c => {
+    crownHolders[c.game_type] = c;
+  });
+
+  res.render('games/index', {
+    title: 'All Games',
+    games: page.games,
+    nextUrl,
+    filters,
+    allUsers,
+    crownHolders,
+  });
+});
+
+// Download games as CSV or JSON, oldest first, written out as they're read
+router.get('/export', async (req, res) => {
+  const format = EXPORT_FORMATS.includes(req.query.format) ? req.query.format : 'csv';
+  const filters = {
+    gameType: parseGameTypeFilter(req.query.gameType),
+    from: DATE_PATTERN.test(req.query.from || '') ? req.query.from : null,
+    to: DATE_PATTERN.test(req.query.to || '') ? req.query.to : null,
+  };
+
+  // Wait for a slow client to catch up, or give up if it goes away
+  const write = (chunk) => res.write(chunk) ? null : new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+
+  const date = new Date().toISOString().split('T')[0];
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="good-grouping-games-${date}.${format}"`);
+
+  try {
+    if (format === 'csv') {
+      // The byte order mark tells spreadsheets the file is UTF-8
+      await write('\ufeff' + csvLine(CSV_COLUMNS));
+      for (const game of dataExport.games(filters)) {
+        await write(gameCsvLines(game));
+        if (res.destroyed) return;
+      }
+    } else {
+      let separator = '';
+      await write('[');
+      for (const game of dataExport.games(filters)) {
+        await write(separator + '\n' + JSON.stringify(gameJson(game)));
+        if (res.destroyed) return;
+        separator = ',';
+      }
+      await write('\n]\n');
+    }
+    res.end();
+  } catch (error) {
+    console.error('Export games error:', error);
+    res.destroy(error);
+  }
+});
+
 // New game form
 router.get('/new', (req, res) => {
   const allUsers = users.findAll();
 
+  // Recording the result of a season fixture fills in its game type and players
+  const fixture = req.query.fixture ? seasons.findFixtureById(req.query.fixture) || null : null;
+
   res.render('games/new', {
     title: 'Record New Game',
     allUsers,
+    fixture,
     error: null,
   });
 });
 
-// Game types where highest score wins (draws possible if tied)
-const SCORE_BASED_GAMES = ['Cricket'];
-
 // Create new game
 router.post('/', (req, res) => {
   try {
-    const { playedAt, gameType, notes, players } = req.body;
+    const { playedAt, gameType, notes, players, fixtureId } = req.body;
     const normalizedGameType = gameType || 'Cricket';
 
     // Validate players
@@ -87,7 +201,7 @@ router.post('/', (req, res) => {
 
     // For score-based games, auto-determine winner by highest score
     // Only one player can win - if scores are tied, it's a draw (no winner)
-    if (SCORE_BASED_GAMES.includes(normalizedGameType)) {
+    if (isScoreBased(normalizedGameType)) {
       const allHaveScores = playerData.every(p => p.score !== null);
       if (allHaveScores) {
         const maxScore = Math.max(...playerData.map(p => p.score));
@@ -109,6 +223,31 @@ router.post('/', (req, res) => {
       });
     }
 
+    // A game recorded for a season fixture must be the fixture's game type and players
+    let fixture = null;
+    if (fixtureId) {
+      fixture = seasons.findFixtureById(fixtureId);
+      let fixtureError = null;
+      if (!fixture) {
+        fixtureError = 'Fixture not found';
+      } else if (fixtureResult(fixture).complete) {
+        fixtureError = 'This fixture has already been played';
+      } else if (fixture.game_type !== normalizedGameType) {
+        fixtureError = `This fixture is played as ${fixture.game_type}`;
+      } else if (playerData.length !== 2 || !playerData.every(p => [fixture.home_user_id, fixture.away_user_id].includes(p.userId))) {
+        fixtureError = `This fixture is between ${fixture.home_name} and ${fixture.away_name}`;
+      }
+      if (fixtureError) {
+        const allUsers = users.findAll();
+        return res.render('games/new', {
+          title: 'Record New Game',
+          allUsers,
+          fixture,
+          error: fixtureError,
+        });
+      }
+    }
+
     // Create the game
     const gameId = games.create(
       playedAt || new Date().toISOString().split('T')[0],
@@ -118,6 +257,10 @@ router.post('/', (req, res) => {
       playerData
     );
 
+    if (fixture) {
+      seasons.linkGame(gameId, fixture.id);
+    }
+
     // Create notifications for other participants
     for (const player of playerData) {
       if (player.userId !== req.user.id) {
@@ -169,6 +312,11 @@ router.post('/', (req, res) => {
       }
     }
 
+    // Announce anything the game unlocked (async, don't await)
+    announceAchievements().catch(err => {
+      console.error('Achievement announcement error:', err);
+    });
+
     res.redirect(`/games/${gameId}`);
   } catch (error) {
     console.error('Create game error:', error);
@@ -206,9 +354,14 @@ router.get('/:id', (req, res) => {
   const photoCount = photos.length;
   const maxPhotos = 10;
 
+  // Live-scored games keep their throws, shown as a scoresheet with a replay
+  const scoresheet = game.throws.length > 0 ? buildScoresheet(game, game.throws) : null;
+
   res.render('games/show', {
     title: `Game - ${game.game_type}`,
     game,
+    rulesLabel: game.in_rule ? formatRules(game.in_rule, game.out_rule) : null,
+    scoresheet,
     deletionApprovals,
     comments,
     photos,
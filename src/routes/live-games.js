@@ -1,9 +1,30 @@
 const express = require('express');
-const { liveGames, liveGameSeries, users, games, notifications, crowns } = require('../db');
+const { liveGames, liveGameSeries, practiceSessions, playerStats, seasons, tournaments, users, games, notifications, crowns, achievements } = require('../db');
 const { requireAuth } = require('../middleware/auth');
+const { IN_RULES, OUT_RULES, formatRules, countDarts } = require('../game-logic');
+const { getGameType, describeOptions, practiceGameTypes } = require('../game-types');
+const { BOT_LEVELS } = require('../bot');
+const { computeGameStats } = require('../stats');
+const { fixtureResult } = require('../seasons');
+const { broadcastTournament, notifyTournament } = require('../websocket');
+const { announceAchievements } = require('../pushService');
 
 const router = express.Router();
 
+// Label for a game's in/out rules or game type options, if any
+function getRulesLabel(game) {
+  return game.in_rule ? formatRules(game.in_rule, game.out_rule) : describeOptions(game);
+}
+
+// Point a tournament match played as a series at the series' next game
+function advanceTournamentSeries(game, nextGameId) {
+  const match = tournaments.findMatchByLiveGame(game.id, game.series_id);
+  if (match) {
+    tournaments.updateLiveGame(match.id, nextGameId);
+    broadcastTournament(match.tournament_id);
+  }
+}
+
 // All live game routes require authentication
 router.use(requireAuth);
 
@@ -24,42 +45,121 @@ router.get('/new', (req, res) => {
   res.render('live-games/new', {
     title: 'Start Live Game',
     allUsers,
+    botLevels: BOT_LEVELS,
+    error: null,
+  });
+});
+
+// Solo practice form
+router.get('/practice', (req, res) => {
+  res.render('live-games/practice', {
+    title: 'Practice',
+    practiceTypes: practiceGameTypes(),
     error: null,
   });
 });
 
+// Start a solo practice session - same engine as a live game, but never finalized
+router.post('/practice', (req, res) => {
+  const renderError = (error) => res.render('live-games/practice', {
+    title: 'Practice',
+    practiceTypes: practiceGameTypes(),
+    error,
+  });
+
+  try {
+    const { gameType, startingScore, inRule, outRule } = req.body;
+
+    const type = getGameType(gameType);
+    if (!type || !practiceGameTypes().includes(type)) {
+      return renderError('Invalid practice game type');
+    }
+
+    if ((inRule && !IN_RULES.includes(inRule)) || (outRule && !OUT_RULES.includes(outRule))) {
+      return renderError('Invalid in/out rules');
+    }
+
+    let options = null;
+    if (type.parseOptions) {
+      options = type.parseOptions(req.body);
+      if (!options) {
+        return renderError('Invalid game options');
+      }
+    }
+
+    // Countdown practice can start from any score up to the game's own, e.g. 121 for checkouts
+    let score = type.startingScore;
+    if (score && startingScore) {
+      score = parseInt(startingScore, 10);
+      if (!Number.isInteger(score) || score < 2 || score > type.startingScore) {
+        return renderError(`Starting score must be between 2 and ${type.startingScore}`);
+      }
+    }
+
+    const gameId = liveGames.create(gameType, score, req.user.id, [req.user.id], null, {
+      inRule,
+      outRule,
+      options,
+      practice: true,
+    });
+    liveGames.start(gameId);
+
+    res.redirect(`/live-games/${gameId}/play`);
+  } catch (error) {
+    console.error('Create practice session error:', error);
+    renderError('Failed to start practice');
+  }
+});
+
 // Create new live game
 router.post('/', (req, res) => {
+  const renderError = (error) => res.render('live-games/new', {
+    title: 'Start Live Game',
+    allUsers: users.findAllActive(),
+    botLevels: BOT_LEVELS,
+    error,
+  });
+
   try {
-    const { gameType, startingScore, playerIds, seriesLength } = req.body;
+    const { gameType, startingScore, playerIds, seriesLength, inRule, outRule, botLevel } = req.body;
 
     // Validate players
     const playerList = Array.isArray(playerIds) ? playerIds : [playerIds].filter(Boolean);
 
+    // A computer opponent joins as a player of its own
+    if (botLevel) {
+      if (!BOT_LEVELS[botLevel]) {
+        return renderError('Invalid computer opponent');
+      }
+      playerList.push(users.findOrCreateBot(botLevel).id);
+    }
+
     if (playerList.length < 2) {
-      const allUsers = users.findAllActive();
-      return res.render('live-games/new', {
-        title: 'Start Live Game',
-        allUsers,
-        error: 'At least 2 players are required',
-      });
+      return renderError('At least 2 players are required');
     }
 
     // Validate game type
-    const validGameTypes = ['Cricket', '301', '501', 'Around the World'];
-    if (!validGameTypes.includes(gameType)) {
-      const allUsers = users.findAllActive();
-      return res.render('live-games/new', {
-        title: 'Start Live Game',
-        allUsers,
-        error: 'Invalid game type',
-      });
+    const type = getGameType(gameType);
+    if (!type || !type.live) {
+      return renderError('Invalid game type');
+    }
+
+    // Validate in/out rules (01 games only)
+    if ((inRule && !IN_RULES.includes(inRule)) || (outRule && !OUT_RULES.includes(outRule))) {
+      return renderError('Invalid in/out rules');
+    }
+
+    // Game type specific options (e.g. Shanghai round count)
+    let options = null;
+    if (type.parseOptions) {
+      options = type.parseOptions(req.body);
+      if (!options) {
+        return renderError('Invalid game options');
+      }
     }
 
-    // Parse starting score for 01 games
-    let score = null;
-    if (gameType === '301') score = 301;
-    if (gameType === '501') score = 501;
+    // Starting score for countdown games
+    let score = type.startingScore;
     if (startingScore) score = parseInt(startingScore, 10);
 
     // Handle series creation
@@ -70,17 +170,12 @@ router.post('/', (req, res) => {
     }
 
     // Create the live game
-    const gameId = liveGames.create(gameType, score, req.user.id, playerList, seriesId);
+    const gameId = liveGames.create(gameType, score, req.user.id, playerList, seriesId, { inRule, outRule, options });
 
     res.redirect(`/live-games/${gameId}/lobby`);
   } catch (error) {
     console.error('Create live game error:', error);
-    const allUsers = users.findAllActive();
-    res.render('live-games/new', {
-      title: 'Start Live Game',
-      allUsers,
-      error: 'Failed to create game',
-    });
+    renderError('Failed to create game');
   }
 });
 
@@ -121,6 +216,7 @@ router.get('/:id/lobby', (req, res) => {
   res.render('live-games/lobby', {
     title: `Lobby - ${game.game_type}`,
     game,
+    rulesLabel: getRulesLabel(game),
     isCreator,
     isPlayer,
     series,
@@ -161,6 +257,55 @@ router.post('/:id/reorder', (req, res) => {
   res.redirect(`/live-games/${req.params.id}/lobby`);
 });
 
+// Change a player's number (Killer) - creator or that player, waiting status only
+router.post('/:id/number', (req, res) => {
+  const game = liveGames.findById(req.params.id);
+
+  if (!game) {
+    return res.status(404).render('error', {
+      title: 'Not Found',
+      message: 'Game not found',
+    });
+  }
+
+  const type = getGameType(game.game_type);
+  if (!type || !type.chooseNumber) {
+    return res.status(400).render('error', {
+      title: 'Error',
+      message: 'This game type does not use player numbers',
+    });
+  }
+
+  const { playerId } = req.body;
+  const player = game.players.find(p => p.id === playerId);
+  if (game.created_by !== req.user.id && (!player || player.user_id !== req.user.id)) {
+    return res.status(403).render('error', {
+      title: 'Access Denied',
+      message: 'Only the game creator or that player can change their number',
+    });
+  }
+
+  if (game.status !== 'waiting') {
+    return res.status(400).render('error', {
+      title: 'Error',
+      message: 'Can only change numbers before the game starts',
+    });
+  }
+
+  if (!type.chooseNumber(game, playerId, parseInt(req.body.number, 10))) {
+    return res.status(400).render('error', {
+      title: 'Error',
+      message: 'Invalid number',
+    });
+  }
+
+  for (const p of game.players) {
+    liveGames.savePlayerState(p);
+  }
+
+  res.redirect(`/live-games/${req.params.id}/lobby`);
+});
+
 // Start the game (creator only)
 router.post('/:id/start', (req, res) => {
   const game = liveGames.findById(req.params.id);
@@ -184,6 +329,7 @@ router.post('/:id/start', (req, res) => {
   }
 
   liveGames.start(req.params.id);
+  notifyTournament(game);
 
   res.redirect(`/live-games/${req.params.id}/play`);
 });
@@ -225,6 +371,7 @@ router.get('/:id/play', (req, res) => {
   res.render('live-games/play', {
     title: `${game.game_type} - Live`,
     game,
+    rulesLabel: getRulesLabel(game),
     isPlayer,
     currentPlayer,
     wsUrl: process.env.WS_URL || '',
@@ -246,6 +393,9 @@ router.get('/:id/state', (req, res) => {
     game_type: game.game_type,
     status: game.status,
     starting_score: game.starting_score,
+    in_rule: game.in_rule || null,
+    out_rule: game.out_rule || null,
+    options: game.options || null,
     current_player_index: game.current_player_index,
     current_dart: game.current_dart,
     current_turn: game.current_turn,
@@ -264,6 +414,8 @@ router.get('/:id/state', (req, res) => {
       cricket_points: p.cricket_points,
       remaining_score: p.remaining_score,
       current_target: p.current_target,
+      score: p.score,
+      state: p.state || null,
     })),
     throws: game.throws,
     winner_player_id: game.winner_player_id,
@@ -305,11 +457,14 @@ router.get('/:id', (req, res) => {
   res.render('live-games/show', {
     title: `${game.game_type} - Summary`,
     game,
+    scoreboard: getGameType(game.game_type).scoreboard,
+    rulesLabel: getRulesLabel(game),
     winner,
     isPlayer,
     series,
     seriesDecided,
     seriesWinner,
+    practiceSession: game.is_practice ? practiceSessions.findByLiveGameId(game.id) : null,
   });
 });
 
@@ -331,6 +486,20 @@ router.post('/:id/finalize', (req, res) => {
     });
   }
 
+  if (game.is_practice) {
+    return res.status(400).render('error', {
+      title: 'Error',
+      message: 'Practice sessions are not recorded as games',
+    });
+  }
+
+  if (game.players.some(p => p.bot_level)) {
+    return res.status(400).render('error', {
+      title: 'Error',
+      message: 'Games against the computer are not recorded',
+    });
+  }
+
   // Check if user is a participant
   const isPlayer = game.players.some(p => p.user_id === req.user.id);
   if (!isPlayer) {
@@ -342,24 +511,22 @@ router.post('/:id/finalize', (req, res) => {
 
   try {
     // Build player data for the regular game
+    const type = getGameType(game.game_type);
     const winner = game.players.find(p => p.id === game.winner_player_id);
+
+    // Darts the winner took to check out (301/501)
+    const checkoutDarts = type.recordMode === 'checkout' && winner ? countDarts(game.throws, winner.id) : null;
+
     const playerData = game.players.map((p, index) => ({
       userId: p.user_id,
-      score: p.cricket_points || p.remaining_score || null,
+      score: type.finalScore(p),
       position: index + 1,
       isWinner: p.id === game.winner_player_id,
+      checkoutDarts: p.id === game.winner_player_id ? checkoutDarts : null,
+      state: p.state,
+      throws: game.throws.filter(t => t.player_id === p.id),
     }));
 
-    // Create regular game record
-    const playedAt = game.started_at ? game.started_at.split('T')[0] : new Date().toISOString().split('T')[0];
-    const regularGameId = games.create(
-      playedAt,
-      game.game_type,
-      req.user.id,
-      `Live game finalized`,
-      playerData
-    );
-
     // Crown awarding: only if this is NOT part of a series, or if the series is decided
     let shouldAwardCrown = true;
     let crownWinnerUserId = winner ? winner.user_id : null;
@@ -379,6 +546,52 @@ router.post('/:id/finalize', (req, res) => {
       }
     }
 
+    // Create regular game record
+    // started_at is SQLite's 'YYYY-MM-DD HH:MM:SS'; games are played on a date
+    const playedAt = game.started_at ? game.started_at.slice(0, 10) : new Date().toISOString().split('T')[0];
+    const regularGameId = games.create(
+      playedAt,
+      game.game_type,
+      req.user.id,
+      `Live game finalized`,
+      playerData,
+      {
+        inRule: game.in_rule,
+        outRule: game.out_rule,
+        startingScore: game.starting_score,
+        options: game.options,
+        // Kept with the game so a crown rebuild replays the series the same way
+        crownUserId: shouldAwardCrown ? crownWinnerUserId : null,
+      }
+    );
+
+    // Achievements unlocked during play now point at the recorded game
+    achievements.linkLiveGame(game.id, regularGameId);
+
+    // Work out everyone's stats from the throws now, so profiles only add them up
+    playerStats.record(regularGameId, game.game_type, playedAt, computeGameStats(games.findById(regularGameId)));
+
+    // Count the game towards its season fixture, unless the fixture was settled meanwhile
+    if (game.fixture_id) {
+      const fixture = seasons.findFixtureById(game.fixture_id);
+      if (fixture && !fixtureResult(fixture).complete) {
+        seasons.linkGame(regularGameId, fixture.id);
+      }
+    }
+
+    // Advance the tournament bracket once the match (the game, or its series) is won
+    const tournamentMatch = tournaments.findMatchByLiveGame(game.id, game.series_id);
+    if (tournamentMatch && !tournamentMatch.winner_user_id) {
+      let matchWinnerUserId = winner ? winner.user_id : null;
+      if (tournamentMatch.series_id) {
+        const seriesWinner = liveGameSeries.checkSeriesDecided(liveGameSeries.findById(tournamentMatch.series_id));
+        matchWinnerUserId = seriesWinner ? seriesWinner.user_id : null;
+      }
+      if (matchWinnerUserId) {
+        tournaments.recordResult(tournamentMatch.id, matchWinnerUserId, regularGameId);
+      }
+    }
+
     // Process crown transfer if appropriate
     if (shouldAwardCrown && crownWinnerUserId) {
       const playerIds = playerData.map(p => p.userId);
@@ -410,9 +623,17 @@ router.post('/:id/finalize', (req, res) => {
       }
     }
 
-    // Delete the live game
+    // Delete the live game - its throws were copied to the recorded game
     liveGames.delete(req.params.id);
 
+    announceAchievements().catch(err => {
+      console.error('Achievement announcement error:', err);
+    });
+
+    if (tournamentMatch) {
+      broadcastTournament(tournamentMatch.tournament_id);
+    }
+
     res.redirect(`/games/${regularGameId}`);
   } catch (error) {
     console.error('Finalize game error:', error);
@@ -458,10 +679,8 @@ router.post('/:id/next-in-series', (req, res) => {
     });
   }
 
-  // Parse starting score for 01 games
-  let score = null;
-  if (game.game_type === '301') score = 301;
-  if (game.game_type === '501') score = 501;
+  // Starting score for countdown games
+  let score = getGameType(game.game_type).startingScore;
   if (game.starting_score) score = game.starting_score;
 
   // Mugs away: loser of previous game goes first
@@ -481,7 +700,13 @@ router.post('/:id/next-in-series', (req, res) => {
   }
 
   // Create next game in series
-  const nextGameId = liveGames.create(game.game_type, score, req.user.id, playerUserIds, game.series_id);
+  const nextGameId = liveGames.create(game.game_type, score, req.user.id, playerUserIds, game.series_id, {
+    inRule: game.in_rule,
+    outRule: game.out_rule,
+    options: game.options,
+    fixtureId: game.fixture_id,
+  });
+  advanceTournamentSeries(game, nextGameId);
 
   res.redirect(`/live-games/${nextGameId}/lobby`);
 });
@@ -515,10 +740,8 @@ router.post('/:id/extend-series', (req, res) => {
   // Extend by 2 games and reactivate
   liveGameSeries.extendSeries(game.series_id, 2);
 
-  // Parse starting score for 01 games
-  let score = null;
-  if (game.game_type === '301') score = 301;
-  if (game.game_type === '501') score = 501;
+  // Starting score for countdown games
+  let score = getGameType(game.game_type).startingScore;
   if (game.starting_score) score = game.starting_score;
 
   // Mugs away: loser of previous game goes first
@@ -537,7 +760,13 @@ router.post('/:id/extend-series', (req, res) => {
   }
 
   // Create next game in extended series
-  const nextGameId = liveGames.create(game.game_type, score, req.user.id, playerUserIds, game.series_id);
+  const nextGameId = liveGames.create(game.game_type, score, req.user.id, playerUserIds, game.series_id, {
+    inRule: game.in_rule,
+    outRule: game.out_rule,
+    options: game.options,
+    fixtureId: game.fixture_id,
+  });
+  advanceTournamentSeries(game, nextGameId);
 
   res.redirect(`/live-games/${nextGameId}/lobby`);
 });
@@ -553,18 +782,34 @@ router.post('/:id/rematch', (req, res) => {
     });
   }
 
+  if (game.is_practice && game.created_by !== req.user.id) {
+    return res.status(403).render('error', {
+      title: 'Access Denied',
+      message: 'Only the player can repeat a practice session',
+    });
+  }
+
   // Get player user IDs in the same order
   const playerUserIds = game.players
     .sort((a, b) => a.player_order - b.player_order)
     .map(p => p.user_id);
 
-  // Parse starting score for 01 games
-  let score = null;
-  if (game.game_type === '301') score = 301;
-  if (game.game_type === '501') score = 501;
+  // Starting score for countdown games (practice keeps its own, e.g. a checkout)
+  let score = game.is_practice ? game.starting_score : getGameType(game.game_type).startingScore;
 
   // Create the new live game
-  const newGameId = liveGames.create(game.game_type, score, req.user.id, playerUserIds);
+  const newGameId = liveGames.create(game.game_type, score, req.user.id, playerUserIds, null, {
+    inRule: game.in_rule,
+    outRule: game.out_rule,
+    options: game.options,
+    practice: Boolean(game.is_practice),
+  });
+
+  // Practice goes straight back to the board
+  if (game.is_practice) {
+    liveGames.start(newGameId);
+    return res.redirect(`/live-games/${newGameId}/play`);
+  }
 
   res.redirect(`/live-games/${newGameId}/lobby`);
 });
@@ -589,6 +834,7 @@ router.post('/:id/abandon', (req, res) => {
   }
 
   liveGames.delete(req.params.id);
+  notifyTournament(game);
 
   res.redirect('/live-games');
 });
@@ -0,0 +1,177 @@
+const express = require('express');
+const { seasons, liveGames, liveGameSeries, users, crowns } = require('../db');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { getGameType } = require('../game-types');
+const { BEST_OF_OPTIONS, generateFixtures, fixtureResult, computeStandings } = require('../seasons');
+
+const router = express.Router();
+
+// All season routes require authentication
+router.use(requireAuth);
+
+// List seasons
+router.get('/', (req, res) => {
+  res.render('seasons/index', {
+    title: 'Seasons',
+    allSeasons: seasons.findAll(),
+  });
+});
+
+// New season form
+router.get('/new', requireAdmin, (req, res) => {
+  res.render('seasons/new', {
+    title: 'New Season',
+    allUsers: users.findAllActive(),
+    bestOfOptions: BEST_OF_OPTIONS,
+    crownGameTypes: crowns.GAME_TYPES,
+    error: null,
+  });
+});
+
+// Create a season and its fixture list
+router.post('/', requireAdmin, (req, res) => {
+  const renderError = (error) => res.render('seasons/new', {
+    title: 'New Season',
+    allUsers: users.findAllActive(),
+    bestOfOptions: BEST_OF_OPTIONS,
+    crownGameTypes: crowns.GAME_TYPES,
+    error,
+  });
+
+  try {
+    const { name, gameType, bestOf, cycles, playerIds, resetCrown } = req.body;
+
+    if (!name || !name.trim()) {
+      return renderError('Season name is required');
+    }
+
+    if (!getGameType(gameType)) {
+      return renderError('Invalid game type');
+    }
+
+    const parsedBestOf = parseInt(bestOf, 10) || 1;
+    if (!BEST_OF_OPTIONS.includes(parsedBestOf)) {
+      return renderError('Invalid match length');
+    }
+
+    const parsedCycles = parseInt(cycles, 10) || 1;
+    if (parsedCycles !== 1 && parsedCycles !== 2) {
+      return renderError('Invalid format');
+    }
+
+    const playerList = [...new Set(Array.isArray(playerIds) ? playerIds : [playerIds].filter(Boolean))];
+    if (playerList.length < 2) {
+      return renderError('At least 2 players are required');
+    }
+    if (playerList.some(id => !users.findById(id))) {
+      return renderError('Invalid player');
+    }
+
+    const seasonId = seasons.create(
+      name.trim(),
+      gameType,
+      parsedBestOf,
+      parsedCycles,
+      req.user.id,
+      playerList,
+      generateFixtures(playerList, parsedCycles),
+      Boolean(resetCrown) && crowns.GAME_TYPES.includes(gameType)
+    );
+
+    res.redirect(`/seasons/${seasonId}`);
+  } catch (error) {
+    console.error('Create season error:', error);
+    renderError('Failed to create season');
+  }
+});
+
+// Standings and fixtures
+router.get('/:id', (req, res) => {
+  const season = seasons.findById(req.params.id);
+
+  if (!season) {
+    return res.status(404).render('error', {
+      title: 'Not Found',
+      message: 'Season not found',
+    });
+  }
+
+  for (const fixture of season.fixtures) {
+    fixture.result = fixtureResult(fixture);
+    fixture.liveGame = fixture.result.complete ? null : seasons.findActiveLiveGame(fixture.id);
+  }
+
+  res.render('seasons/show', {
+    title: season.name,
+    season,
+    standings: computeStandings(season.players, season.fixtures),
+    canPlayLive: Boolean(getGameType(season.game_type) && getGameType(season.game_type).live),
+  });
+});
+
+// Start a live game (or a series for a match of several legs) for a fixture
+router.post('/:id/fixtures/:fixtureId/play', (req, res) => {
+  const fixture = seasons.findFixtureById(req.params.fixtureId);
+
+  if (!fixture || fixture.season_id !== req.params.id) {
+    return res.status(404).render('error', {
+      title: 'Not Found',
+      message: 'Fixture not found',
+    });
+  }
+
+  const isPlayer = [fixture.home_user_id, fixture.away_user_id].includes(req.user.id);
+  if (!isPlayer && !req.user.is_admin) {
+    return res.status(403).render('error', {
+      title: 'Access Denied',
+      message: 'Only the players in a fixture can start it',
+    });
+  }
+
+  const type = getGameType(fixture.game_type);
+  if (!type || !type.live) {
+    return res.status(400).render('error', {
+      title: 'Error',
+      message: 'This game type cannot be played live',
+    });
+  }
+
+  const result = fixtureResult(fixture);
+  if (result.complete) {
+    return res.status(400).render('error', {
+      title: 'Error',
+      message: 'This fixture has already been played',
+    });
+  }
+
+  // Carry on with a live game already under way for the fixture
+  const existing = seasons.findActiveLiveGame(fixture.id);
+  if (existing) {
+    return res.redirect(`/live-games/${existing.id}/${existing.status === 'playing' ? 'play' : 'lobby'}`);
+  }
+
+  try {
+    const playerUserIds = [fixture.home_user_id, fixture.away_user_id];
+
+    // Legs still to play go in a series so the lobby can move on to the next one
+    const legsLeft = fixture.best_of - result.legsPlayed;
+    let seriesId = null;
+    if (legsLeft > 1) {
+      seriesId = liveGameSeries.create(legsLeft, fixture.game_type, req.user.id, playerUserIds);
+    }
+
+    const gameId = liveGames.create(fixture.game_type, type.startingScore, req.user.id, playerUserIds, seriesId, {
+      fixtureId: fixture.id,
+    });
+
+    res.redirect(`/live-games/${gameId}/lobby`);
+  } catch (error) {
+    console.error('Start fixture error:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Failed to start fixture',
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,188 @@
+const express = require('express');
+const { tournaments, liveGames, liveGameSeries, users, ratings } = require('../db');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { getGameType } = require('../game-types');
+const { BEST_OF_OPTIONS } = require('../seasons');
+const { FORMATS, SEEDING_METHODS, seedPlayers, describeTournament } = require('../tournaments');
+const { broadcastTournament } = require('../websocket');
+
+const router = express.Router();
+
+// Where to pick up a match's live game: the lobby, the board, or the finished game to finalize
+function liveGamePath(match) {
+  const page = { waiting: '/lobby', playing: '/play' }[match.liveStatus] || '';
+  return `/live-games/${match.liveGameId}${page}`;
+}
+
+// All tournament routes require authentication
+router.use(requireAuth);
+
+// List tournaments
+router.get('/', (req, res) => {
+  res.render('tournaments/index', {
+    title: 'Tournaments',
+    allTournaments: tournaments.findAll(),
+  });
+});
+
+// New tournament form
+router.get('/new', requireAdmin, (req, res) => {
+  res.render('tournaments/new', {
+    title: 'New Tournament',
+    allUsers: users.findAllActive(),
+    bestOfOptions: BEST_OF_OPTIONS,
+    error: null,
+  });
+});
+
+// Create a tournament and seed its bracket
+router.post('/', requireAdmin, (req, res) => {
+  const renderError = (error) => res.render('tournaments/new', {
+    title: 'New Tournament',
+    allUsers: users.findAllActive(),
+    bestOfOptions: BEST_OF_OPTIONS,
+    error,
+  });
+
+  try {
+    const { name, gameType, format, bestOf, seeding, playerIds, seeds } = req.body;
+
+    if (!name || !name.trim()) {
+      return renderError('Tournament name is required');
+    }
+
+    // Matches are played live, so the game type has to be one that can be
+    const type = getGameType(gameType);
+    if (!type || !type.live) {
+      return renderError('Invalid game type');
+    }
+
+    if (!FORMATS.includes(format)) {
+      return renderError('Invalid format');
+    }
+
+    const parsedBestOf = parseInt(bestOf, 10) || 1;
+    if (!BEST_OF_OPTIONS.includes(parsedBestOf)) {
+      return renderError('Invalid match length');
+    }
+
+    if (!SEEDING_METHODS.includes(seeding)) {
+      return renderError('Invalid seeding');
+    }
+
+    const playerList = [...new Set(Array.isArray(playerIds) ? playerIds : [playerIds].filter(Boolean))];
+    if (playerList.length < 2) {
+      return renderError('At least 2 players are required');
+    }
+    if (playerList.some(id => !users.findById(id))) {
+      return renderError('Invalid player');
+    }
+
+    // Hand-picked seed numbers, by user ID
+    const manual = {};
+    for (const [userId, seed] of Object.entries(seeds || {})) {
+      const parsed = parseInt(seed, 10);
+      if (parsed > 0) manual[userId] = parsed;
+    }
+
+    const seeded = seedPlayers(playerList, seeding, {
+      ratings: seeding === 'rating' ? ratings.findByGameType(gameType) : {},
+      manual,
+    });
+
+    const tournamentId = tournaments.create(name.trim(), gameType, format, parsedBestOf, seeding, seeded, req.user.id);
+    res.redirect(`/tournaments/${tournamentId}`);
+  } catch (error) {
+    console.error('Create tournament error:', error);
+    renderError('Failed to create tournament');
+  }
+});
+
+// Bracket
+router.get('/:id', (req, res) => {
+  const tournament = tournaments.findById(req.params.id);
+
+  if (!tournament) {
+    return res.status(404).render('error', {
+      title: 'Not Found',
+      message: 'Tournament not found',
+    });
+  }
+
+  res.render('tournaments/show', {
+    title: tournament.name,
+    tournament,
+    bracket: describeTournament(tournament),
+  });
+});
+
+// Start a match as a live game, or a series for a match of several legs
+router.post('/:id/matches/:key/launch', (req, res) => {
+  const tournament = tournaments.findById(req.params.id);
+
+  if (!tournament) {
+    return res.status(404).render('error', {
+      title: 'Not Found',
+      message: 'Tournament not found',
+    });
+  }
+
+  const match = describeTournament(tournament).sections
+    .flatMap(section => section.rounds)
+    .flatMap(round => round.matches)
+    .find(m => m.key === req.params.key);
+
+  if (!match) {
+    return res.status(404).render('error', {
+      title: 'Not Found',
+      message: 'Match not found',
+    });
+  }
+
+  // Carry on with the live game already under way for the match
+  if (match.liveGameId) {
+    return res.redirect(liveGamePath(match));
+  }
+
+  if (match.status !== 'ready') {
+    return res.status(400).render('error', {
+      title: 'Error',
+      message: 'This match is not ready to play',
+    });
+  }
+
+  const playerUserIds = match.players.map(p => p.userId);
+  if (!playerUserIds.includes(req.user.id) && !req.user.is_admin) {
+    return res.status(403).render('error', {
+      title: 'Access Denied',
+      message: 'Only the players in a match can start it',
+    });
+  }
+
+  try {
+    let seriesId = null;
+    if (tournament.best_of > 1) {
+      seriesId = liveGameSeries.create(tournament.best_of, tournament.game_type, req.user.id, playerUserIds);
+    }
+
+    const gameId = liveGames.create(
+      tournament.game_type,
+      getGameType(tournament.game_type).startingScore,
+      req.user.id,
+      playerUserIds,
+      seriesId
+    );
+    tournaments.launchMatch(tournament.id, match.key, gameId, seriesId);
+    broadcastTournament(tournament.id);
+
+    res.redirect(`/live-games/${gameId}/lobby`);
+  } catch (error) {
+    console.error('Launch match error:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Failed to start match',
+    });
+  }
+});
+
+module.exports = router;
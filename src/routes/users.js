@@ -1,9 +1,16 @@
 const express = require('express');
-const { users, games, crowns } = require('../db');
+const { users, games, crowns, practiceSessions, playerStats, profileStats, ratings, achievements } = require('../db');
+const { practiceGameTypes } = require('../game-types');
+const { summarizeStats, statsGameTypes } = require('../stats');
+const { ACHIEVEMENTS } = require('../achievements');
+const { summarizeHeadToHead } = require('../head-to-head');
 const { requireAuth } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Dates from the stats filter, as YYYY-MM-DD
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
 // All user routes require authentication
 router.use(requireAuth);
 
@@ -18,78 +25,107 @@ router.get('/:id', (req, res) => {
     });
   }
 
-  // Get user's games
+  // Most recent games for the list; the stats cover every game played
   const userGames = games.findByUserId(profileUser.id, 20);
-
-  // Calculate stats
-  const totalGames = userGames.length;
-  const wins = userGames.filter(g =>
-    g.players.some(p => p.user_id === profileUser.id && p.is_winner)
-  ).length;
+  const { totalGames, wins, gameTypeStats, bestStreak, currentStreak, h2hRecords } = profileStats.summarize(profileUser.id);
 
   // Get user's crowns
   const userCrowns = crowns.findByUserId(profileUser.id);
 
-  // Calculate win rate by game type
-  const gameTypeStats = {};
-  userGames.forEach(g => {
-    if (!gameTypeStats[g.game_type]) {
-      gameTypeStats[g.game_type] = { played: 0, wins: 0 };
-    }
-    gameTypeStats[g.game_type].played++;
-    if (g.players.some(p => p.user_id === profileUser.id && p.is_winner)) {
-      gameTypeStats[g.game_type].wins++;
-    }
-  });
+  // Practice history per game type, with the last five sessions against the five before
+  const sessions = practiceSessions.findByUserId(profileUser.id);
+  const average = (list) => (list.length > 0 ? list.reduce((sum, s) => sum + s.value, 0) / list.length : null);
+  const practiceHistory = practiceGameTypes().map(type => {
+    const typeSessions = sessions.filter(s => s.game_type === type.name);
+    if (typeSessions.length === 0) return null;
+    const values = typeSessions.map(s => s.value);
+    return {
+      type,
+      count: typeSessions.length,
+      best: type.practice.lowerIsBetter ? Math.min(...values) : Math.max(...values),
+      recentAverage: average(typeSessions.slice(0, 5)),
+      previousAverage: average(typeSessions.slice(5, 10)),
+      // Oldest first for the progress chart
+      chart: typeSessions.slice(0, 20).reverse(),
+    };
+  }).filter(Boolean);
 
-  // Calculate streaks
-  let currentStreak = 0;
-  let bestStreak = 0;
-  let streakType = null;
-  for (const game of userGames) {
-    const playerResult = game.players.find(p => p.user_id === profileUser.id);
-    if (playerResult && playerResult.is_winner) {
-      currentStreak++;
-      if (currentStreak > bestStreak) bestStreak = currentStreak;
-      if (streakType === null) streakType = 'W';
-    } else {
-      if (streakType === null) streakType = 'L';
-      currentStreak = 0;
-    }
-  }
+  // Darts stats from live-scored games, filtered by game type and date range
+  const statsTypes = statsGameTypes();
+  const statsFilters = {
+    gameType: statsTypes.some(type => type.name === req.query.gameType) ? req.query.gameType : null,
+    from: DATE_PATTERN.test(req.query.from || '') ? req.query.from : null,
+    to: DATE_PATTERN.test(req.query.to || '') ? req.query.to : null,
+  };
+  const dartsStats = summarizeStats(playerStats.summarize(profileUser.id, statsFilters));
 
-  // Find head-to-head records
-  const h2hRecords = {};
-  userGames.forEach(g => {
-    g.players.forEach(p => {
-      if (p.user_id !== profileUser.id) {
-        if (!h2hRecords[p.user_id]) {
-          h2hRecords[p.user_id] = { name: p.name, wins: 0, losses: 0, played: 0, avatar_url: p.avatar_url };
-        }
-        h2hRecords[p.user_id].played++;
-        const userIsWinner = g.players.some(pp => pp.user_id === profileUser.id && pp.is_winner);
-        if (userIsWinner) {
-          h2hRecords[p.user_id].wins++;
-        } else if (p.is_winner) {
-          h2hRecords[p.user_id].losses++;
-        }
-      }
-    });
-  });
+  // Skill ratings per game type, highest first
+  const userRatings = ratings.findByUserId(profileUser.id);
+
+  // Every badge, with when and in which game it was earned if it has been
+  const earned = new Map(achievements.findByUserId(profileUser.id).map(a => [a.achievement_key, a]));
+  const badges = ACHIEVEMENTS.map(achievement => ({
+    ...achievement,
+    earnedAt: earned.has(achievement.key) ? earned.get(achievement.key).earned_at : null,
+    gameId: earned.has(achievement.key) ? earned.get(achievement.key).game_id : null,
+  }));
 
   res.render('users/show', {
     title: profileUser.name,
     profileUser,
     games: userGames,
     userCrowns,
+    userRatings,
+    badges,
     stats: {
       totalGames,
       wins,
       gameTypeStats,
       bestStreak,
-      currentStreak: streakType === 'W' ? currentStreak : 0,
+      currentStreak,
     },
     h2hRecords,
+    practiceHistory,
+    dartsStats,
+    statsTypes,
+    statsFilters,
+  });
+});
+
+// Head-to-head comparison of two players over every game they've played together
+router.get('/:id/vs/:otherId', (req, res) => {
+  const profileUser = users.findById(req.params.id);
+  const otherUser = users.findById(req.params.otherId);
+
+  if (!profileUser || !otherUser) {
+    return res.status(404).render('error', {
+      title: 'Not Found',
+      message: 'User not found',
+    });
+  }
+
+  if (profileUser.id === otherUser.id) {
+    return res.status(400).render('error', {
+      title: 'Error',
+      message: 'Pick two different players to compare',
+    });
+  }
+
+  const meetings = games.findBetween(profileUser.id, otherUser.id);
+  const crownChanges = crowns.findHistoryBetween(profileUser.id, otherUser.id);
+
+  res.render('users/vs', {
+    title: `${profileUser.name} vs ${otherUser.name}`,
+    profileUser,
+    otherUser,
+    h2h: summarizeHeadToHead(meetings, crownChanges, profileUser.id, otherUser.id),
+    recentGames: meetings.slice(0, 10),
+    crownChanges,
+    // Darts stats from the live-scored games they played against each other
+    dartsStats: {
+      user: summarizeStats(playerStats.summarizeAgainst(profileUser.id, otherUser.id)),
+      other: summarizeStats(playerStats.summarizeAgainst(otherUser.id, profileUser.id)),
+    },
   });
 });
 
@@ -0,0 +1,95 @@
+/**
+ * Scoresheet
+ * Turns the throw log of a live-scored game into visits, each with the
+ * standings after it, for the turn-by-turn scoresheet and replay
+ */
+
+const { getGameType } = require('./game-types');
+const { initialGameState, applyThrow, applyVisit, calculateRawValue, getThrowDisplayName } = require('./game-logic');
+
+/**
+ * Short standing for a player, in the terms of the game's scoreboard
+ * @param {string} scoreboard - Scoreboard key from the game type
+ * @param {Object} player - Player state
+ * @returns {string} Standing like "141", "38 pts" or "D14 ❤❤"
+ */
+function describeStanding(scoreboard, player) {
+  switch (scoreboard) {
+    case 'x01':
+      return String(player.remaining_score);
+    case 'cricket':
+      return `${player.cricket_points || 0} pts`;
+    case 'atw':
+      return player.current_target > 21 ? 'Done' : `On ${player.current_target === 21 ? 'Bull' : player.current_target}`;
+    case 'killer':
+      if (player.state.eliminated) return 'Out';
+      return `D${player.state.number} ${'❤'.repeat(player.state.lives)}${player.state.killer ? ' K' : ''}`;
+    default:
+      return String(player.score || 0);
+  }
+}
+
+/**
+ * Build the visits of a game from its throw log
+ * @param {Object} game - Game with game_type, starting_score, rules, options and players
+ *   (players need id and name; throws refer to players by player_id)
+ * @param {Array} throws - Throws in order
+ * @returns {Array} Visits: { turn, playerId, playerName, darts, scored, isBust, standings }
+ *   where standings has one { playerId, name, standing } per player after the visit.
+ *   In 301/501 scored is what came off the player's score, so busted darts don't count
+ */
+function buildScoresheet(game, throws) {
+  const { scoreboard } = getGameType(game.game_type);
+  const state = initialGameState(game);
+  const names = new Map(game.players.map(p => [p.id, p.name]));
+  const visits = [];
+
+  let visit = null;
+  let startingRemaining = null;
+  for (const t of throws) {
+    if (state.winner) break;
+
+    const player = state.players.find(p => p.id === t.player_id);
+    if (!visit || visit.playerId !== t.player_id || visit.turn !== t.turn_number) {
+      startingRemaining = player.remaining_score;
+      visit = {
+        turn: t.turn_number,
+        playerId: t.player_id,
+        playerName: names.get(t.player_id),
+        darts: [],
+        scored: 0,
+        isBust: false,
+        standings: [],
+      };
+      visits.push(visit);
+    }
+
+    let result;
+    if (t.visit_total !== null && t.visit_total !== undefined) {
+      result = applyVisit(state, { total: t.visit_total, checkoutDart: t.checkout_dart, dartsAtDouble: t.darts_at_double });
+      visit.darts.push(String(t.visit_total));
+      visit.scored += t.visit_total;
+    } else {
+      result = applyThrow(state, t);
+      visit.darts.push(getThrowDisplayName(t.segment, t.multiplier));
+      visit.scored += calculateRawValue(t.segment, t.multiplier);
+    }
+    visit.isBust = visit.isBust || Boolean(result.isBust);
+    if (scoreboard === 'x01') {
+      visit.scored = startingRemaining - player.remaining_score;
+    }
+
+    visit.standings = state.players.map(p => ({
+      playerId: p.id,
+      name: names.get(p.id),
+      standing: describeStanding(scoreboard, p),
+    }));
+  }
+
+  return visits;
+}
+
+module.exports = {
+  describeStanding,
+  buildScoresheet,
+};
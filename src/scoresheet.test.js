@@ -0,0 +1,64 @@
+/**
+ * Unit tests for scoresheet.js - visits rebuilt from a recorded throw log
+ */
+
+const { buildScoresheet, describeStanding } = require('./scoresheet');
+
+const players = [
+  { id: 'p1', user_id: 'u1', name: 'Alice' },
+  { id: 'p2', user_id: 'u2', name: 'Bob' },
+];
+
+function dart(playerId, turn, dartInTurn, segment, multiplier = 1) {
+  return { player_id: playerId, turn_number: turn, dart_in_turn: dartInTurn, segment, multiplier };
+}
+
+describe('buildScoresheet', () => {
+  it('groups darts into visits with the standings after each', () => {
+    const game = { game_type: '301', starting_score: 301, out_rule: 'double', players };
+    const throws = [
+      dart('p1', 1, 1, 20, 3), dart('p1', 1, 2, 20, 3), dart('p1', 1, 3, 20, 1),
+      dart('p2', 2, 1, 19, 1), dart('p2', 2, 2, null), dart('p2', 2, 3, 25, 2),
+    ];
+
+    const visits = buildScoresheet(game, throws);
+
+    expect(visits).toHaveLength(2);
+    expect(visits[0]).toMatchObject({ turn: 1, playerName: 'Alice', darts: ['T20', 'T20', '20'], scored: 140 });
+    expect(visits[0].standings.map(s => s.standing)).toEqual(['161', '301']);
+    expect(visits[1]).toMatchObject({ playerName: 'Bob', darts: ['19', 'Miss', 'D-Bull'], scored: 69 });
+    expect(visits[1].standings.map(s => s.standing)).toEqual(['161', '232']);
+  });
+
+  it('reads visit totals as one entry', () => {
+    const game = { game_type: '501', starting_score: 501, out_rule: 'double', players };
+    const throws = [
+      { player_id: 'p1', turn_number: 1, dart_in_turn: 1, segment: null, multiplier: 1, visit_total: 100 },
+    ];
+
+    const [visit] = buildScoresheet(game, throws);
+    expect(visit).toMatchObject({ darts: ['100'], scored: 100 });
+    expect(visit.standings[0].standing).toBe('401');
+  });
+
+  it('counts nothing off a busted visit', () => {
+    const game = { game_type: '301', starting_score: 301, out_rule: 'double', players };
+    const throws = [
+      dart('p1', 1, 1, 20, 3), dart('p1', 1, 2, 20, 3), dart('p1', 1, 3, 20, 3),
+      dart('p2', 2, 1, null), dart('p2', 2, 2, null), dart('p2', 2, 3, null),
+      dart('p1', 3, 1, 20, 3), dart('p1', 3, 2, 20, 3), dart('p1', 3, 3, null),
+    ];
+
+    const visits = buildScoresheet(game, throws);
+    expect(visits[2]).toMatchObject({ scored: 0, isBust: true });
+  });
+});
+
+describe('describeStanding', () => {
+  it('describes each scoreboard', () => {
+    expect(describeStanding('cricket', { cricket_points: 38 })).toBe('38 pts');
+    expect(describeStanding('atw', { current_target: 21 })).toBe('On Bull');
+    expect(describeStanding('shanghai', { score: 42 })).toBe('42');
+    expect(describeStanding('killer', { state: { number: 14, lives: 2, killer: true } })).toBe('D14 ❤❤ K');
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Seasons
+ * Round-robin fixture lists and league standings. Each fixture is a match of
+ * up to best_of legs between two players, settled by the recorded games linked
+ * to it
+ */
+
+// League points for a match won or drawn
+const POINTS_FOR_WIN = 2;
+const POINTS_FOR_DRAW = 1;
+
+// Match lengths a season can be played over, in legs
+const BEST_OF_OPTIONS = [1, 3, 5, 7];
+
+/**
+ * Round-robin fixtures using the circle method: one player stays put while the
+ * rest rotate, so everyone meets once per cycle and no one plays twice a round
+ * @param {Array<string>} userIds - Players in the season
+ * @param {number} cycles - 1 to meet everyone once, 2 for home and away
+ * @returns {Array} { round, homeUserId, awayUserId } with rounds from 1
+ */
+function generateFixtures(userIds, cycles = 1) {
+  // An odd number of players gets a bye each round
+  const slots = userIds.length % 2 === 0 ? [...userIds] : [...userIds, null];
+  const roundsPerCycle = slots.length - 1;
+  const fixtures = [];
+
+  for (let round = 0; round < roundsPerCycle; round++) {
+    for (let i = 0; i < slots.length / 2; i++) {
+      const a = slots[i];
+      const b = slots[slots.length - 1 - i];
+      if (a === null || b === null) continue;
+      // Swap the fixed player's pairing every other round so home games even out
+      const [home, away] = i === 0 && round % 2 === 1 ? [b, a] : [a, b];
+      fixtures.push({ round: round + 1, homeUserId: home, awayUserId: away });
+    }
+    // Rotate everyone but the first slot one place clockwise
+    slots.splice(1, 0, slots.pop());
+  }
+
+  // Later cycles replay the first with home and away switched each time
+  const firstCycle = [...fixtures];
+  for (let cycle = 1; cycle < cycles; cycle++) {
+    for (const f of firstCycle) {
+      const switched = cycle % 2 === 1;
+      fixtures.push({
+        round: f.round + cycle * roundsPerCycle,
+        homeUserId: switched ? f.awayUserId : f.homeUserId,
+        awayUserId: switched ? f.homeUserId : f.awayUserId,
+      });
+    }
+  }
+
+  return fixtures;
+}
+
+/**
+ * Legs and result of a fixture from its linked games
+ * @param {Object} fixture - Fixture with home_user_id, away_user_id, best_of and
+ *   games (recorded games with players)
+ * @returns {Object} { homeLegs, awayLegs, legsPlayed, complete, winnerUserId }
+ *   where winnerUserId is null for a draw or a match still going
+ */
+function fixtureResult(fixture) {
+  let homeLegs = 0;
+  let awayLegs = 0;
+  for (const game of fixture.games || []) {
+    const winner = game.players.find(p => p.is_winner);
+    if (!winner) continue;
+    if (winner.user_id === fixture.home_user_id) homeLegs++;
+    else if (winner.user_id === fixture.away_user_id) awayLegs++;
+  }
+
+  const legsPlayed = (fixture.games || []).length;
+  const legsToWin = Math.floor(fixture.best_of / 2) + 1;
+  // Drawn legs count towards the match length, so a level match after them all is drawn
+  const complete = homeLegs >= legsToWin || awayLegs >= legsToWin || legsPlayed >= fixture.best_of;
+
+  let winnerUserId = null;
+  if (complete && homeLegs !== awayLegs) {
+    winnerUserId = homeLegs > awayLegs ? fixture.home_user_id : fixture.away_user_id;
+  }
+
+  return { homeLegs, awayLegs, legsPlayed, complete, winnerUserId };
+}
+
+/**
+ * League table from the season's completed fixtures
+ * @param {Array} players - Season players with user_id and name
+ * @param {Array} fixtures - Fixtures, each with its result from fixtureResult
+ * @returns {Array} { userId, name, played, won, drawn, lost, legsFor, legsAgainst, points },
+ *   ordered by points, then leg difference, then legs won
+ */
+function computeStandings(players, fixtures) {
+  const rows = new Map(players.map(p => [p.user_id, {
+    userId: p.user_id,
+    name: p.name,
+    played: 0,
+    won: 0,
+    drawn: 0,
+    lost: 0,
+    legsFor: 0,
+    legsAgainst: 0,
+    points: 0,
+  }]));
+
+  for (const fixture of fixtures) {
+    const { result } = fixture;
+    if (!result.complete) continue;
+
+    const sides = [
+      [fixture.home_user_id, result.homeLegs, result.awayLegs],
+      [fixture.away_user_id, result.awayLegs, result.homeLegs],
+    ];
+    for (const [userId, legsFor, legsAgainst] of sides) {
+      const row = rows.get(userId);
+      if (!row) continue;
+      row.played++;
+      row.legsFor += legsFor;
+      row.legsAgainst += legsAgainst;
+      if (result.winnerUserId === null) {
+        row.drawn++;
+        row.points += POINTS_FOR_DRAW;
+      } else if (result.winnerUserId === userId) {
+        row.won++;
+        row.points += POINTS_FOR_WIN;
+      } else {
+        row.lost++;
+      }
+    }
+  }
+
+  return [...rows.values()].sort((a, b) =>
+    b.points - a.points ||
+    (b.legsFor - b.legsAgainst) - (a.legsFor - a.legsAgainst) ||
+    b.legsFor - a.legsFor ||
+    a.name.localeCompare(b.name)
+  );
+}
+
+module.exports = {
+  POINTS_FOR_WIN,
+  POINTS_FOR_DRAW,
+  BEST_OF_OPTIONS,
+  generateFixtures,
+  fixtureResult,
+  computeStandings,
+};
@@ -0,0 +1,76 @@
+/**
+ * Unit tests for seasons.js - round-robin fixtures and league standings
+ */
+
+const { generateFixtures, fixtureResult, computeStandings, POINTS_FOR_WIN, POINTS_FOR_DRAW } = require('./seasons');
+
+// A recorded game between two players, won by winnerId (or drawn when null)
+function game(homeId, awayId, winnerId) {
+  return { players: [{ user_id: homeId, is_winner: winnerId === homeId ? 1 : 0 }, { user_id: awayId, is_winner: winnerId === awayId ? 1 : 0 }] };
+}
+
+function fixture(home, away, bestOf, winners) {
+  return { home_user_id: home, away_user_id: away, best_of: bestOf, games: winners.map(w => game(home, away, w)) };
+}
+
+describe('generateFixtures', () => {
+  it('pairs everyone once with nobody playing twice in a round', () => {
+    const fixtures = generateFixtures(['a', 'b', 'c', 'd']);
+
+    expect(fixtures).toHaveLength(6);
+    expect(new Set(fixtures.map(f => [f.homeUserId, f.awayUserId].sort().join()))).toHaveProperty('size', 6);
+    for (const round of [1, 2, 3]) {
+      const players = fixtures.filter(f => f.round === round).flatMap(f => [f.homeUserId, f.awayUserId]);
+      expect(new Set(players).size).toBe(4);
+    }
+  });
+
+  it('gives a bye each round with an odd number of players', () => {
+    const fixtures = generateFixtures(['a', 'b', 'c']);
+
+    expect(fixtures).toHaveLength(3);
+    expect(Math.max(...fixtures.map(f => f.round))).toBe(3);
+  });
+
+  it('plays home and away over two cycles', () => {
+    const fixtures = generateFixtures(['a', 'b', 'c', 'd'], 2);
+
+    expect(fixtures).toHaveLength(12);
+    const first = fixtures.filter(f => f.round <= 3);
+    const second = fixtures.filter(f => f.round > 3);
+    for (const f of first) {
+      expect(second).toContainEqual(expect.objectContaining({ homeUserId: f.awayUserId, awayUserId: f.homeUserId }));
+    }
+  });
+});
+
+describe('fixtureResult', () => {
+  it('waits for a player to win enough legs', () => {
+    expect(fixtureResult(fixture('a', 'b', 3, ['a']))).toMatchObject({ homeLegs: 1, awayLegs: 0, complete: false, winnerUserId: null });
+    expect(fixtureResult(fixture('a', 'b', 3, ['a', 'b', 'b']))).toMatchObject({ homeLegs: 1, awayLegs: 2, complete: true, winnerUserId: 'b' });
+  });
+
+  it('is drawn when every leg is played level', () => {
+    expect(fixtureResult(fixture('a', 'b', 1, [null]))).toMatchObject({ complete: true, winnerUserId: null });
+    expect(fixtureResult(fixture('a', 'b', 3, ['a', null, 'b']))).toMatchObject({ homeLegs: 1, awayLegs: 1, complete: true, winnerUserId: null });
+  });
+});
+
+describe('computeStandings', () => {
+  it('adds up completed fixtures into the table', () => {
+    const players = [{ user_id: 'a', name: 'Alice' }, { user_id: 'b', name: 'Bob' }, { user_id: 'c', name: 'Cat' }];
+    const fixtures = [
+      fixture('a', 'b', 3, ['a', 'a']),
+      fixture('b', 'c', 3, ['b', 'c', 'b']),
+      fixture('c', 'a', 1, [null]),
+      fixture('a', 'c', 3, ['c']),
+    ].map(f => ({ ...f, result: fixtureResult(f) }));
+
+    const table = computeStandings(players, fixtures);
+
+    expect(table.map(row => row.name)).toEqual(['Alice', 'Bob', 'Cat']);
+    expect(table[0]).toMatchObject({ played: 2, won: 1, drawn: 1, lost: 0, legsFor: 2, legsAgainst: 0, points: POINTS_FOR_WIN + POINTS_FOR_DRAW });
+    expect(table[1]).toMatchObject({ played: 2, won: 1, lost: 1, legsFor: 2, legsAgainst: 3, points: POINTS_FOR_WIN });
+    expect(table[2]).toMatchObject({ played: 2, won: 0, drawn: 1, lost: 1, legsFor: 1, legsAgainst: 2, points: POINTS_FOR_DRAW });
+  });
+});
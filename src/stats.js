@@ -0,0 +1,179 @@
+/**
+ * Player Statistics
+ * Each player's stats for a game are worked out from its throws once, when the
+ * game is finalized, and stored; profiles add the stored rows up for whichever
+ * game type and dates are asked for
+ */
+
+const { getGameType, liveGameTypes } = require('./game-types');
+const { initialGameState, applyThrow, applyVisit, CRICKET_NUMBERS } = require('./game-logic');
+const { checkoutRoute } = require('./checkout');
+
+// Scoreboards with stats of their own, beyond darts thrown
+const STATS_SCOREBOARDS = ['x01', 'cricket', 'atw'];
+
+/**
+ * Empty stats for one player in one game
+ * @returns {Object} Counters, all zero
+ */
+function emptyStats() {
+  return {
+    darts: 0,
+    points: 0,
+    first9Darts: 0,
+    first9Points: 0,
+    checkoutAttempts: 0,
+    checkouts: 0,
+    highestCheckout: 0,
+    tons: 0,
+    ton40s: 0,
+    oneEighties: 0,
+    marks: 0,
+    targets: 0,
+  };
+}
+
+/**
+ * Add a finished 301/501 visit to a player's stats
+ * @param {Object} stats - The player's stats
+ * @param {Object} visit - { scored, darts, checkout } for the visit
+ * @param {number} visitNumber - The player's visit count, from 1
+ */
+function addVisit(stats, visit, visitNumber) {
+  stats.points += visit.scored;
+  if (visitNumber <= 3) {
+    stats.first9Darts += visit.darts;
+    stats.first9Points += visit.scored;
+  }
+  if (visit.scored === 180) stats.oneEighties++;
+  else if (visit.scored >= 140) stats.ton40s++;
+  else if (visit.scored >= 100) stats.tons++;
+  if (visit.checkout) {
+    stats.highestCheckout = Math.max(stats.highestCheckout, visit.scored);
+  }
+}
+
+/**
+ * Work out each player's stats for a recorded game
+ * @param {Object} game - Recorded game with players (game_players rows) and throws
+ * @returns {Array} { userId, ...stats } per player, or empty if the game has no throws
+ */
+function computeGameStats(game) {
+  if (!game.throws || game.throws.length === 0) return [];
+
+  const { scoreboard } = getGameType(game.game_type);
+  const state = initialGameState(game);
+  const stats = new Map(game.players.map(p => [p.id, emptyStats()]));
+  const visitCounts = new Map();
+
+  let visit = null;
+  const closeVisit = () => {
+    if (!visit || scoreboard !== 'x01') return;
+    const count = (visitCounts.get(visit.playerId) || 0) + 1;
+    visitCounts.set(visit.playerId, count);
+    const player = state.players.find(p => p.id === visit.playerId);
+    addVisit(stats.get(visit.playerId), {
+      scored: visit.startRemaining - player.remaining_score,
+      darts: visit.darts,
+      checkout: player.remaining_score === 0,
+    }, count);
+  };
+
+  for (const t of game.throws) {
+    if (state.winner) break;
+
+    const player = state.players.find(p => p.id === t.player_id);
+    const playerStats = stats.get(t.player_id);
+    if (!visit || visit.playerId !== t.player_id || visit.turn !== t.turn_number) {
+      closeVisit();
+      visit = { playerId: t.player_id, turn: t.turn_number, startRemaining: player.remaining_score, darts: 0 };
+    }
+
+    const isVisit = t.visit_total !== null && t.visit_total !== undefined;
+    const darts = isVisit ? t.checkout_dart || 3 : 1;
+    playerStats.darts += darts;
+    visit.darts += darts;
+
+    if (isVisit) {
+      // Darts at a double are only known for the visit that checked out
+      playerStats.checkoutAttempts += t.darts_at_double || 0;
+      applyVisit(state, { total: t.visit_total, checkoutDart: t.checkout_dart, dartsAtDouble: t.darts_at_double });
+    } else {
+      // A dart counts as a checkout attempt when it could have finished the game
+      if (scoreboard === 'x01' && checkoutRoute(player.remaining_score, 1, game.out_rule)) {
+        playerStats.checkoutAttempts++;
+      }
+      applyThrow(state, t);
+    }
+
+    if (scoreboard === 'x01' && player.remaining_score === 0) {
+      playerStats.checkouts++;
+    }
+    if (scoreboard === 'cricket' && CRICKET_NUMBERS.includes(t.segment)) {
+      playerStats.marks += t.multiplier;
+    }
+  }
+  closeVisit();
+
+  return state.players.map(p => {
+    const playerStats = stats.get(p.id);
+    if (scoreboard === 'atw') {
+      playerStats.targets = p.current_target - 1;
+    }
+    return { userId: p.user_id, ...playerStats };
+  });
+}
+
+/**
+ * Add up stored stats rows into the figures shown on a profile
+ * @param {Array} rows - Totals per game type from playerStats.summarize
+ * @returns {Object} { x01, cricket, atw } - each null when there's nothing to show
+ */
+function summarizeStats(rows) {
+  const totals = {};
+  for (const row of rows) {
+    const type = getGameType(row.game_type);
+    if (!type || !STATS_SCOREBOARDS.includes(type.scoreboard)) continue;
+    const total = totals[type.scoreboard] || (totals[type.scoreboard] = { games: 0, ...emptyStats() });
+    for (const key of Object.keys(total)) {
+      total[key] = key === 'highestCheckout' ? Math.max(total[key], row[key] || 0) : total[key] + (row[key] || 0);
+    }
+  }
+
+  const { x01, cricket, atw } = totals;
+  return {
+    x01: x01 && x01.darts > 0 ? {
+      games: x01.games,
+      average: (x01.points * 3) / x01.darts,
+      first9Average: x01.first9Darts ? (x01.first9Points * 3) / x01.first9Darts : null,
+      checkoutPercent: x01.checkoutAttempts ? (x01.checkouts / x01.checkoutAttempts) * 100 : null,
+      checkouts: x01.checkouts,
+      highestCheckout: x01.highestCheckout || null,
+      tons: x01.tons,
+      ton40s: x01.ton40s,
+      oneEighties: x01.oneEighties,
+    } : null,
+    cricket: cricket && cricket.darts > 0 ? {
+      games: cricket.games,
+      mpr: (cricket.marks * 3) / cricket.darts,
+    } : null,
+    atw: atw && atw.targets > 0 ? {
+      games: atw.games,
+      dartsPerTarget: atw.darts / atw.targets,
+    } : null,
+  };
+}
+
+/**
+ * Game types whose stats a profile can be filtered to
+ * @returns {Array} Live game types with stats of their own
+ */
+function statsGameTypes() {
+  return liveGameTypes().filter(type => STATS_SCOREBOARDS.includes(type.scoreboard));
+}
+
+module.exports = {
+  computeGameStats,
+  summarizeStats,
+  statsGameTypes,
+};
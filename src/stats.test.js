@@ -0,0 +1,103 @@
+/**
+ * Unit tests for stats.js - per-game player stats and profile totals
+ */
+
+const { computeGameStats, summarizeStats } = require('./stats');
+
+const players = [
+  { id: 'p1', user_id: 'u1', name: 'Alice' },
+  { id: 'p2', user_id: 'u2', name: 'Bob' },
+];
+
+function dart(playerId, turn, dartInTurn, segment, multiplier = 1) {
+  return { player_id: playerId, turn_number: turn, dart_in_turn: dartInTurn, segment, multiplier };
+}
+
+function visit(playerId, turn, total, checkoutDart = null, dartsAtDouble = null) {
+  return { player_id: playerId, turn_number: turn, dart_in_turn: 1, segment: null, multiplier: 1, visit_total: total, checkout_dart: checkoutDart, darts_at_double: dartsAtDouble };
+}
+
+describe('computeGameStats', () => {
+  it('works out 301/501 averages, tons and checkouts', () => {
+    const game = {
+      game_type: '301',
+      starting_score: 301,
+      out_rule: 'double',
+      players,
+      throws: [
+        dart('p1', 1, 1, 20, 3), dart('p1', 1, 2, 20, 3), dart('p1', 1, 3, 20, 3),
+        dart('p2', 2, 1, 20, 3), dart('p2', 2, 2, 20, 3), dart('p2', 2, 3, 20, 1),
+        dart('p1', 3, 1, 20, 3), dart('p1', 3, 2, 20, 1), dart('p1', 3, 3, 1, 1),
+        dart('p2', 4, 1, 1, 1), dart('p2', 4, 2, 1, 1), dart('p2', 4, 3, 1, 1),
+        dart('p1', 5, 1, 20, 1), dart('p1', 5, 2, 10, 2),
+      ],
+    };
+
+    const [alice, bob] = computeGameStats(game);
+
+    expect(alice).toMatchObject({
+      userId: 'u1',
+      darts: 8,
+      points: 301,
+      first9Darts: 8,
+      first9Points: 301,
+      oneEighties: 1,
+      checkouts: 1,
+      highestCheckout: 40,
+      // The single 20 was thrown on a finish too
+      checkoutAttempts: 2,
+    });
+    expect(bob).toMatchObject({ darts: 6, points: 143, ton40s: 1, checkouts: 0 });
+  });
+
+  it('counts visit totals as three darts and takes darts at a double from the checkout', () => {
+    const game = {
+      game_type: '501',
+      starting_score: 501,
+      out_rule: 'double',
+      players,
+      throws: [
+        visit('p1', 1, 180), visit('p2', 2, 100),
+        visit('p1', 3, 180), visit('p2', 4, 100),
+        visit('p1', 5, 141, 3, 2),
+      ],
+    };
+
+    const [alice, bob] = computeGameStats(game);
+    expect(alice).toMatchObject({ darts: 9, points: 501, oneEighties: 2, checkouts: 1, checkoutAttempts: 2, highestCheckout: 141, ton40s: 1 });
+    expect(bob).toMatchObject({ darts: 6, tons: 2 });
+  });
+
+  it('counts cricket marks, including the bull', () => {
+    const game = {
+      game_type: 'Cricket',
+      players,
+      throws: [dart('p1', 1, 1, 20, 3), dart('p1', 1, 2, 25, 2), dart('p1', 1, 3, 5, 3)],
+    };
+
+    const [alice] = computeGameStats(game);
+    expect(alice).toMatchObject({ darts: 3, marks: 5 });
+  });
+
+  it('has nothing for a game without throws', () => {
+    expect(computeGameStats({ game_type: '501', players, throws: [] })).toEqual([]);
+  });
+});
+
+describe('summarizeStats', () => {
+  it('adds 301 and 501 together and works out the rates', () => {
+    const summary = summarizeStats([
+      { game_type: '301', games: 1, darts: 9, points: 301, first9Darts: 9, first9Points: 301, checkoutAttempts: 2, checkouts: 1, highestCheckout: 61, oneEighties: 1 },
+      { game_type: '501', games: 2, darts: 30, points: 800, first9Darts: 18, first9Points: 500, checkoutAttempts: 2, checkouts: 1, highestCheckout: 40 },
+      { game_type: 'Cricket', games: 1, darts: 30, marks: 25 },
+      { game_type: 'Killer', games: 4, darts: 50 },
+    ]);
+
+    expect(summary.x01.games).toBe(3);
+    expect(summary.x01.average).toBeCloseTo(84.69, 2);
+    expect(summary.x01.checkoutPercent).toBe(50);
+    expect(summary.x01.highestCheckout).toBe(61);
+    expect(summary.cricket.mpr).toBe(2.5);
+    expect(summary.atw).toBeNull();
+  });
+});
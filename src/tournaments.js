@@ -0,0 +1,274 @@
+/**
+ * Tournaments
+ * Knockout brackets, single or double elimination. A bracket is laid out once
+ * from the number of entrants; who is in each match is worked out from the
+ * seeds and the results so far, so recording a result is all it takes to
+ * advance it
+ */
+
+const { DEFAULT_RATING } = require('./ratings');
+
+const FORMATS = ['single', 'double'];
+const SEEDING_METHODS = ['random', 'rating', 'manual'];
+
+// Slot values while resolving: an entrant's user ID, or one of these
+const BYE = 'bye';
+const PENDING = 'pending';
+
+/**
+ * Seed numbers in bracket order, so the top seeds can only meet late on
+ * @param {number} size - Bracket size, a power of two
+ * @returns {Array<number>} Seeds from 1, e.g. [1, 8, 4, 5, 2, 7, 3, 6] for 8
+ */
+function seedOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const total = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, total - seed]);
+  }
+  return order;
+}
+
+/**
+ * Lay out the matches of a bracket
+ * @param {number} entrants - Number of players
+ * @param {string} format - 'single' or 'double'
+ * @returns {Array} Match definitions { key, bracket, round, index, sources } where each
+ *   of the two sources is { seed }, { winnerOf }, { loserOf } or { resetOf, side }.
+ *   Seeds past the number of entrants are byes
+ */
+function buildBracket(entrants, format = 'single') {
+  let rounds = 1;
+  while (2 ** rounds < entrants) rounds++;
+  const size = 2 ** rounds;
+  const matches = [];
+  const add = (bracket, round, index, sources) => {
+    const prefix = { winners: 'W', losers: 'L' }[bracket];
+    matches.push({ key: `${prefix}${round}-${index}`, bracket, round, index, sources });
+  };
+
+  const order = seedOrder(size);
+  for (let round = 1; round <= rounds; round++) {
+    for (let i = 0; i < size / 2 ** round; i++) {
+      add('winners', round, i, round === 1
+        ? [{ seed: order[2 * i] }, { seed: order[2 * i + 1] }]
+        : [{ winnerOf: `W${round - 1}-${2 * i}` }, { winnerOf: `W${round - 1}-${2 * i + 1}` }]);
+    }
+  }
+
+  if (format !== 'double') return matches;
+
+  // The losers' bracket alternates between a round where players dropping out of
+  // the winners' bracket come in, and a round where those left play each other.
+  // With two entrants there is none: the first match's loser goes straight to the grand final
+  if (rounds > 1) {
+    for (let i = 0; i < size / 4; i++) {
+      add('losers', 1, i, [{ loserOf: `W1-${2 * i}` }, { loserOf: `W1-${2 * i + 1}` }]);
+    }
+  }
+  for (let j = 1; j < rounds; j++) {
+    const count = size / 2 ** (j + 1);
+    for (let i = 0; i < count; i++) {
+      // Drop players in from the opposite end on alternate rounds to put off rematches
+      const dropped = j % 2 === 1 ? count - 1 - i : i;
+      add('losers', 2 * j, i, [{ winnerOf: `L${2 * j - 1}-${i}` }, { loserOf: `W${j + 1}-${dropped}` }]);
+    }
+    if (j < rounds - 1) {
+      for (let i = 0; i < count / 2; i++) {
+        add('losers', 2 * j + 1, i, [{ winnerOf: `L${2 * j}-${2 * i}` }, { winnerOf: `L${2 * j}-${2 * i + 1}` }]);
+      }
+    }
+  }
+
+  // Grand final, replayed if the player from the losers' bracket wins it
+  const losersChampion = rounds > 1 ? { winnerOf: `L${2 * (rounds - 1)}-0` } : { loserOf: `W${rounds}-0` };
+  matches.push({ key: 'F1', bracket: 'final', round: 1, index: 0, sources: [{ winnerOf: `W${rounds}-0` }, losersChampion] });
+  matches.push({ key: 'F2', bracket: 'final', round: 2, index: 0, sources: [{ resetOf: 'F1', side: 0 }, { resetOf: 'F1', side: 1 }] });
+
+  return matches;
+}
+
+/**
+ * Work out every match from the seeds and results
+ * @param {Array} definitions - Matches from buildBracket
+ * @param {Array<string>} seeds - Entrants' user IDs, top seed first
+ * @param {Object} results - Match key -> winner's user ID
+ * @returns {Array} Matches with players [userId|null, userId|null], byes [bool, bool],
+ *   status ('waiting', 'ready', 'complete', 'walkover' or 'void'), winner and loser
+ */
+function resolveBracket(definitions, seeds, results = {}) {
+  const resolved = new Map();
+
+  const slot = (source) => {
+    if (source.seed) return seeds[source.seed - 1] || BYE;
+    const from = resolved.get(source.winnerOf || source.loserOf || source.resetOf);
+    if (['waiting', 'ready'].includes(from.status)) return PENDING;
+    if (source.winnerOf) return from.slots.winner;
+    if (source.loserOf) return from.slots.loser;
+    // A grand final reset is only played if the first one went to the losers' bracket player
+    return from.slots.winner === from.slots.players[0] ? BYE : from.slots.players[source.side];
+  };
+
+  for (const definition of definitions) {
+    const players = definition.sources.map(slot);
+    let status;
+    let winner = null;
+    let loser = null;
+    if (players.includes(PENDING)) {
+      status = 'waiting';
+    } else if (players[0] === BYE && players[1] === BYE) {
+      status = 'void';
+      winner = BYE;
+      loser = BYE;
+    } else if (players.includes(BYE)) {
+      status = 'walkover';
+      winner = players[0] === BYE ? players[1] : players[0];
+      loser = BYE;
+    } else if (players.includes(results[definition.key])) {
+      status = 'complete';
+      winner = results[definition.key];
+      loser = players[0] === winner ? players[1] : players[0];
+    } else {
+      status = 'ready';
+    }
+    resolved.set(definition.key, { status, slots: { players, winner, loser } });
+  }
+
+  return definitions.map(definition => {
+    const { status, slots } = resolved.get(definition.key);
+    const userId = (value) => (value === BYE || value === PENDING ? null : value);
+    return {
+      key: definition.key,
+      bracket: definition.bracket,
+      round: definition.round,
+      index: definition.index,
+      status,
+      players: slots.players.map(userId),
+      byes: slots.players.map(value => value === BYE),
+      winner: userId(slots.winner),
+      loser: userId(slots.loser),
+    };
+  });
+}
+
+/**
+ * Winner of the tournament, once the last match is decided
+ * @param {Array} matches - Resolved matches
+ * @returns {string|null} Champion's user ID
+ */
+function findChampion(matches) {
+  const byKey = new Map(matches.map(m => [m.key, m]));
+  if (byKey.has('F1')) {
+    const reset = byKey.get('F2');
+    if (reset.status === 'complete') return reset.winner;
+    return reset.status === 'void' ? byKey.get('F1').winner : null;
+  }
+  const final = matches.filter(m => m.bracket === 'winners').pop();
+  return ['complete', 'walkover'].includes(final.status) ? final.winner : null;
+}
+
+/**
+ * Put entrants in seed order
+ * @param {Array<string>} userIds - Entrants
+ * @param {string} method - 'random', 'rating' or 'manual'
+ * @param {Object} [options] - { ratings: userId -> rating, manual: userId -> seed number, random }
+ * @returns {Array<string>} User IDs, top seed first
+ */
+function seedPlayers(userIds, method, options = {}) {
+  if (method === 'rating') {
+    const ratings = options.ratings || {};
+    const rating = (userId) => ratings[userId] ?? DEFAULT_RATING;
+    return [...userIds].sort((a, b) => rating(b) - rating(a));
+  }
+  if (method === 'manual') {
+    const manual = options.manual || {};
+    const seed = (userId) => (Number.isInteger(manual[userId]) ? manual[userId] : Infinity);
+    return [...userIds].sort((a, b) => (seed(a) - seed(b)) || 0);
+  }
+
+  // Fisher-Yates shuffle
+  const random = options.random || Math.random;
+  const shuffled = [...userIds];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * Heading for a round of the bracket
+ * @param {string} bracket - 'winners', 'losers' or 'final'
+ * @param {number} round - Round number in that bracket
+ * @param {number} rounds - Number of rounds in that bracket
+ * @returns {string} Heading like "Semi-finals" or "Losers round 2"
+ */
+function roundName(bracket, round, rounds) {
+  if (bracket === 'final') return round === 1 ? 'Grand final' : 'Grand final reset';
+  if (bracket === 'losers') return round === rounds ? 'Losers final' : `Losers round ${round}`;
+  const fromEnd = rounds - round;
+  return ['Final', 'Semi-finals', 'Quarter-finals'][fromEnd] || `Round ${round}`;
+}
+
+/**
+ * Everything the bracket page shows, from a stored tournament
+ * @param {Object} tournament - Tournament from the db with seeds, players and match rows
+ * @returns {Object} { champion, sections } where sections are the winners' bracket, losers'
+ *   bracket and grand final, each with rounds of matches. A match's players carry their
+ *   name and seed, and a match being played has its liveGameId
+ */
+function describeTournament(tournament) {
+  const rows = new Map(tournament.matches.map(row => [row.match_key, row]));
+  const results = {};
+  for (const row of tournament.matches) {
+    if (row.winner_user_id) results[row.match_key] = row.winner_user_id;
+  }
+
+  const names = new Map(tournament.players.map(p => [p.id, p.name]));
+  const matches = resolveBracket(buildBracket(tournament.seeds.length, tournament.format), tournament.seeds, results);
+
+  const sections = [];
+  for (const bracket of ['winners', 'losers', 'final']) {
+    const inBracket = matches.filter(m => m.bracket === bracket);
+    if (inBracket.length === 0) continue;
+    const rounds = Math.max(...inBracket.map(m => m.round));
+    sections.push({
+      bracket,
+      title: { winners: tournament.format === 'double' ? "Winners' bracket" : 'Bracket', losers: "Losers' bracket", final: 'Grand final' }[bracket],
+      rounds: Array.from({ length: rounds }, (_, i) => ({
+        name: roundName(bracket, i + 1, rounds),
+        matches: inBracket.filter(m => m.round === i + 1).map(m => {
+          const row = rows.get(m.key);
+          const live = row && ['waiting', 'playing', 'finished'].includes(row.live_status) && m.status === 'ready';
+          return {
+            key: m.key,
+            status: m.status,
+            winner: m.winner,
+            players: m.players.map((userId, side) => ({
+              userId,
+              name: userId ? names.get(userId) : null,
+              seed: userId ? tournament.seeds.indexOf(userId) + 1 : null,
+              bye: m.byes[side],
+            })),
+            liveGameId: live ? row.live_game_id : null,
+            liveStatus: live ? row.live_status : null,
+          };
+        }),
+      })),
+    });
+  }
+
+  return { champion: findChampion(matches), sections };
+}
+
+module.exports = {
+  FORMATS,
+  SEEDING_METHODS,
+  seedOrder,
+  buildBracket,
+  resolveBracket,
+  findChampion,
+  seedPlayers,
+  roundName,
+  describeTournament,
+};
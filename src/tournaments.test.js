@@ -0,0 +1,110 @@
+/**
+ * Unit tests for tournaments.js - knockout brackets, byes and seeding
+ */
+
+const { seedOrder, buildBracket, resolveBracket, findChampion, seedPlayers, roundName } = require('./tournaments');
+
+// Play a bracket out, the lower seed (earlier in seeds) winning every match
+function playOut(seeds, format, upsets = {}) {
+  const definitions = buildBracket(seeds.length, format);
+  const results = {};
+  for (;;) {
+    const ready = resolveBracket(definitions, seeds, results).filter(m => m.status === 'ready');
+    if (ready.length === 0) break;
+    for (const m of ready) {
+      const favourite = seeds.indexOf(m.players[0]) < seeds.indexOf(m.players[1]) ? m.players[0] : m.players[1];
+      results[m.key] = upsets[m.key] ? m.players.find(p => p !== favourite) : favourite;
+    }
+  }
+  return { results, matches: resolveBracket(definitions, seeds, results) };
+}
+
+describe('seedOrder', () => {
+  it('keeps the top seeds apart', () => {
+    expect(seedOrder(8)).toEqual([1, 8, 4, 5, 2, 7, 3, 6]);
+  });
+});
+
+describe('single elimination', () => {
+  it('gives the top seeds byes when the field is not a power of two', () => {
+    const matches = resolveBracket(buildBracket(6), ['a', 'b', 'c', 'd', 'e', 'f']);
+    const firstRound = matches.filter(m => m.round === 1);
+
+    expect(firstRound.filter(m => m.status === 'walkover').map(m => m.winner).sort()).toEqual(['a', 'b']);
+    expect(firstRound.filter(m => m.status === 'ready')).toHaveLength(2);
+  });
+
+  it('advances winners into the next round', () => {
+    const seeds = ['a', 'b', 'c', 'd'];
+    const definitions = buildBracket(4);
+    const matches = resolveBracket(definitions, seeds, { 'W1-0': 'a', 'W1-1': 'c' });
+
+    expect(matches.find(m => m.key === 'W2-0')).toMatchObject({ status: 'ready', players: ['a', 'c'] });
+    expect(findChampion(matches)).toBeNull();
+  });
+
+  it('ignores a result for someone not in the match', () => {
+    const matches = resolveBracket(buildBracket(2), ['a', 'b'], { 'W1-0': 'z' });
+    expect(matches[0].status).toBe('ready');
+  });
+
+  it('crowns the winner of the final', () => {
+    expect(findChampion(playOut(['a', 'b', 'c', 'd', 'e'], 'single').matches)).toBe('a');
+  });
+});
+
+describe('double elimination', () => {
+  it('gives everyone two lives', () => {
+    const seeds = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'];
+    const { matches } = playOut(seeds, 'double', { 'W1-0': true });
+
+    // The top seed lost straight away but fought back through the losers' bracket
+    expect(matches.find(m => m.key === 'F1').players).toEqual(['b', 'a']);
+    expect(findChampion(matches)).toBe('a');
+    expect(matches.find(m => m.key === 'F2').status).toBe('complete');
+  });
+
+  it('skips the reset when the winners\' bracket champion wins the grand final', () => {
+    const { matches } = playOut(['a', 'b', 'c'], 'double');
+
+    expect(matches.find(m => m.key === 'F2').status).toBe('void');
+    expect(findChampion(matches)).toBe('a');
+  });
+
+  it('sends the loser of a two-player bracket straight to the grand final', () => {
+    expect(buildBracket(2, 'double').map(m => m.key)).toEqual(['W1-0', 'F1', 'F2']);
+
+    const { matches } = playOut(['a', 'b'], 'double', { F1: true });
+    expect(matches.find(m => m.key === 'F1').players).toEqual(['a', 'b']);
+    expect(matches.find(m => m.key === 'F2').status).toBe('complete');
+    expect(findChampion(matches)).toBe('a');
+  });
+
+  it('plays every match it can with three entrants', () => {
+    const { matches } = playOut(['a', 'b', 'c'], 'double');
+    expect(matches.filter(m => ['waiting', 'ready'].includes(m.status))).toEqual([]);
+  });
+});
+
+describe('seedPlayers', () => {
+  it('seeds by rating, unrated players on the default', () => {
+    expect(seedPlayers(['a', 'b', 'c'], 'rating', { ratings: { a: 1400, c: 1700 } })).toEqual(['c', 'b', 'a']);
+  });
+
+  it('seeds by hand, unseeded players last', () => {
+    expect(seedPlayers(['a', 'b', 'c'], 'manual', { manual: { c: 1, a: 2 } })).toEqual(['c', 'a', 'b']);
+  });
+
+  it('shuffles with the random source it is given', () => {
+    expect(seedPlayers(['a', 'b', 'c'], 'random', { random: () => 0 })).toEqual(['b', 'c', 'a']);
+  });
+});
+
+describe('roundName', () => {
+  it('names the last rounds', () => {
+    expect(roundName('winners', 3, 3)).toBe('Final');
+    expect(roundName('winners', 1, 3)).toBe('Quarter-finals');
+    expect(roundName('winners', 1, 4)).toBe('Round 1');
+    expect(roundName('losers', 2, 4)).toBe('Losers round 2');
+  });
+});
@@ -4,19 +4,33 @@
  */
 
 const WebSocket = require('ws');
-const { liveGames, liveGameSeries } = require('./db');
+const { liveGames, liveGameSeries, practiceSessions, tournaments, achievements } = require('./db');
 const {
-  processThrow,
-  checkGameComplete,
-  advanceTurn,
-  reverseTurn,
+  initialGameState,
+  applyThrow,
+  applyVisit,
+  replayGame,
   calculateRawValue,
-  handleBust,
+  countDarts,
 } = require('./game-logic');
+const { getGameType } = require('./game-types');
+const { isPossibleVisit, canCheckout, DEFAULT_OUT_RULE } = require('./game-types/x01');
+const { suggestCheckout } = require('./checkout');
+const { botDart } = require('./bot');
+const { describeTournament } = require('./tournaments');
+const { visitAchievements } = require('./achievements');
+const { announceAchievements } = require('./pushService');
 
 // Store for game rooms and their connections
 const gameRooms = new Map(); // gameId -> Set of { ws, userId, userName }
 
+// Connections watching a tournament bracket
+const tournamentRooms = new Map(); // tournamentId -> Set of ws
+
+// Pending computer darts, and the pause before each one
+const botTimers = new Map(); // gameId -> timeout
+const BOT_DART_DELAY_MS = 900;
+
 // Store session lookup function (set during init)
 let getSessionUser = null;
 
@@ -52,6 +66,7 @@ function initWebSocket(server, sessionParser) {
     ws.userName = session.userName || 'Unknown';
     ws.isAlive = true;
     ws.gameId = null;
+    ws.tournamentId = null;
 
     // Heartbeat
     ws.on('pong', () => {
@@ -70,11 +85,13 @@ function initWebSocket(server, sessionParser) {
 
     ws.on('close', () => {
       leaveGame(ws);
+      unwatchTournament(ws);
     });
 
     ws.on('error', (err) => {
       console.error('WebSocket error:', err);
       leaveGame(ws);
+      unwatchTournament(ws);
     });
   });
 
@@ -83,6 +100,7 @@ function initWebSocket(server, sessionParser) {
     wss.clients.forEach((ws) => {
       if (!ws.isAlive) {
         leaveGame(ws);
+        unwatchTournament(ws);
         return ws.terminate();
       }
       ws.isAlive = false;
@@ -114,15 +132,24 @@ function handleMessage(ws, message) {
     case 'throw_dart':
       handleThrowDart(ws, payload);
       break;
+    case 'throw_visit':
+      handleThrowVisit(ws, payload);
+      break;
     case 'undo_throw':
       handleUndoThrow(ws, payload);
       break;
+    case 'edit_throw':
+      handleEditThrow(ws, payload);
+      break;
     case 'start_game':
       handleStartGame(ws, payload);
       break;
     case 'end_game':
       handleEndGame(ws, payload);
       break;
+    case 'watch_tournament':
+      handleWatchTournament(ws, payload);
+      break;
     default:
       sendError(ws, `Unknown message type: ${type}`);
   }
@@ -137,7 +164,7 @@ function handleJoinGame(ws, payload) {
     return sendError(ws, 'Game ID required');
   }
 
-  const game = liveGames.findById(gameId);
+  let game = liveGames.findById(gameId);
   if (!game) {
     return sendError(ws, 'Game not found');
   }
@@ -149,11 +176,18 @@ function handleJoinGame(ws, payload) {
   ws.gameId = gameId;
   if (!gameRooms.has(gameId)) {
     gameRooms.set(gameId, new Set());
+
+    // First connection since a restart (or since everyone left) - rebuild the cache from the throws
+    if (game.status === 'playing') {
+      saveGameState(gameId, replayGame(game, game.throws));
+      game = liveGames.findById(gameId);
+    }
   }
   gameRooms.get(gameId).add(ws);
 
   // Send current game state
   sendGameState(ws, game);
+  scheduleBotTurn(gameId);
 
   // Notify others
   broadcastToRoom(gameId, {
@@ -214,147 +248,59 @@ function handleThrowDart(ws, payload) {
     return sendError(ws, 'Game is not in progress');
   }
 
-  // Get current player
-  const currentPlayer = game.players[game.current_player_index];
-  if (!currentPlayer) {
-    return sendError(ws, 'Invalid game state');
+  // Rebuild the game from its throws, then apply this dart to it
+  const state = replayGame(game, game.throws);
+  if (state.winner) {
+    return sendError(ws, 'Game is already decided');
   }
-
-  // Store score at turn start for bust handling (01 games)
-  let turnStartScore = null;
-  if ((game.game_type === '301' || game.game_type === '501') && game.current_dart === 1) {
-    turnStartScore = currentPlayer.remaining_score;
+  const currentPlayer = game.players.find(p => p.id === state.players[state.current_player_index].id);
+  if (currentPlayer.bot_level) {
+    return sendError(ws, 'Wait for the computer to throw');
   }
 
-  // Process the throw
-  const throwResult = processThrow(
-    game,
-    currentPlayer.id,
-    segment || null,
-    multiplier || 1
-  );
-
-  const rawValue = calculateRawValue(segment || null, multiplier || 1);
+  recordThrow(gameId, game, state, currentPlayer, segment, multiplier, ws);
+}
 
-  // Handle bust for 01 games
-  if (throwResult.isBust) {
-    // Get score at start of this turn from throws
-    const turnThrows = liveGames.getThrowsByPlayerAndTurn(gameId, currentPlayer.id, game.current_turn);
-    if (turnThrows.length === 0 && turnStartScore !== null) {
-      // First dart of turn, we have the score
-    } else if (turnThrows.length > 0) {
-      // Calculate what score was at turn start by reversing previous throws
-      const startingScore = game.starting_score || 501;
-      let score = startingScore;
-      // Replay all throws except current turn to get turn start score
-      for (const t of game.throws) {
-        if (t.player_id === currentPlayer.id && t.turn_number < game.current_turn) {
-          if (!t.is_bust) {
-            score -= t.raw_value;
-          }
-        }
-      }
-      turnStartScore = score;
-    }
+/**
+ * Apply a dart to the rebuilt game, store it and tell the room
+ * @param {string} gameId - Live game ID
+ * @param {Object} game - Live game with players
+ * @param {Object} state - Game state from replayGame, with currentPlayer on throw
+ * @param {Object} currentPlayer - Live game player throwing the dart
+ * @param {number} segment - Number hit (null for miss)
+ * @param {number} multiplier - 1, 2, or 3
+ * @param {Object} enteredBy - { userId, userName } of whoever entered the dart
+ */
+function recordThrow(gameId, game, state, currentPlayer, segment, multiplier, enteredBy) {
+  const turnNumber = state.current_turn;
+  const dartInTurn = state.current_dart;
 
-    // Restore score (bust)
-    if (turnStartScore !== null) {
-      handleBust(game, currentPlayer.id, turnStartScore);
-      liveGames.updateRemainingScore(currentPlayer.id, turnStartScore);
-    }
-  }
+  const throwResult = applyThrow(state, { segment, multiplier });
+  const rawValue = calculateRawValue(segment || null, multiplier || 1);
 
   // Record the throw
   const throwId = liveGames.addThrow(
     gameId,
     currentPlayer.id,
-    game.current_turn,
-    game.current_dart,
+    turnNumber,
+    dartInTurn,
     segment || null,
     multiplier || 1,
     rawValue,
     throwResult.isBust || false,
-    ws.userId
+    enteredBy.userId
   );
 
-  // Update player state in DB based on game type
-  if (game.game_type === 'Cricket') {
-    liveGames.updateCricketMarks(
-      currentPlayer.id,
-      currentPlayer.marks_15,
-      currentPlayer.marks_16,
-      currentPlayer.marks_17,
-      currentPlayer.marks_18,
-      currentPlayer.marks_19,
-      currentPlayer.marks_20,
-      currentPlayer.marks_bull,
-      currentPlayer.cricket_points
-    );
-  } else if (game.game_type === '301' || game.game_type === '501') {
-    if (!throwResult.isBust) {
-      liveGames.updateRemainingScore(currentPlayer.id, currentPlayer.remaining_score);
-    }
-  } else if (game.game_type === 'Around the World') {
-    liveGames.updateCurrentTarget(currentPlayer.id, currentPlayer.current_target);
-  }
+  // Cache the rebuilt state on the game and player rows
+  saveGameState(gameId, state);
+  syncAchievements(gameId);
 
   // Check for game completion
-  const winner = checkGameComplete(game);
-  if (winner) {
-    // Game over
-    liveGames.finish(gameId, winner.winnerId);
-
-    // Handle series win tracking
-    let seriesStandings = null;
-    let seriesDecided = false;
-    let seriesWinnerName = null;
-    if (game.series_id) {
-      // Find the winner's user_id
-      const winnerPlayer = game.players.find(p => p.id === winner.winnerId);
-      if (winnerPlayer) {
-        liveGameSeries.incrementWins(game.series_id, winnerPlayer.user_id);
-      }
-
-      // Reload series data to get updated standings
-      const series = liveGameSeries.findById(game.series_id);
-      if (series) {
-        seriesStandings = series.players.map(p => ({
-          name: p.name,
-          wins: p.wins,
-          user_id: p.user_id,
-        }));
-        const decidedWinner = liveGameSeries.checkSeriesDecided(series);
-        if (decidedWinner) {
-          seriesDecided = true;
-          seriesWinnerName = decidedWinner.name;
-          liveGameSeries.finish(game.series_id);
-        }
-      }
-    }
-
-    // Broadcast game ended
-    broadcastToRoom(gameId, {
-      type: 'game_ended',
-      payload: {
-        winnerId: winner.winnerId,
-        winnerUserId: winner.winnerUserId,
-        reason: winner.reason,
-        seriesStandings,
-        seriesDecided,
-        seriesWinnerName,
-      },
-    });
-
-    // Send final game state
-    const finalGame = liveGames.findById(gameId);
-    broadcastGameState(gameId, finalGame);
+  if (state.winner) {
+    finishGame(gameId, game, state.winner);
     return;
   }
 
-  // Advance turn (unless bust on 01 games - still advances, score just doesn't change)
-  const turnInfo = advanceTurn(game);
-  liveGames.updateTurnState(gameId, turnInfo.current_player_index, turnInfo.current_dart, turnInfo.current_turn);
-
   // Broadcast throw recorded
   broadcastToRoom(gameId, {
     type: 'throw_recorded',
@@ -366,21 +312,62 @@ function handleThrowDart(ws, payload) {
       multiplier,
       rawValue,
       isBust: throwResult.isBust || false,
-      enteredBy: ws.userName,
+      enteredBy: enteredBy.userName,
       ...throwResult,
+      checkout: getCheckout(state),
     },
   });
 
   // Send updated game state to all
   const updatedGame = liveGames.findById(gameId);
   broadcastGameState(gameId, updatedGame);
+  scheduleBotTurn(gameId);
 }
 
 /**
- * Handle undo last throw
+ * Queue the computer's next dart if a bot is on throw
+ * Darts are spaced out so the room can follow them like a human's
+ * @param {string} gameId - Live game ID
  */
-function handleUndoThrow(ws, payload) {
-  const { gameId } = payload;
+function scheduleBotTurn(gameId) {
+  if (botTimers.has(gameId)) return;
+
+  const game = liveGames.findById(gameId);
+  if (!game || game.status !== 'playing') return;
+  const player = game.players[game.current_player_index];
+  if (!player || !player.bot_level) return;
+
+  botTimers.set(gameId, setTimeout(() => {
+    botTimers.delete(gameId);
+    playBotDart(gameId);
+  }, BOT_DART_DELAY_MS));
+}
+
+/**
+ * Throw the bot's next dart
+ * The game is rebuilt first, since an undo or correction may have landed while it waited
+ * @param {string} gameId - Live game ID
+ */
+function playBotDart(gameId) {
+  const game = liveGames.findById(gameId);
+  if (!game || game.status !== 'playing') return;
+
+  const state = replayGame(game, game.throws);
+  if (state.winner) return;
+  const player = game.players.find(p => p.id === state.players[state.current_player_index].id);
+  if (!player.bot_level) return;
+
+  const { segment, multiplier } = botDart(state, player.bot_level);
+  recordThrow(gameId, game, state, player, segment, multiplier, { userId: player.user_id, userName: player.name });
+}
+
+/**
+ * Handle a visit entered as a 3-dart total (301/501)
+ * A finishing visit must say which dart checked out, and how many darts went
+ * at a double when the out rule needs one, so checkout stats stay right
+ */
+function handleThrowVisit(ws, payload) {
+  const { gameId, total, checkoutDart, dartsAtDouble } = payload;
 
   if (!gameId) {
     return sendError(ws, 'Game ID required');
@@ -395,84 +382,206 @@ function handleUndoThrow(ws, payload) {
     return sendError(ws, 'Game is not in progress');
   }
 
-  // Get last throw
-  const lastThrow = liveGames.getLastThrow(gameId);
-  if (!lastThrow) {
-    return sendError(ws, 'No throws to undo');
+  if (!getGameType(game.game_type).processVisit) {
+    return sendError(ws, 'Visit totals can only be entered for 301/501');
   }
 
-  // Get the player who made the throw
-  const player = liveGames.getPlayer(lastThrow.player_id);
-  if (!player) {
-    return sendError(ws, 'Player not found');
+  if (game.in_rule === 'double') {
+    return sendError(ws, 'Double in games are scored dart by dart');
+  }
+
+  if (!isPossibleVisit(total)) {
+    return sendError(ws, `${total} is not a possible 3-dart score`);
+  }
+
+  const state = replayGame(game, game.throws);
+  if (state.winner) {
+    return sendError(ws, 'Game is already decided');
+  }
+  if (state.current_dart !== 1) {
+    return sendError(ws, 'Finish this turn dart by dart first');
+  }
+  const currentPlayer = game.players.find(p => p.id === state.players[state.current_player_index].id);
+  if (currentPlayer.bot_level) {
+    return sendError(ws, 'Wait for the computer to throw');
+  }
+  const turnNumber = state.current_turn;
+
+  // A checkout needs its finishing details
+  const outRule = game.out_rule || DEFAULT_OUT_RULE;
+  const finishing = total === state.players[state.current_player_index].remaining_score;
+  let visit = { total, checkoutDart: null, dartsAtDouble: null };
+  if (finishing) {
+    if (![1, 2, 3].includes(checkoutDart)) {
+      return sendError(ws, 'Which dart checked out?');
+    }
+    if (outRule !== 'straight' && !(Number.isInteger(dartsAtDouble) && dartsAtDouble >= 1 && dartsAtDouble <= checkoutDart)) {
+      return sendError(ws, 'How many darts were thrown at a double?');
+    }
+    if (!canCheckout(total, checkoutDart, outRule)) {
+      return sendError(ws, `${total} can't be checked out in ${checkoutDart} ${checkoutDart === 1 ? 'dart' : 'darts'}`);
+    }
+    visit = { total, checkoutDart, dartsAtDouble: outRule === 'straight' ? null : dartsAtDouble };
   }
 
-  // Reverse the turn state first
-  reverseTurn(game);
+  const visitResult = applyVisit(state, visit);
 
-  // Reverse the throw effect based on game type
-  if (game.game_type === 'Cricket') {
-    // Recalculate marks from remaining throws
-    const allThrows = game.throws.filter(t => t.id !== lastThrow.id && t.player_id === player.id);
-    let marks = { 15: 0, 16: 0, 17: 0, 18: 0, 19: 0, 20: 0, bull: 0 };
-    let points = 0;
+  const throwId = liveGames.addVisit(
+    gameId,
+    currentPlayer.id,
+    turnNumber,
+    total,
+    visit.checkoutDart,
+    visit.dartsAtDouble,
+    visitResult.isBust,
+    ws.userId
+  );
 
-    // This is a simplified recalculation - for full accuracy we'd need to replay all throws
-    // For now, just reverse the last throw's contribution
-    if (lastThrow.segment) {
-      const markField = lastThrow.segment === 25 ? 'bull' : lastThrow.segment;
-      const currentMarks = player[`marks_${markField}`] || player.marks_bull || 0;
-      const newMarks = Math.max(0, currentMarks - lastThrow.multiplier);
+  saveGameState(gameId, state);
+  syncAchievements(gameId);
 
-      if (lastThrow.segment === 25) {
-        player.marks_bull = newMarks;
-      } else {
-        player[`marks_${lastThrow.segment}`] = newMarks;
-      }
+  if (state.winner) {
+    finishGame(gameId, game, state.winner);
+    return;
+  }
 
-      // Reverse points if applicable (simplified - may need improvement for edge cases)
-      const marksBeforeThrow = currentMarks - lastThrow.multiplier;
-      if (marksBeforeThrow >= 3) {
-        points = lastThrow.multiplier * lastThrow.segment;
-      } else if (currentMarks > 3) {
-        points = (currentMarks - 3) * lastThrow.segment;
-      }
-      player.cricket_points = Math.max(0, (player.cricket_points || 0) - points);
-    }
+  broadcastToRoom(gameId, {
+    type: 'throw_recorded',
+    payload: {
+      throwId,
+      playerId: currentPlayer.id,
+      playerName: currentPlayer.name,
+      enteredBy: ws.userName,
+      ...visitResult,
+      checkout: getCheckout(state),
+    },
+  });
+
+  const updatedGame = liveGames.findById(gameId);
+  broadcastGameState(gameId, updatedGame);
+  scheduleBotTurn(gameId);
+}
+
+/**
+ * Finish a game that has a winner: record it, update any series and tell the room
+ * @param {string} gameId - Live game ID
+ * @param {Object} game - Live game with players
+ * @param {Object} winner - Winner info from checkGameComplete
+ */
+function finishGame(gameId, game, winner) {
+  // Game over
+  liveGames.finish(gameId, winner.winnerId);
 
-    liveGames.updateCricketMarks(
-      player.id,
-      player.marks_15,
-      player.marks_16,
-      player.marks_17,
-      player.marks_18,
-      player.marks_19,
-      player.marks_20,
-      player.marks_bull,
-      player.cricket_points
-    );
-  } else if (game.game_type === '301' || game.game_type === '501') {
-    // Add back the score if it wasn't a bust
-    if (!lastThrow.is_bust) {
-      player.remaining_score = (player.remaining_score || 0) + lastThrow.raw_value;
-      liveGames.updateRemainingScore(player.id, player.remaining_score);
+  // A practice session is stored with its stat rather than counting as a win
+  if (game.is_practice) {
+    recordPracticeSession(liveGames.findById(gameId));
+  }
+
+  // Handle series win tracking
+  let seriesStandings = null;
+  let seriesDecided = false;
+  let seriesWinnerName = null;
+  if (game.series_id) {
+    // Find the winner's user_id
+    const winnerPlayer = game.players.find(p => p.id === winner.winnerId);
+    if (winnerPlayer) {
+      liveGameSeries.incrementWins(game.series_id, winnerPlayer.user_id);
     }
-  } else if (game.game_type === 'Around the World') {
-    // Check if the throw was a hit and reverse target
-    // The segment for a hit would have matched the previous target
-    const previousTarget = player.current_target - 1;
-    const expectedSegment = previousTarget === 21 ? 25 : previousTarget;
-    if (lastThrow.segment === expectedSegment && previousTarget >= 1) {
-      player.current_target = previousTarget;
-      liveGames.updateCurrentTarget(player.id, player.current_target);
+
+    // Reload series data to get updated standings
+    const series = liveGameSeries.findById(game.series_id);
+    if (series) {
+      seriesStandings = series.players.map(p => ({
+        name: p.name,
+        wins: p.wins,
+        user_id: p.user_id,
+      }));
+      const decidedWinner = liveGameSeries.checkSeriesDecided(series);
+      if (decidedWinner) {
+        seriesDecided = true;
+        seriesWinnerName = decidedWinner.name;
+        liveGameSeries.finish(game.series_id);
+      }
     }
   }
 
-  // Delete the throw
-  liveGames.deleteThrow(lastThrow.id);
+  // Broadcast game ended
+  broadcastToRoom(gameId, {
+    type: 'game_ended',
+    payload: {
+      winnerId: winner.winnerId,
+      winnerUserId: winner.winnerUserId,
+      reason: winner.reason,
+      seriesStandings,
+      seriesDecided,
+      seriesWinnerName,
+    },
+  });
+
+  // Send final game state
+  const finalGame = liveGames.findById(gameId);
+  broadcastGameState(gameId, finalGame);
+  notifyTournament(game);
+}
+
+/**
+ * Store the stat for a finished solo practice game
+ * @param {Object} game - Finished live game with its player and throws
+ */
+function recordPracticeSession(game) {
+  const { practice } = getGameType(game.game_type);
+  const player = game.players[0];
+  const darts = countDarts(game.throws, player.id);
+  practiceSessions.create(
+    player.user_id,
+    game.id,
+    game.game_type,
+    game.starting_score,
+    darts,
+    practice.measure(player, darts, game)
+  );
+}
+
+/**
+ * Handle undo last throw
+ */
+function handleUndoThrow(ws, payload) {
+  const { gameId } = payload;
+
+  if (!gameId) {
+    return sendError(ws, 'Game ID required');
+  }
+
+  const game = liveGames.findById(gameId);
+  if (!game) {
+    return sendError(ws, 'Game not found');
+  }
+
+  if (game.status !== 'playing') {
+    return sendError(ws, 'Game is not in progress');
+  }
+
+  // Against the computer, the bot's darts since the last human dart go too,
+  // otherwise the bot would just throw again
+  const undone = takeBackThrows(game);
+  if (undone.length === 0) {
+    return sendError(ws, 'No throws to undo');
+  }
+  const lastThrow = undone[undone.length - 1];
+
+  // Get the player who made the throw
+  const player = liveGames.getPlayer(lastThrow.player_id);
+  if (!player) {
+    return sendError(ws, 'Player not found');
+  }
 
-  // Update turn state in DB
-  liveGames.updateTurnState(gameId, game.current_player_index, game.current_dart, game.current_turn);
+  // Delete the throws and rebuild the game from the throws that remain
+  for (const t of undone) {
+    liveGames.deleteThrow(t.id);
+  }
+  const remainingThrows = game.throws.filter(t => !undone.includes(t));
+  saveGameState(gameId, replayGame(game, remainingThrows));
+  syncAchievements(gameId);
 
   // Broadcast undo
   broadcastToRoom(gameId, {
@@ -487,6 +596,98 @@ function handleUndoThrow(ws, payload) {
   // Send updated game state
   const updatedGame = liveGames.findById(gameId);
   broadcastGameState(gameId, updatedGame);
+  scheduleBotTurn(gameId);
+}
+
+/**
+ * Throws an undo removes: the last throw, or in a game against the computer
+ * every bot dart back to and including the last human dart
+ * @param {Object} game - Live game with players and throws
+ * @returns {Array} Throws to delete, latest first (empty if only the bot has thrown)
+ */
+function takeBackThrows(game) {
+  const bots = new Set(game.players.filter(p => p.bot_level).map(p => p.id));
+  const undone = [];
+  for (let i = game.throws.length - 1; i >= 0; i--) {
+    undone.push(game.throws[i]);
+    if (!bots.has(game.throws[i].player_id)) {
+      return undone;
+    }
+  }
+  return [];
+}
+
+/**
+ * Handle correcting an earlier throw
+ * Every later throw is replayed so busts, scores and the winner follow the correction
+ */
+function handleEditThrow(ws, payload) {
+  const { gameId, throwId } = payload;
+  const segment = payload.segment || null;
+  const multiplier = segment ? (payload.multiplier || 1) : 1;
+
+  if (!gameId || !throwId) {
+    return sendError(ws, 'Game ID and throw ID required');
+  }
+
+  if (segment && !((segment >= 1 && segment <= 20) || segment === 25)) {
+    return sendError(ws, 'Invalid segment');
+  }
+  if (![1, 2, 3].includes(multiplier) || (segment === 25 && multiplier === 3)) {
+    return sendError(ws, 'Invalid multiplier');
+  }
+
+  const game = liveGames.findById(gameId);
+  if (!game) {
+    return sendError(ws, 'Game not found');
+  }
+
+  if (game.status !== 'playing') {
+    return sendError(ws, 'Game is not in progress');
+  }
+
+  const original = game.throws.find(t => t.id === throwId);
+  if (!original) {
+    return sendError(ws, 'Throw not found');
+  }
+  if (original.visit_total !== null) {
+    return sendError(ws, 'Visit totals can\'t be corrected - undo back to them instead');
+  }
+
+  // Replay the whole game with the corrected dart in place
+  const corrected = game.throws.map(t => (t.id === throwId ? { ...t, segment, multiplier } : t));
+  const state = replayGame(game, corrected);
+  if (state.throws.length < corrected.length) {
+    return sendError(ws, 'That correction would end the game before the last throw - undo back to it instead');
+  }
+
+  // Later darts may now belong to a different player or turn, or no longer bust
+  liveGames.updateThrows(state.throws.map((t, i) => ({
+    ...t,
+    id: corrected[i].id,
+    raw_value: t.visit_total !== undefined ? t.visit_total : calculateRawValue(t.segment, t.multiplier),
+  })));
+  saveGameState(gameId, state);
+  syncAchievements(gameId);
+
+  broadcastToRoom(gameId, {
+    type: 'throw_edited',
+    payload: {
+      throwId,
+      segment,
+      multiplier,
+      editedBy: ws.userName,
+    },
+  });
+
+  if (state.winner) {
+    finishGame(gameId, game, state.winner);
+    return;
+  }
+
+  const updatedGame = liveGames.findById(gameId);
+  broadcastGameState(gameId, updatedGame);
+  scheduleBotTurn(gameId);
 }
 
 /**
@@ -524,6 +725,8 @@ function handleStartGame(ws, payload) {
   // Send game state
   const updatedGame = liveGames.findById(gameId);
   broadcastGameState(gameId, updatedGame);
+  scheduleBotTurn(gameId);
+  notifyTournament(game);
 }
 
 /**
@@ -548,6 +751,7 @@ function handleEndGame(ws, payload) {
 
   // Mark as abandoned (could also delete)
   liveGames.delete(gameId);
+  notifyTournament(game);
 
   // Broadcast game ended
   broadcastToRoom(gameId, {
@@ -588,6 +792,9 @@ function formatGameState(game) {
     game_type: game.game_type,
     status: game.status,
     starting_score: game.starting_score,
+    in_rule: game.in_rule || null,
+    out_rule: game.out_rule || null,
+    options: game.options || null,
     current_player_index: game.current_player_index,
     current_dart: game.current_dart,
     current_turn: game.current_turn,
@@ -599,6 +806,7 @@ function formatGameState(game) {
       user_id: p.user_id,
       name: p.name,
       avatar_url: p.avatar_url,
+      bot_level: p.bot_level || null,
       player_order: p.player_order,
       marks_15: p.marks_15,
       marks_16: p.marks_16,
@@ -610,11 +818,97 @@ function formatGameState(game) {
       cricket_points: p.cricket_points,
       remaining_score: p.remaining_score,
       current_target: p.current_target,
+      score: p.score,
+      state: p.state || null,
     })),
     throws: game.throws || [],
+    checkout: game.status === 'playing' ? getCheckout(game) : null,
   };
 }
 
+/**
+ * Achievements each player's visits have earned in a live game so far
+ * Visits are judged on the replayed game, so darts before a double-in opening
+ * score nothing and undone or corrected darts count as they stand now
+ * @param {Object} game - Live game with players and throws
+ * @returns {Array} [{ userId, key }]
+ */
+function earnedAchievements(game) {
+  const type = getGameType(game.game_type);
+  const state = initialGameState(game);
+  const earned = [];
+  for (const t of game.throws) {
+    if (state.winner) break;
+    const player = state.players[state.current_player_index];
+    const turnNumber = state.current_turn;
+    if (t.visit_total !== null && t.visit_total !== undefined) {
+      applyVisit(state, { total: t.visit_total, checkoutDart: t.checkout_dart, dartsAtDouble: t.darts_at_double });
+    } else {
+      applyThrow(state, t);
+    }
+
+    const keys = visitAchievements({
+      scoreboard: type.scoreboard,
+      startingScore: game.starting_score,
+      turnThrows: state.throws.filter(st => st.player_id === player.id && st.turn_number === turnNumber),
+      scored: state.turn_start_score - player.remaining_score,
+      dartsThrown: countDarts(state.throws, player.id),
+      checkedOut: Boolean(state.winner),
+    });
+    for (const key of keys) {
+      if (!earned.some(e => e.userId === player.user_id && e.key === key)) {
+        earned.push({ userId: player.user_id, key });
+      }
+    }
+  }
+  return earned;
+}
+
+/**
+ * Bring a live game's achievements in line with its throws, after a dart is
+ * thrown, undone or corrected. They stay tied to the live game until it is
+ * finalized as a recorded game
+ * @param {string} gameId - Live game ID
+ */
+function syncAchievements(gameId) {
+  const game = liveGames.findById(gameId);
+  if (!game || game.is_practice) return;
+
+  const humans = new Set(game.players.filter(p => !p.bot_level).map(p => p.user_id));
+  const earned = earnedAchievements(game).filter(e => humans.has(e.userId));
+  if (achievements.syncLiveGame(gameId, earned)) {
+    announceAchievements().catch(err => {
+      console.error('Achievement announcement error:', err);
+    });
+  }
+}
+
+/**
+ * Write a rebuilt game state to the cached turn and player columns
+ * @param {string} gameId - Live game ID
+ * @param {Object} state - Game state from replayGame/applyThrow
+ */
+function saveGameState(gameId, state) {
+  for (const player of state.players) {
+    liveGames.savePlayerState(player);
+  }
+  liveGames.updateTurnState(gameId, state.current_player_index, state.current_dart, state.current_turn);
+}
+
+/**
+ * Suggested checkout for the player on throw in a 301/501 game
+ * @param {Object} game - Live game with players and turn state
+ * @returns {Array<string>|null} Route like ['T20', 'T20', 'D-Bull'], or null
+ */
+function getCheckout(game) {
+  const type = getGameType(game.game_type);
+  const player = game.players[game.current_player_index];
+  if (!type || type.scoreboard !== 'x01' || !player) {
+    return null;
+  }
+  return suggestCheckout(player.remaining_score, 4 - game.current_dart, game.out_rule);
+}
+
 /**
  * Broadcast message to all clients in a room
  */
@@ -630,6 +924,77 @@ function broadcastToRoom(gameId, message, excludeWs = null) {
   });
 }
 
+/**
+ * Watch a tournament bracket for updates
+ */
+function handleWatchTournament(ws, payload) {
+  const { tournamentId } = payload;
+  if (!tournamentId) {
+    return sendError(ws, 'Tournament ID required');
+  }
+
+  const tournament = tournaments.findById(tournamentId);
+  if (!tournament) {
+    return sendError(ws, 'Tournament not found');
+  }
+
+  unwatchTournament(ws);
+  ws.tournamentId = tournamentId;
+  if (!tournamentRooms.has(tournamentId)) {
+    tournamentRooms.set(tournamentId, new Set());
+  }
+  tournamentRooms.get(tournamentId).add(ws);
+
+  ws.send(JSON.stringify({
+    type: 'tournament_state',
+    payload: describeTournament(tournament),
+  }));
+}
+
+function unwatchTournament(ws) {
+  const room = tournamentRooms.get(ws.tournamentId);
+  if (room) {
+    room.delete(ws);
+    if (room.size === 0) {
+      tournamentRooms.delete(ws.tournamentId);
+    }
+  }
+  ws.tournamentId = null;
+}
+
+/**
+ * Send the latest bracket to everyone watching a tournament
+ * @param {string} tournamentId - Tournament ID
+ */
+function broadcastTournament(tournamentId) {
+  const room = tournamentRooms.get(tournamentId);
+  if (!room) return;
+
+  const tournament = tournaments.findById(tournamentId);
+  if (!tournament) return;
+
+  const data = JSON.stringify({
+    type: 'tournament_state',
+    payload: describeTournament(tournament),
+  });
+  room.forEach((client) => {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(data);
+    }
+  });
+}
+
+/**
+ * Update the bracket of the tournament a live game is being played for, if any
+ * @param {Object} game - Live game with id and series_id
+ */
+function notifyTournament(game) {
+  const match = tournaments.findMatchByLiveGame(game.id, game.series_id);
+  if (match) {
+    broadcastTournament(match.tournament_id);
+  }
+}
+
 /**
  * Send error message to client
  */
@@ -643,4 +1008,6 @@ function sendError(ws, message) {
 module.exports = {
   initWebSocket,
   gameRooms,
+  broadcastTournament,
+  notifyTournament,
 };